@@ -6,6 +6,9 @@ function loadPage(page) {
       if (mount) mount.innerHTML = html;
       if (page === 'lotte' && typeof initLotte === 'function') initLotte();
       if (page === 'lara'  && typeof initLara  === 'function') initLara();
+      if (page === 'feedback' && typeof initFeedbackReview === 'function') initFeedbackReview();
+      if (page === 'taken' && typeof initTaken === 'function') initTaken();
+      if (page === 'prompts' && typeof initPromptTemplates === 'function') initPromptTemplates();
     });
 }
 
@@ -38,7 +41,7 @@ function initLogin() {
       });
       const data = await res.json().catch(() => ({}));
       if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
-      setToken(data.token);
+      setSession(data);
       loadPage('lara');
     } catch (err) {
       msg.textContent = err.message || 'Login mislukt.';
@@ -46,37 +49,139 @@ function initLogin() {
   });
 }
 
-// ---- Lotte logic (unchanged) ----
+// ---- Lotte: tickets from /tickets with an AI-drafted reply + suggested tasks ----
 async function initLotte() {
   const list = document.getElementById('ticketList');
   const detail = document.getElementById('ticketDetail');
   if (!list || !detail) return;
 
-  const res = await fetch('https://app-74077e00-3d50-4354-aeea-1cfd4127b0de.cleverapps.io/api/tickets');
-  const tickets = await res.json();
+  let selectedId = null;
+  let pollTimer = null;
+
+  async function ticketsApi(path = '', opts = {}) {
+    const res = await apiFetch(`${BACKEND_URL}/tickets${path}`, opts);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+    return data;
+  }
+
+  // ticket text comes from e-mail: only ever set it through textContent
+  function el(tag, cls, text) {
+    const node = document.createElement(tag);
+    if (cls) node.className = cls;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  const fmtDate = (d) => new Date(d).toLocaleString('nl-NL');
+  const sender = (t) => t.from_name ? `${t.from_name}${t.from_address ? ` <${t.from_address}>` : ''}` : (t.from_address || '—');
+  const drafting = (t) => t.draft_status === 'queued' || t.draft_status === 'running';
+
+  // re-check while a draft is being written, until the user navigates away
+  function schedulePoll(ticket) {
+    clearTimeout(pollTimer);
+    if (!drafting(ticket)) return;
+    pollTimer = setTimeout(async () => {
+      if (!document.body.contains(detail) || selectedId !== ticket.id) return;
+      try { await show(ticket.id); } catch (err) { console.warn('lotte poll', err); }
+    }, 3000);
+  }
+
+  function renderDetail(t) {
+    detail.innerHTML = '';
+    detail.append(
+      el('h3', 'text-xl font-semibold mb-2', t.subject),
+      el('p', 'text-sm text-gray-600 mb-1', `Van: ${sender(t)}`),
+      el('p', 'text-sm text-gray-600 mb-3', `Datum: ${fmtDate(t.received_at)}`)
+    );
+
+    const desc = el('div', 'mb-4');
+    desc.append(el('strong', null, 'Beschrijving:'), el('div', 'whitespace-pre-wrap', t.body));
+    detail.appendChild(desc);
+
+    const reply = el('div', 'mb-4');
+    reply.appendChild(el('strong', null, 'Antwoordvoorstel:'));
+    if (drafting(t)) {
+      reply.appendChild(el('div', 'text-gray-500 italic', 'Lotte stelt een antwoord op…'));
+    } else if (t.draft_status === 'failed') {
+      reply.appendChild(el('div', 'text-red-600', `Opstellen mislukt: ${t.draft_error || 'onbekende fout'}`));
+    } else {
+      reply.appendChild(el('div', 'whitespace-pre-wrap', t.draft_reply || ''));
+      const sources = (t.draft_context || []).map(c => c.source || c.id);
+      if (t.draft_used?.nothing_relevant) {
+        reply.appendChild(el('div', 'text-xs text-amber-700 mt-1', 'Geen relevante bronnen gevonden in de kennisbank.'));
+      } else if (sources.length) {
+        reply.appendChild(el('div', 'text-xs text-gray-500 mt-1', `Bronnen: ${sources.join(' · ')}`));
+      }
+    }
+    detail.appendChild(reply);
+
+    detail.appendChild(el('p', 'mb-2 font-semibold', 'Voorgestelde taken:'));
+    const tasks = el('ul', 'list-disc list-inside mb-4');
+    for (const task of t.suggested_tasks || []) tasks.appendChild(el('li', null, task));
+    if (!drafting(t) && !(t.suggested_tasks || []).length) tasks.appendChild(el('li', 'text-gray-500 italic list-none', 'Geen taken voorgesteld.'));
+    detail.appendChild(tasks);
+
+    const actions = el('div', 'flex items-center gap-2');
+    const accept = el('button', 'bg-blue-600 text-white px-4 py-2 rounded', 'Accepteer alle taken');
+    const acceptMsg = el('span', 'text-sm text-gray-600');
+    accept.disabled = drafting(t) || !(t.suggested_tasks || []).length;
+    accept.classList.toggle('opacity-60', accept.disabled);
+    accept.onclick = async () => {
+      accept.disabled = true;
+      try {
+        const { tasks } = await ticketsApi(`/${t.id}/accept-tasks`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: '{}'
+        });
+        acceptMsg.textContent = `${tasks.length} ${tasks.length === 1 ? 'taak staat' : 'taken staan'} op de takenlijst.`;
+      } catch (err) {
+        acceptMsg.textContent = `Mislukt: ${err.message}`;
+        accept.disabled = false;
+      }
+    };
+    actions.appendChild(accept);
+    if (!drafting(t)) {
+      const redraft = el('button', 'bg-gray-100 px-4 py-2 rounded hover:bg-gray-200', 'Nieuw voorstel');
+      redraft.onclick = async () => {
+        await ticketsApi(`/${t.id}/redraft`, { method: 'POST' });
+        show(t.id);
+      };
+      actions.appendChild(redraft);
+    }
+    actions.appendChild(acceptMsg);
+    detail.appendChild(actions);
+  }
+
+  async function show(id) {
+    selectedId = id;
+    const { ticket } = await ticketsApi(`/${id}`);
+    if (selectedId !== id) return;
+    renderDetail(ticket);
+    list.querySelectorAll('li').forEach(li => li.classList.toggle('bg-gray-100', li.dataset.id === id));
+    schedulePoll(ticket);
+  }
+
+  let tickets;
+  try {
+    ({ tickets } = await ticketsApi());
+  } catch (err) {
+    list.innerHTML = '';
+    list.appendChild(el('li', 'py-2 text-red-600', `Tickets laden mislukt: ${err.message}`));
+    return;
+  }
 
   list.innerHTML = '';
+  if (!tickets.length) list.appendChild(el('li', 'py-2 text-gray-500 italic', 'Geen tickets.'));
   tickets.forEach((ticket) => {
-    const li = document.createElement('li');
-    li.className = 'py-2 cursor-pointer hover:bg-gray-100 px-2 rounded';
-    li.innerHTML = `
-      <div class="font-semibold">${ticket.subject}</div>
-      <div class="text-sm text-gray-600">${ticket.date} - ${ticket.from}</div>
-    `;
-    li.onclick = () => {
-      detail.innerHTML = `
-        <h3 class="text-xl font-semibold mb-2">${ticket.subject}</h3>
-        <p class="text-sm text-gray-600 mb-1">Van: ${ticket.from}</p>
-        <p class="text-sm text-gray-600 mb-3">Datum: ${ticket.date}</p>
-        <p class="mb-4"><strong>Beschrijving:</strong><br>${ticket.description}</p>
-        <p class="mb-4"><strong>Antwoordvoorstel:</strong><br>${ticket.response}</p>
-        <p class="mb-2"><strong>Voorgestelde taken:</strong></p>
-        <ul class="list-disc list-inside mb-4">
-          ${ticket.tasks.map(task => `<li>${task}</li>`).join('')}
-        </ul>
-        <button class="bg-blue-600 text-white px-4 py-2 rounded">Accepteer alle taken</button>
-      `;
-    };
+    const li = el('li', 'py-2 cursor-pointer hover:bg-gray-100 px-2 rounded');
+    li.dataset.id = ticket.id;
+    li.append(
+      el('div', 'font-semibold', ticket.subject),
+      el('div', 'text-sm text-gray-600', `${fmtDate(ticket.received_at)} - ${sender(ticket)}`)
+    );
+    li.onclick = () => show(ticket.id).catch(err => { detail.textContent = `Laden mislukt: ${err.message}`; });
     list.appendChild(li);
   });
 }
@@ -89,6 +194,19 @@ const BACKEND_URL = window.location.origin;
 
 function getToken(){ return localStorage.getItem('token') || localStorage.getItem('jwt'); }
 
+// 429 from /ask: rate limit or monthly quota, with the number of seconds to wait
+async function askError(res) {
+  const text = await res.text();
+  if (res.status !== 429) return new Error(text);
+  let body = {};
+  try { body = JSON.parse(text); } catch {}
+  const wait = Number(res.headers.get('Retry-After') || body.retry_after || 0);
+  const when = body.limit?.startsWith('monthly')
+    ? 'Het maandtegoed van je organisatie is op; neem contact op met je beheerder.'
+    : `Probeer het over ${wait} seconden opnieuw.`;
+  return Object.assign(new Error(`Te veel vragen. ${when}`), { status: 429 });
+}
+
 // ---- Ask the backend (/ask) instead of Ollama directly ----
 async function askBackend(question, orgId) {
   const res = await apiFetch(`${window.location.origin}/ask`, {
@@ -96,10 +214,67 @@ async function askBackend(question, orgId) {
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ question, org_id: orgId || undefined })
   });
-  if (!res.ok) throw new Error(await res.text());
+  if (!res.ok) throw await askError(res);
   return res.json();
 }
 
+// ---- Streaming variant (/ask/stream, Server-Sent Events over fetch) ----
+// handlers: onContext({used, context}), onToken(delta), onDone({message_id, timings_ms})
+// provider/model: without them the backend uses the user's own provider
+async function askBackendStream(question, orgId, { conversationId, provider, model, signal, onContext, onToken, onDone } = {}) {
+  const res = await apiFetch(`${window.location.origin}/ask/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify({
+      question, org_id: orgId || undefined, conversation_id: conversationId || undefined,
+      provider: provider || undefined, model: model || undefined
+    }),
+    signal
+  });
+  if (!res.ok) throw await askError(res);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+
+  function handle(raw) {
+    let event = 'message';
+    const data = [];
+    for (const line of raw.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    const payload = data.length ? JSON.parse(data.join('\n')) : {};
+    if (event === 'context') onContext?.(payload);
+    else if (event === 'token') onToken?.(payload.delta || '');
+    else if (event === 'done') onDone?.(payload);
+    else if (event === 'error') throw new Error(payload.error || 'stream error');
+  }
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buf.indexOf('\n\n')) >= 0) {
+      const raw = buf.slice(0, sep);
+      buf = buf.slice(sep + 2);
+      if (raw.trim()) handle(raw);
+    }
+  }
+}
+
+// ---- Conversations (/conversations) ----
+async function conversationsApi(path = '', opts = {}) {
+  const res = await apiFetch(`${BACKEND_URL}/conversations${path}`, {
+    ...opts,
+    headers: { 'Content-Type': 'application/json', ...(opts.headers || {}) }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
 // ---- KB uploader + chat wiring ----
 function initLara() {
   // chat elements
@@ -118,7 +293,271 @@ function initLara() {
   const kbList = document.getElementById('kbList');
   const kbStatus = document.getElementById('kbStatus');
 
-  // ---- chat (uses /ask -> RAG) ----
+  // ---- chat (uses /ask/stream -> RAG, tokens rendered as they arrive) ----
+  const cancelBtn = document.getElementById('laraCancelBtn');
+  const thread = document.getElementById('laraThread');
+  const convList = document.getElementById('laraConvList');
+  const newConvBtn = document.getElementById('laraNewConvBtn');
+  let inflight = null;
+  let conversationId = null;
+  let lastQuestion = null; // question belonging to what is shown in laraAnswer
+
+  // ---- model picker: "PROVIDER|model", preselected with what /ask would use anyway ----
+  const modelSelect = document.getElementById('laraModel');
+  async function loadModels() {
+    if (!modelSelect) return;
+    try {
+      const res = await apiFetch(`${BACKEND_URL}/llm/models`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      modelSelect.innerHTML = '';
+      for (const p of data.providers || []) {
+        if (!p.models.length) continue;
+        const group = document.createElement('optgroup');
+        group.label = p.label;
+        for (const m of p.models) {
+          const opt = document.createElement('option');
+          opt.value = `${p.key}|${m}`;
+          opt.textContent = m;
+          group.appendChild(opt);
+        }
+        modelSelect.appendChild(group);
+      }
+      const preferred = data.default ? `${data.default.provider}|${data.default.model}` : '';
+      if ([...modelSelect.options].some(o => o.value === preferred)) modelSelect.value = preferred;
+      modelSelect.classList.toggle('hidden', !modelSelect.options.length);
+    } catch (err) {
+      // without the list the backend still picks the user's own provider
+      modelSelect.classList.add('hidden');
+      console.warn('Modellen laden mislukt:', err.message);
+    }
+  }
+  loadModels();
+
+  // ---- feedback on the answer in laraAnswer (/feedback) ----
+  const feedbackBox = document.getElementById('laraFeedback');
+  const thumbUp = document.getElementById('laraThumbUp');
+  const thumbDown = document.getElementById('laraThumbDown');
+  const feedbackStatus = document.getElementById('laraFeedbackStatus');
+  const correctionBox = document.getElementById('laraCorrectionBox');
+  const correction = document.getElementById('laraCorrection');
+  const correctionSend = document.getElementById('laraCorrectionSend');
+  let answerMessageId = null;
+
+  function resetFeedback(messageId = null) {
+    answerMessageId = messageId;
+    feedbackBox?.classList.toggle('hidden', !messageId);
+    correctionBox?.classList.add('hidden');
+    if (correction) correction.value = '';
+    if (feedbackStatus) feedbackStatus.textContent = '';
+    [thumbUp, thumbDown].forEach(b => b?.classList.remove('ring-2', 'ring-blue-500'));
+  }
+
+  async function sendFeedback(rating, text = null) {
+    if (!answerMessageId) return;
+    feedbackStatus.textContent = 'Opslaan…';
+    try {
+      const res = await apiFetch(`${BACKEND_URL}/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message_id: answerMessageId, rating, correction: text || undefined })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      thumbUp?.classList.toggle('ring-2', rating === 'up');
+      thumbUp?.classList.toggle('ring-blue-500', rating === 'up');
+      thumbDown?.classList.toggle('ring-2', rating === 'down');
+      thumbDown?.classList.toggle('ring-blue-500', rating === 'down');
+      feedbackStatus.textContent = text ? 'Bedankt, je correctie is doorgestuurd.' : 'Bedankt voor je feedback.';
+    } catch (err) {
+      feedbackStatus.textContent = `Feedback mislukt: ${err.message}`;
+    }
+  }
+
+  thumbUp?.addEventListener('click', () => {
+    correctionBox?.classList.add('hidden');
+    sendFeedback('up');
+  });
+  thumbDown?.addEventListener('click', () => {
+    correctionBox?.classList.remove('hidden');
+    sendFeedback('down');
+    correction?.focus();
+  });
+  correctionSend?.addEventListener('click', () => sendFeedback('down', (correction?.value || '').trim()));
+
+  // ---- citations: [n] markers in the answer open the cited passage ----
+  const passage = document.getElementById('laraPassage');
+  const passageSource = document.getElementById('laraPassageSource');
+  const passageLocation = document.getElementById('laraPassageLocation');
+  const passageText = document.getElementById('laraPassageText');
+  const passageOpen = document.getElementById('laraPassageOpen');
+  const passageStatus = document.getElementById('laraPassageStatus');
+  document.getElementById('laraPassageClose')?.addEventListener('click', () => passage.classList.add('hidden'));
+
+  function showPassage(c) {
+    if (!passage || !c) return;
+    passageSource.textContent = `[${c.n}] ${c.source || c.id}`;
+    passageLocation.textContent = c.location || '';
+    passageText.textContent = c.text || '';
+    passageStatus.textContent = '';
+    passageOpen.classList.toggle('hidden', !c.url);
+    passageOpen.onclick = () => openOriginal(c);
+    passage.classList.remove('hidden');
+  }
+
+  // originals need the auth header, so fetch them and hand the browser a blob URL
+  async function openOriginal(c) {
+    passageStatus.textContent = 'Openen…';
+    try {
+      const res = await apiFetch(`${BACKEND_URL}${c.url}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      if (blob.type === 'application/octet-stream') {
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = c.source || 'document';
+        a.click();
+      } else {
+        window.open(blob.type === 'application/pdf' && c.page ? `${url}#page=${c.page}` : url, '_blank');
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+      passageStatus.textContent = '';
+    } catch (err) {
+      passageStatus.textContent = `Openen mislukt: ${err.message}`;
+    }
+  }
+
+  function citationButton(label, c) {
+    const b = document.createElement('button');
+    b.className = 'text-blue-700 hover:underline';
+    b.textContent = label;
+    b.onclick = () => showPassage(c);
+    return b;
+  }
+
+  // answer text with its [n] / [n, m] markers as buttons
+  function renderAnswer(text, cited = []) {
+    const byN = new Map(cited.map(c => [c.n, c]));
+    answer.textContent = '';
+    let last = 0;
+    for (const m of text.matchAll(/\[(\d+(?:,\s*\d+)*)\]/g)) {
+      answer.appendChild(document.createTextNode(text.slice(last, m.index)));
+      const nums = m[1].split(',').map(n => parseInt(n, 10));
+      if (nums.every(n => byN.has(n))) {
+        answer.appendChild(document.createTextNode('['));
+        nums.forEach((n, i) => {
+          if (i) answer.appendChild(document.createTextNode(', '));
+          answer.appendChild(citationButton(String(n), byN.get(n)));
+        });
+        answer.appendChild(document.createTextNode(']'));
+      } else {
+        answer.appendChild(document.createTextNode(m[0]));
+      }
+      last = m.index + m[0].length;
+    }
+    answer.appendChild(document.createTextNode(text.slice(last)));
+  }
+
+  // cited passages when there are any, otherwise the retrieved sources
+  function renderCitations(context, cited = []) {
+    citations.textContent = '';
+    passage?.classList.add('hidden');
+    if (cited.length) {
+      citations.appendChild(document.createTextNode('Bronnen: '));
+      cited.forEach((c, i) => {
+        if (i) citations.appendChild(document.createTextNode(' · '));
+        citations.appendChild(citationButton(`[${c.n}] ${c.source || c.id}${c.location ? ` (${c.location})` : ''}`, c));
+      });
+    } else if (Array.isArray(context) && context.length) {
+      const s = context
+        .map(c => c.source ? `(${c.source})` : `(${c.id})`)
+        .join(' · ');
+      citations.textContent = `Bronnen: ${s}`;
+    }
+  }
+
+  function addBubble(role, text) {
+    const div = document.createElement('div');
+    div.className = role === 'user'
+      ? 'ml-auto max-w-[80%] bg-blue-50 border border-blue-100 rounded p-2 whitespace-pre-wrap'
+      : 'mr-auto max-w-[80%] bg-gray-50 border rounded p-2 whitespace-pre-wrap';
+    div.textContent = text;
+    thread?.appendChild(div);
+  }
+
+  function resetChat() {
+    conversationId = null;
+    lastQuestion = null;
+    if (thread) thread.innerHTML = '';
+    answer.textContent = '';
+    citations.textContent = '';
+    passage?.classList.add('hidden');
+    status.textContent = '';
+    resetFeedback();
+    highlightConversation();
+  }
+
+  function highlightConversation() {
+    convList?.querySelectorAll('li').forEach(li =>
+      li.classList.toggle('bg-gray-200', li.dataset.id === conversationId));
+  }
+
+  async function loadConversations() {
+    if (!convList) return;
+    try {
+      const { conversations } = await conversationsApi();
+      convList.innerHTML = '';
+      if (!conversations.length) {
+        convList.innerHTML = '<li class="text-gray-500 italic">Nog geen gesprekken.</li>';
+        return;
+      }
+      for (const c of conversations) {
+        const li = document.createElement('li');
+        li.dataset.id = c.id;
+        li.className = 'group flex items-center gap-2 px-2 py-1 rounded cursor-pointer hover:bg-gray-100';
+
+        const title = document.createElement('span');
+        title.className = 'flex-1 truncate';
+        title.textContent = c.title || '(zonder titel)';
+        title.title = new Date(c.updated_at).toLocaleString('nl-NL');
+
+        const del = document.createElement('button');
+        del.className = 'hidden group-hover:inline text-gray-400 hover:text-red-600';
+        del.textContent = '✕';
+        del.title = 'Verwijderen';
+        del.onclick = async (e) => {
+          e.stopPropagation();
+          if (!confirm('Gesprek verwijderen?')) return;
+          await conversationsApi(`/${c.id}`, { method: 'DELETE' });
+          if (conversationId === c.id) resetChat();
+          loadConversations();
+        };
+
+        li.append(title, del);
+        li.onclick = () => resumeConversation(c.id);
+        convList.appendChild(li);
+      }
+      highlightConversation();
+    } catch (err) {
+      convList.innerHTML = `<li class="text-red-600">${err.message}</li>`;
+    }
+  }
+
+  async function resumeConversation(id) {
+    if (inflight) return;
+    const { messages } = await conversationsApi(`/${id}`);
+    resetChat();
+    conversationId = id;
+    for (const m of messages) addBubble(m.role, m.content);
+    const last = messages[messages.length - 1];
+    if (last?.role === 'assistant') renderCitations(last.context, last.citations || []);
+    highlightConversation();
+  }
+
+  newConvBtn?.addEventListener('click', () => { if (!inflight) resetChat(); });
+  loadConversations();
+
   async function go() {
     const q = (input?.value || '').trim();
     if (!q) { input?.focus(); return; }
@@ -126,30 +565,65 @@ function initLara() {
 
     btn.disabled = true;
     btn.classList.add('opacity-60', 'cursor-not-allowed');
+    cancelBtn?.classList.remove('hidden');
+
+    // previous answer moves up into the thread
+    if (lastQuestion && answer.textContent.trim()) {
+      addBubble('user', lastQuestion);
+      addBubble('assistant', answer.textContent);
+    }
+    lastQuestion = q;
     answer.textContent = '';
     citations.textContent = '';
-    status.textContent = orgId ? `Zoekt in kennisbank van "${orgId}"…` : 'Zoekt in standaard kennisbank…';
+    passage?.classList.add('hidden');
+    resetFeedback();
+    status.textContent = orgId ? `Zoekt in kennisbank van "${orgId}"…` : 'Zoekt in kennisbank van je organisatie…';
 
+    inflight = new AbortController();
+    let retrieved = [];
     try {
-      const data = await askBackend(q, orgId);
-      answer.textContent = data.answer || '(geen antwoord)';
-      if (Array.isArray(data.context) && data.context.length) {
-        const s = data.context
-          .map(c => c.source ? `(${c.source})` : `(${c.id})`)
-          .join(' · ');
-        citations.textContent = `Bronnen: ${s}`;
-      } else {
-        citations.textContent = '';
+      if (!conversationId) {
+        const { conversation } = await conversationsApi('', { method: 'POST', body: '{}' });
+        conversationId = conversation.id;
       }
-      status.textContent = 'Klaar.';
+      const [provider, model] = (modelSelect?.value || '').split('|');
+      await askBackendStream(q, orgId, {
+        conversationId,
+        provider,
+        model,
+        signal: inflight.signal,
+        onContext: (data) => {
+          retrieved = data.context;
+          renderCitations(data.context);
+          status.textContent = data.nothing_relevant ? 'Geen relevante bronnen gevonden.' : 'Lara schrijft…';
+        },
+        onToken: (delta) => { answer.textContent += delta; },
+        onDone: (data) => {
+          if (data.answer != null) renderAnswer(data.answer, data.citations || []);
+          renderCitations(retrieved, data.citations || []);
+          resetFeedback(data.message_id);
+        }
+      });
+      if (!answer.textContent) answer.textContent = '(geen antwoord)';
+      if (input) input.value = '';
+      if (status.textContent === 'Lara schrijft…') status.textContent = 'Klaar.';
+      loadConversations();
     } catch (err) {
-      status.textContent = '';
-      answer.textContent = `⚠️ Fout bij /ask: ${err.message}`;
+      lastQuestion = null; // not stored server-side, so don't carry it into the thread
+      if (err.name === 'AbortError') {
+        status.textContent = 'Geannuleerd.';
+      } else {
+        status.textContent = '';
+        answer.textContent = `⚠️ Fout bij /ask: ${err.message}`;
+      }
     } finally {
+      inflight = null;
+      cancelBtn?.classList.add('hidden');
       btn.disabled = false;
       btn.classList.remove('opacity-60', 'cursor-not-allowed');
     }
   }
+  cancelBtn?.addEventListener('click', () => inflight?.abort());
   btn?.addEventListener('click', go);
   input?.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); go(); }
@@ -185,33 +659,70 @@ function initLara() {
   async function uploadOne(file, layer, orgId) {
     const url = new URL(BACKEND_URL + '/upload');
     url.searchParams.set('layer', layer);
-    if (layer === 'org') url.searchParams.set('org_id', orgId);
+    if (layer === 'org' && orgId) url.searchParams.set('org_id', orgId); // omitted: own org
 
     const fd = new FormData();
     fd.append('file', file);
 
     const row = addLog(`⬆️ Uploaden: ${file.name}…`);
     try {
-      const headers = {};
-      const t = getToken(); if (t) headers.Authorization = `Bearer ${t}`;
-      const res = await fetch(url, { method: 'POST', body: fd, headers });
+      const res = await apiFetch(url, { method: 'POST', body: fd });
       if (!res.ok) throw new Error(await res.text());
       const data = await res.json();
-      row.textContent = `✅ ${file.name} — ${data.parts} delen opgeslagen`;
-      row.classList.add('border-emerald-300', 'bg-emerald-50');
+      if (data.duplicate) {
+        row.textContent = `ℹ️ ${file.name} — stond al in de kennisbank (${data.parts} delen)`;
+        row.classList.add('border-emerald-300', 'bg-emerald-50');
+        return;
+      }
+      row.textContent = `⏳ ${file.name} — in de wachtrij…`;
+      pollJob(data.job_id, file.name, row);
     } catch (e) {
       row.textContent = `⚠️ ${file.name} — ${e.message}`;
       row.classList.add('border-red-300', 'bg-red-50');
     }
   }
 
+  // ingestion runs in the background; follow /jobs/:id until it is done or failed
+  async function pollJob(jobId, name, row) {
+    let job;
+    try {
+      const res = await apiFetch(`${BACKEND_URL}/jobs/${jobId}`);
+      if (!res.ok) throw new Error(await res.text());
+      ({ job } = await res.json());
+    } catch (e) {
+      row.textContent = `⚠️ ${name} — status onbekend: ${e.message}`;
+      row.classList.add('border-red-300', 'bg-red-50');
+      return;
+    }
+
+    const attempt = job.attempts > 1 ? ` (poging ${job.attempts}/${job.max_attempts})` : '';
+    if (job.status === 'done') {
+      row.textContent = `✅ ${name} — ${job.chunks_total ?? job.chunks_done} delen opgeslagen`;
+      row.classList.add('border-emerald-300', 'bg-emerald-50');
+      return;
+    }
+    if (job.status === 'failed') {
+      row.textContent = `⚠️ ${name} — mislukt na ${job.attempts} poging(en): ${job.error || 'onbekende fout'}`;
+      row.classList.add('border-red-300', 'bg-red-50');
+      return;
+    }
+    if (job.status === 'queued' && job.error) {
+      row.textContent = `🔁 ${name} — opnieuw proberen${attempt}: ${job.error}`;
+    } else if (job.status === 'running' && job.chunks_total) {
+      const pct = Math.round((job.chunks_done / job.chunks_total) * 100);
+      row.textContent = `⏳ ${name} — ${job.chunks_done}/${job.chunks_total} delen (${pct}%)${attempt}`;
+    } else {
+      row.textContent = `⏳ ${name} — ${job.status === 'running' ? 'tekst uitlezen…' : 'in de wachtrij…'}${attempt}`;
+    }
+    setTimeout(() => pollJob(jobId, name, row), 1500);
+  }
+
   async function uploadAll() {
     const files = kbFiles?.files || [];
     const layer = kbLayer?.value || 'domain';
     const orgId = (kbOrgId?.value || '').trim();
 
     if (!files.length) { kbStatus.textContent = 'Kies eerst bestand(en).'; return; }
-    if (layer === 'org' && !orgId) { kbStatus.textContent = 'Vul org ID in.'; kbOrgId?.focus(); return; }
 
     kbStatus.textContent = 'Bezig met uploaden…';
     kbUploadBtn.disabled = true; kbUploadBtn.classList.add('opacity-60', 'cursor-not-allowed');
@@ -219,24 +730,635 @@ function initLara() {
       for (const f of files) {
         await uploadOne(f, layer, orgId);
       }
-      kbStatus.textContent = 'Klaar.';
+      kbStatus.textContent = 'Geüpload, verwerking loopt op de achtergrond.';
     } finally {
       kbUploadBtn.disabled = false; kbUploadBtn.classList.remove('opacity-60', 'cursor-not-allowed');
     }
   }
 
   kbUploadBtn?.addEventListener('click', uploadAll);
+
+  initKbAdmin();
+}
+
+// ---- Kennisbank beheer (admin: /documents) ----
+function initKbAdmin() {
+  const panel = document.getElementById('kbAdmin');
+  const layerSel = document.getElementById('kbAdminLayer');
+  const refreshBtn = document.getElementById('kbAdminRefresh');
+  const tbody = document.getElementById('kbDocs');
+  const detail = document.getElementById('kbDocDetail');
+  const replaceFile = document.getElementById('kbReplaceFile');
+  if (!panel || !tbody) return;
+
+  let replaceTarget = null;
+
+  async function docsApi(path = '', opts = {}) {
+    const res = await apiFetch(`${BACKEND_URL}/documents${path}`, opts);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+    return data;
+  }
+
+  function cell(text, cls = '') {
+    const td = document.createElement('td');
+    td.className = `py-1 ${cls}`;
+    td.textContent = text ?? '—';
+    return td;
+  }
+
+  function actionBtn(label, cls, onClick) {
+    const b = document.createElement('button');
+    b.className = `px-2 py-0.5 rounded ${cls}`;
+    b.textContent = label;
+    b.onclick = onClick;
+    return b;
+  }
+
+  async function load() {
+    const qs = layerSel?.value ? `?layer=${encodeURIComponent(layerSel.value)}` : '';
+    let documents;
+    try {
+      ({ documents } = await docsApi(qs));
+    } catch (err) {
+      if (err.status === 401 || err.status === 403) { panel.classList.add('hidden'); return; }
+      throw err;
+    }
+    panel.classList.remove('hidden');
+    tbody.innerHTML = '';
+    if (!documents.length) {
+      tbody.innerHTML = '<tr><td colspan="7" class="py-2 text-gray-500 italic">Geen documenten.</td></tr>';
+      return;
+    }
+    for (const d of documents) {
+      const tr = document.createElement('tr');
+      tr.className = 'border-b';
+      tr.append(
+        cell(d.filename, 'truncate max-w-xs'),
+        cell(d.layer),
+        cell(d.org_id),
+        cell(d.chunk_count),
+        cell(`v${d.version}`),
+        cell(new Date(d.updated_at).toLocaleString('nl-NL'))
+      );
+      const actions = document.createElement('td');
+      actions.className = 'py-1 text-right space-x-1 whitespace-nowrap';
+      actions.append(
+        actionBtn('Bekijk', 'bg-gray-100 hover:bg-gray-200', () => show(d.id)),
+        actionBtn('Vervang', 'bg-amber-100 hover:bg-amber-200', () => { replaceTarget = d; replaceFile.click(); }),
+        actionBtn('Verwijder', 'bg-red-100 hover:bg-red-200', () => remove(d))
+      );
+      tr.appendChild(actions);
+      tbody.appendChild(tr);
+    }
+  }
+
+  async function show(id) {
+    const { document: doc, chunks } = await docsApi(`/${id}`);
+    detail.innerHTML = '';
+    const h = document.createElement('div');
+    h.className = 'font-semibold';
+    h.textContent = `${doc.filename} — ${chunks.length} delen (v${doc.version})`;
+    detail.appendChild(h);
+    for (const c of chunks) {
+      const p = document.createElement('div');
+      p.className = 'border-t pt-2 text-xs whitespace-pre-wrap';
+      p.textContent = `#${c.metadata?.part ?? '?'}  ${c.text}`;
+      detail.appendChild(p);
+    }
+    detail.classList.remove('hidden');
+  }
+
+  async function remove(doc) {
+    if (!confirm(`"${doc.filename}" en alle ${doc.chunk_count} delen verwijderen?`)) return;
+    await docsApi(`/${doc.id}`, { method: 'DELETE' });
+    detail.classList.add('hidden');
+    load();
+  }
+
+  replaceFile?.addEventListener('change', async () => {
+    const file = replaceFile.files?.[0];
+    const target = replaceTarget;
+    replaceFile.value = '';
+    if (!file || !target) return;
+    const fd = new FormData();
+    fd.append('file', file);
+    try {
+      await docsApi(`/${target.id}`, { method: 'PUT', body: fd });
+      alert(`"${file.name}" wordt op de achtergrond verwerkt als nieuwe versie van "${target.filename}".`);
+      load();
+    } catch (err) {
+      alert(`Vervangen mislukt: ${err.message}`);
+    }
+  });
+
+  layerSel?.addEventListener('change', load);
+  refreshBtn?.addEventListener('click', load);
+  load().catch(err => console.warn('kb admin', err));
+}
+
+// ---- Takenlijst (/tasks) ----
+function initTaken() {
+  const list = document.getElementById('takenList');
+  const scopeSel = document.getElementById('takenScope');
+  const statusSel = document.getElementById('takenStatus');
+  const refreshBtn = document.getElementById('takenRefresh');
+  const msg = document.getElementById('takenStatusMsg');
+  const newForm = document.getElementById('takenNewForm');
+  const newTitle = document.getElementById('takenNewTitle');
+  const newDue = document.getElementById('takenNewDue');
+  if (!list) return;
+
+  const STATUS_LABELS = { open: 'Open', in_progress: 'Bezig', done: 'Afgerond' };
+
+  async function tasksApi(path = '', opts = {}) {
+    const res = await apiFetch(`${BACKEND_URL}/tasks${path}`, {
+      ...opts,
+      headers: { 'Content-Type': 'application/json', ...(opts.headers || {}) }
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+    return data;
+  }
+
+  function el(tag, cls, text) {
+    const node = document.createElement(tag);
+    if (cls) node.className = cls;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  async function patch(task, fields) {
+    try {
+      await tasksApi(`/${task.id}`, { method: 'PATCH', body: JSON.stringify(fields) });
+      msg.textContent = 'Opgeslagen.';
+      load();
+    } catch (err) {
+      msg.textContent = `Opslaan mislukt: ${err.message}`;
+    }
+  }
+
+  async function toggleComments(task, box) {
+    if (!box.classList.contains('hidden')) { box.classList.add('hidden'); return; }
+    const { comments } = await tasksApi(`/${task.id}`);
+    box.innerHTML = '';
+    for (const c of comments) {
+      const row = el('div', 'text-xs border-l-2 pl-2');
+      row.append(
+        el('span', 'text-gray-500', `${c.user_email || '—'} · ${new Date(c.created_at).toLocaleString('nl-NL')}: `),
+        el('span', 'whitespace-pre-wrap', c.body)
+      );
+      box.appendChild(row);
+    }
+    const form = el('form', 'flex gap-2');
+    const input = el('input', 'flex-1 border rounded p-1 text-xs');
+    input.placeholder = 'Opmerking toevoegen…';
+    form.append(input, el('button', 'bg-gray-100 px-2 rounded text-xs hover:bg-gray-200', 'Plaatsen'));
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+      if (!input.value.trim()) return;
+      await tasksApi(`/${task.id}/comments`, { method: 'POST', body: JSON.stringify({ body: input.value }) });
+      box.classList.add('hidden');
+      await toggleComments(task, box);
+      load();
+    };
+    box.appendChild(form);
+    box.classList.remove('hidden');
+  }
+
+  function renderTask(task) {
+    const li = el('li', 'py-2 space-y-1');
+    const row = el('div', 'flex flex-wrap items-center gap-2');
+
+    const done = el('input', 'mr-1');
+    done.type = 'checkbox';
+    done.checked = task.status === 'done';
+    done.onchange = () => patch(task, { status: done.checked ? 'done' : 'open' });
+
+    const title = el('span', `flex-1 ${task.status === 'done' ? 'line-through text-gray-500' : ''}`, task.title);
+
+    const status = el('select', 'border rounded p-1 text-sm');
+    for (const [value, label] of Object.entries(STATUS_LABELS)) {
+      const opt = el('option', null, label);
+      opt.value = value;
+      opt.selected = task.status === value;
+      status.appendChild(opt);
+    }
+    status.onchange = () => patch(task, { status: status.value });
+
+    const due = el('input', 'border rounded p-1 text-sm');
+    due.type = 'date';
+    due.value = task.due_date ? String(task.due_date).slice(0, 10) : '';
+    due.onchange = () => patch(task, { due_date: due.value || null });
+
+    const comments = el('button', 'text-sm text-gray-600 hover:underline', `💬 ${task.comment_count}`);
+    const commentBox = el('div', 'hidden ml-6 space-y-1');
+    comments.onclick = () => toggleComments(task, commentBox).catch(err => { msg.textContent = err.message; });
+
+    row.append(done, title, status, due, comments);
+    if (!task.assignee_id) {
+      const claim = el('button', 'text-sm bg-gray-100 px-2 rounded hover:bg-gray-200', 'Oppakken');
+      claim.onclick = async () => {
+        const { me } = await apiFetch(`${BACKEND_URL}/config`).then(r => r.json());
+        patch(task, { assignee_id: me.id });
+      };
+      row.appendChild(claim);
+    }
+
+    const meta = el('div', 'ml-6 text-xs text-gray-500',
+      [task.assignee_email ? `Toegewezen aan ${task.assignee_email}` : 'Niet toegewezen',
+       task.ticket_subject ? `Ticket: ${task.ticket_subject}` : null].filter(Boolean).join(' · '));
+    li.append(row, meta, commentBox);
+    return li;
+  }
+
+  async function load() {
+    const qs = new URLSearchParams();
+    if (scopeSel.value) qs.set('assignee', scopeSel.value);
+    if (statusSel.value) qs.set('status', statusSel.value);
+    let tasks;
+    try {
+      ({ tasks } = await tasksApi(`?${qs}`));
+    } catch (err) {
+      list.innerHTML = '';
+      list.appendChild(el('li', 'py-2 text-red-600', `Taken laden mislukt: ${err.message}`));
+      return;
+    }
+    list.innerHTML = '';
+    if (!tasks.length) list.appendChild(el('li', 'py-2 text-gray-500 italic', 'Geen taken.'));
+    for (const task of tasks) list.appendChild(renderTask(task));
+  }
+
+  newForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const title = newTitle.value.trim();
+    if (!title) { newTitle.focus(); return; }
+    try {
+      // new tasks land on your own list
+      const { me } = await apiFetch(`${BACKEND_URL}/config`).then(r => r.json());
+      await tasksApi('', {
+        method: 'POST',
+        body: JSON.stringify({ title, due_date: newDue.value || undefined, assignee_id: me.id })
+      });
+      newTitle.value = '';
+      newDue.value = '';
+      load();
+    } catch (err) {
+      msg.textContent = `Toevoegen mislukt: ${err.message}`;
+    }
+  });
+
+  scopeSel?.addEventListener('change', load);
+  statusSel?.addEventListener('change', load);
+  refreshBtn?.addEventListener('click', load);
+  load();
+}
+
+// ---- Feedback review (admin: /feedback) ----
+function initFeedbackReview() {
+  const ratingSel = document.getElementById('fbRating');
+  const statusSel = document.getElementById('fbStatus');
+  const refreshBtn = document.getElementById('fbRefresh');
+  const panel = document.getElementById('fbPanel');
+  const errorBox = document.getElementById('fbError');
+  const list = document.getElementById('fbList');
+  const detail = document.getElementById('fbDetail');
+  const correction = document.getElementById('fbCorrection');
+  const layerSel = document.getElementById('fbLayer');
+  const curateBtn = document.getElementById('fbCurateBtn');
+  const dismissBtn = document.getElementById('fbDismissBtn');
+  const actionStatus = document.getElementById('fbActionStatus');
+  if (!list) return;
+
+  let selected = null;
+
+  async function feedbackApi(path = '', opts = {}) {
+    const res = await apiFetch(`${BACKEND_URL}/feedback${path}`, {
+      ...opts,
+      headers: { 'Content-Type': 'application/json', ...(opts.headers || {}) }
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+    return data;
+  }
+
+  function cell(text, cls = '') {
+    const td = document.createElement('td');
+    td.className = `py-1 ${cls}`;
+    td.textContent = text ?? '—';
+    return td;
+  }
+
+  async function load() {
+    const qs = `?rating=${encodeURIComponent(ratingSel.value)}&status=${encodeURIComponent(statusSel.value)}`;
+    let feedback;
+    try {
+      ({ feedback } = await feedbackApi(qs));
+    } catch (err) {
+      panel.classList.add('hidden');
+      errorBox.classList.remove('hidden');
+      errorBox.textContent = err.status === 403 ? 'Alleen beheerders kunnen feedback beoordelen.' : `Laden mislukt: ${err.message}`;
+      return;
+    }
+    errorBox.classList.add('hidden');
+    panel.classList.remove('hidden');
+    list.innerHTML = '';
+    if (!feedback.length) {
+      list.innerHTML = '<tr><td colspan="5" class="py-2 text-gray-500 italic">Geen feedback.</td></tr>';
+      return;
+    }
+    for (const f of feedback) {
+      const tr = document.createElement('tr');
+      tr.className = 'border-b cursor-pointer hover:bg-gray-50';
+      tr.classList.toggle('bg-gray-100', f.id === selected?.id);
+      tr.append(
+        cell(f.question, 'truncate max-w-xs'),
+        cell(`${f.rating > 0 ? '👍' : '👎'}${f.correction ? ' ✎' : ''}`),
+        cell(f.org_key),
+        cell(f.provider ? `${f.provider}:${f.model}` : null, 'text-xs'),
+        cell(new Date(f.created_at).toLocaleString('nl-NL'), 'text-xs')
+      );
+      tr.onclick = () => show(f.id);
+      list.appendChild(tr);
+    }
+  }
+
+  async function show(id) {
+    const { feedback: f, chunks } = await feedbackApi(`/${id}`);
+    selected = f;
+    document.getElementById('fbQuestion').textContent = f.question || '—';
+    document.getElementById('fbAnswer').textContent = f.answer;
+    document.getElementById('fbUsed').textContent = f.provider ? `(${f.provider}:${f.model})` : '';
+
+    const box = document.getElementById('fbChunks');
+    box.innerHTML = '';
+    if (!chunks.length) box.innerHTML = '<div class="text-gray-500 italic">Geen context gebruikt.</div>';
+    for (const c of chunks) {
+      const div = document.createElement('div');
+      div.className = 'border rounded p-2 text-xs whitespace-pre-wrap';
+      div.textContent = c.missing
+        ? `${c.id} — niet meer in de kennisbank`
+        : `[${c.layer}] ${c.metadata?.source || c.id}${c.metadata?.part ? ` #${c.metadata.part}` : ''}\n${c.text}`;
+      box.appendChild(div);
+    }
+
+    correction.value = f.correction || '';
+    actionStatus.textContent = f.status === 'curated' ? 'Al toegevoegd aan de kennisbank.' : '';
+    detail.classList.remove('hidden');
+    load();
+  }
+
+  curateBtn?.addEventListener('click', async () => {
+    if (!selected) return;
+    const text = correction.value.trim();
+    if (!text) { correction.focus(); return; }
+    actionStatus.textContent = 'Toevoegen…';
+    try {
+      await feedbackApi(`/${selected.id}/curate`, {
+        method: 'POST',
+        body: JSON.stringify({ layer: layerSel.value, text })
+      });
+      actionStatus.textContent = 'Wordt op de achtergrond aan de kennisbank toegevoegd.';
+      load();
+    } catch (err) {
+      actionStatus.textContent = `Mislukt: ${err.message}`;
+    }
+  });
+
+  dismissBtn?.addEventListener('click', async () => {
+    if (!selected) return;
+    try {
+      await feedbackApi(`/${selected.id}`, { method: 'PATCH', body: JSON.stringify({ status: 'dismissed' }) });
+      selected = null;
+      detail.classList.add('hidden');
+      load();
+    } catch (err) {
+      actionStatus.textContent = `Mislukt: ${err.message}`;
+    }
+  });
+
+  ratingSel?.addEventListener('change', load);
+  statusSel?.addEventListener('change', load);
+  refreshBtn?.addEventListener('click', load);
+  load().catch(err => console.warn('feedback review', err));
 }
 
 function setToken(t){ localStorage.setItem('token', t); }
 function getToken(){ return localStorage.getItem('token'); }
-function clearToken(){ localStorage.removeItem('token'); }
+function getRefreshToken(){ return localStorage.getItem('refresh_token'); }
+function clearToken(){ localStorage.removeItem('token'); localStorage.removeItem('refresh_token'); }
+// login / refresh response: short-lived access token + the next single-use refresh token
+function setSession(data){
+  setToken(data.token);
+  if (data.refresh_token) localStorage.setItem('refresh_token', data.refresh_token);
+}
+
+// --- Session refresh: one at a time, a refresh token only works once ---
+let refreshing = null;
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refresh_token = getRefreshToken();
+      if (!refresh_token) return false;
+      const res = await fetch(`${BACKEND_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token })
+      }).catch(() => null);
+      if (!res?.ok) {
+        // another tab may have rotated it in the meantime
+        if (getRefreshToken() !== refresh_token) return true;
+        if (res) clearToken();
+        return false;
+      }
+      setSession(await res.json());
+      return true;
+    })().finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+// Server-side logout: the refresh token ends the session (also when the access token expired)
+async function logoutSession() {
+  const refresh_token = getRefreshToken();
+  clearToken();
+  if (!refresh_token) return;
+  await fetch(`${BACKEND_URL}/auth/logout`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token })
+  }).catch(() => {});
+}
 
-// --- API wrapper (adds Authorization if we have a token) ---
+// --- API wrapper (adds Authorization if we have a token; on 401 refreshes once and retries) ---
 async function apiFetch(url, opts = {}) {
-  const headers = { ...(opts.headers || {}) };
-  const t = getToken();
-  if (t) headers.Authorization = `Bearer ${t}`;
-  const res = await fetch(url, { ...opts, headers });
-  return res;
-}
\ No newline at end of file
+  const send = () => {
+    const headers = { ...(opts.headers || {}) };
+    const t = getToken();
+    if (t) headers.Authorization = `Bearer ${t}`;
+    return fetch(url, { ...opts, headers });
+  };
+  const res = await send();
+  if (res.status !== 401 || !getRefreshToken()) return res;
+  return (await refreshSession()) ? send() : res;
+}
+
+// ---- Prompt templates (admin: /prompt-templates) ----
+async function initPromptTemplates() {
+  const scopeSel = document.getElementById('ptScope');
+  const refreshBtn = document.getElementById('ptRefresh');
+  const errorBox = document.getElementById('ptError');
+  const effective = document.getElementById('ptEffective');
+  const versions = document.getElementById('ptVersions');
+  const deactivateBtn = document.getElementById('ptDeactivate');
+  const body = document.getElementById('ptBody');
+  const variables = document.getElementById('ptVariables');
+  const note = document.getElementById('ptNote');
+  const saveBtn = document.getElementById('ptSave');
+  const question = document.getElementById('ptQuestion');
+  const previewBtn = document.getElementById('ptPreview');
+  const previewOut = document.getElementById('ptPreviewOut');
+  const status = document.getElementById('ptStatus');
+  if (!versions) return;
+
+  const SOURCE_LABELS = { org: 'eigen sjabloon', domain: 'domeinstandaard', builtin: 'ingebouwde standaard' };
+
+  async function templatesApi(path = '', opts = {}) {
+    const res = await apiFetch(`${BACKEND_URL}/prompt-templates${path}`, {
+      ...opts,
+      headers: { 'Content-Type': 'application/json', ...(opts.headers || {}) }
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+    return data;
+  }
+
+  function el(tag, cls, text) {
+    const node = document.createElement(tag);
+    if (cls) node.className = cls;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  // Scope: the admin's own org; super-admins can pick any org or the domain default
+  const { me, organizations = [] } = await apiFetch(`${BACKEND_URL}/config`).then(r => r.json());
+  const orgs = me.role === 'super-admin' ? organizations : organizations.filter(o => o.key === me.org_key);
+  for (const o of orgs.length ? orgs : [{ key: me.org_key, label: me.org_key }]) {
+    const opt = el('option', null, `${o.label} (${o.key})`);
+    opt.value = `org:${o.key}`;
+    opt.selected = o.key === me.org_key;
+    scopeSel.appendChild(opt);
+  }
+  if (me.role === 'super-admin') {
+    const opt = el('option', null, 'Domeinstandaard (alle organisaties)');
+    opt.value = 'domain';
+    scopeSel.appendChild(opt);
+  }
+
+  const scope = () => scopeSel.value === 'domain'
+    ? { scope: 'domain' }
+    : { org_id: scopeSel.value.slice(4) };
+
+  async function load() {
+    errorBox.classList.add('hidden');
+    let data;
+    try {
+      data = await templatesApi(`?${new URLSearchParams(scope())}`);
+    } catch (err) {
+      errorBox.textContent = `Sjablonen laden mislukt: ${err.message}`;
+      errorBox.classList.remove('hidden');
+      return;
+    }
+
+    variables.innerHTML = '';
+    for (const [name, desc] of Object.entries(data.variables)) {
+      variables.appendChild(el('div', null, `{{${name}}} — ${desc}`));
+    }
+
+    effective.textContent = data.effective
+      ? `Lara gebruikt nu: ${SOURCE_LABELS[data.effective.source]}${data.effective.version ? ` v${data.effective.version}` : ''}`
+      : '';
+    if (!body.value) body.value = data.effective?.body || data.templates[0]?.body || '';
+    deactivateBtn.classList.toggle('hidden', !data.templates.some(t => t.active));
+
+    versions.innerHTML = '';
+    if (!data.templates.length) versions.appendChild(el('li', 'py-2 text-gray-500 italic', 'Nog geen versies.'));
+    for (const t of data.templates) {
+      const li = el('li', 'py-2 flex items-center gap-2');
+      const label = el('div', 'flex-1');
+      label.append(
+        el('span', 'font-medium', `v${t.version}`),
+        el('span', 'text-gray-500', ` · ${t.created_by_email || '—'} · ${new Date(t.created_at).toLocaleString('nl-NL')}`)
+      );
+      if (t.note) label.appendChild(el('div', 'text-xs text-gray-600', t.note));
+      li.appendChild(label);
+      if (t.active) li.appendChild(el('span', 'text-xs bg-emerald-100 text-emerald-700 px-2 rounded', 'actief'));
+
+      const view = el('button', 'text-xs bg-gray-100 px-2 rounded hover:bg-gray-200', 'Bekijk');
+      view.onclick = () => { body.value = t.body; status.textContent = `v${t.version} staat in de editor.`; };
+      li.appendChild(view);
+      if (!t.active) {
+        const activate = el('button', 'text-xs bg-gray-100 px-2 rounded hover:bg-gray-200', 'Activeer');
+        activate.onclick = async () => {
+          try {
+            await templatesApi(`/${t.id}/activate`, { method: 'POST' });
+            status.textContent = `v${t.version} is weer actief.`;
+            load();
+          } catch (err) {
+            status.textContent = `Activeren mislukt: ${err.message}`;
+          }
+        };
+        li.appendChild(activate);
+      }
+      versions.appendChild(li);
+    }
+  }
+
+  saveBtn.onclick = async () => {
+    try {
+      const { template } = await templatesApi('', {
+        method: 'POST',
+        body: JSON.stringify({ ...scope(), body: body.value, note: note.value || undefined })
+      });
+      note.value = '';
+      status.textContent = `v${template.version} opgeslagen en actief.`;
+      load();
+    } catch (err) {
+      status.textContent = `Opslaan mislukt: ${err.message}`;
+    }
+  };
+
+  previewBtn.onclick = async () => {
+    if (scopeSel.value === 'domain') { status.textContent = 'Kies een organisatie voor het voorbeeld.'; return; }
+    if (!question.value.trim()) { question.focus(); return; }
+    previewBtn.disabled = true;
+    status.textContent = 'Voorbeeld maken…';
+    try {
+      const { prompt } = await templatesApi('/preview', {
+        method: 'POST',
+        body: JSON.stringify({ ...scope(), question: question.value, body: body.value })
+      });
+      previewOut.textContent = prompt;
+      previewOut.classList.remove('hidden');
+      status.textContent = '';
+    } catch (err) {
+      status.textContent = `Voorbeeld mislukt: ${err.message}`;
+    } finally {
+      previewBtn.disabled = false;
+    }
+  };
+
+  deactivateBtn.onclick = async () => {
+    try {
+      await templatesApi(`/active?${new URLSearchParams(scope())}`, { method: 'DELETE' });
+      status.textContent = 'Eigen sjabloon uitgeschakeld.';
+      load();
+    } catch (err) {
+      status.textContent = `Uitschakelen mislukt: ${err.message}`;
+    }
+  };
+
+  scopeSel.onchange = () => { body.value = ''; previewOut.classList.add('hidden'); load(); };
+  refreshBtn.onclick = load;
+  load();
+}
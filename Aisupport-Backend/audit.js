@@ -0,0 +1,94 @@
+// audit.js — append-only audit trail: who asked what, who added which documents, who changed which user
+import { pool } from './db.js';
+
+const EXPORT_MAX = parseInt(process.env.AUDIT_EXPORT_MAX || '50000', 10);
+
+export const AUDIT_OUTCOMES = ['ok', 'denied', 'failed'];
+
+const AUDIT_COLUMNS = ['id', 'at', 'request_id', 'actor_id', 'actor_email', 'actor_role', 'org_key',
+                       'action', 'outcome', 'target_type', 'target_id', 'ip', 'details'];
+
+// first hop of X-Forwarded-For (nginx) or the socket address
+export function clientIp(req) {
+  return String(req?.headers?.['x-forwarded-for'] || '').split(',')[0].trim() || req?.socket?.remoteAddress || null;
+}
+
+/**
+ * Append one entry. The actor defaults to the authenticated user of `req`
+ * (pass `actor` for logins, where there is none yet). Never throws: a failing
+ * audit write is logged loudly but does not fail the request it describes.
+ */
+export async function recordAudit(req, {
+  action, outcome = 'ok', orgKey, targetType = null, targetId = null, details = {}, actor = req?.user
+}) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (request_id, actor_id, actor_email, actor_role, org_key, action, outcome, target_type, target_id, ip, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [req?.id || null, actor?.sub || actor?.id || null, actor?.email || null, actor?.role || null,
+       orgKey !== undefined ? orgKey : actor?.org_key || null,
+       action, outcome, targetType, targetId == null ? null : String(targetId), clientIp(req), JSON.stringify(details || {})]
+    );
+  } catch (e) {
+    console.error(`[audit] could not record ${action} (${outcome}) by ${actor?.email || '-'}:`, e);
+  }
+}
+
+// ----- queries -----
+// `scopeOrg` = that org's entries; `action` matches exactly or, ending in '.', as a prefix ("user.")
+function auditWhere({ scopeOrg, action, actor, targetId, requestId, outcome, from, to, beforeId }) {
+  const where = [];
+  const vals = [];
+  if (scopeOrg)  { vals.push(scopeOrg);         where.push(`org_key=$${vals.length}`); }
+  if (action) {
+    vals.push(action.endsWith('.') ? `${action}%` : action);
+    where.push(`action ${action.endsWith('.') ? 'LIKE' : '='} $${vals.length}`);
+  }
+  if (actor) {
+    const byId = /^[0-9a-f-]{36}$/i.test(actor);
+    vals.push(byId ? actor : `%${actor}%`);
+    where.push(byId ? `actor_id=$${vals.length}` : `actor_email ILIKE $${vals.length}`);
+  }
+  if (targetId)  { vals.push(String(targetId)); where.push(`target_id=$${vals.length}`); }
+  if (requestId) { vals.push(requestId);        where.push(`request_id=$${vals.length}`); }
+  if (outcome)   { vals.push(outcome);          where.push(`outcome=$${vals.length}`); }
+  if (from)      { vals.push(from);             where.push(`at >= $${vals.length}`); }
+  if (to)        { vals.push(to);               where.push(`at < $${vals.length}`); }
+  if (beforeId)  { vals.push(beforeId);         where.push(`id < $${vals.length}`); }
+  return { where: where.length ? `WHERE ${where.join(' AND ')}` : '', vals };
+}
+
+// Newest first; page further back with `beforeId` = the last id you got
+export async function queryAudit(filters = {}, { limit = 200 } = {}) {
+  const { where, vals } = auditWhere(filters);
+  vals.push(Math.min(parseInt(limit, 10) || 200, 1000));
+  const { rows } = await pool.query(
+    `SELECT ${AUDIT_COLUMNS.join(', ')} FROM audit_log ${where} ORDER BY id DESC LIMIT $${vals.length}`,
+    vals
+  );
+  return rows;
+}
+
+// ----- CSV export -----
+function csvCell(value) {
+  let s = value == null ? '' : value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Oldest first, at most the newest AUDIT_EXPORT_MAX rows; `truncated` says whether older ones were left out
+export async function exportAuditCsv(filters = {}) {
+  const { where, vals } = auditWhere(filters);
+  vals.push(EXPORT_MAX + 1);
+  const { rows } = await pool.query(
+    `SELECT ${AUDIT_COLUMNS.join(', ')} FROM (
+       SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT $${vals.length}
+     ) a ORDER BY id`,
+    vals
+  );
+  const truncated = rows.length > EXPORT_MAX;
+  const lines = [AUDIT_COLUMNS.join(',')];
+  for (const r of truncated ? rows.slice(1) : rows) lines.push(AUDIT_COLUMNS.map(c => csvCell(r[c])).join(','));
+  return { csv: `${lines.join('\r\n')}\r\n`, rows: lines.length - 1, truncated };
+}
@@ -2,11 +2,22 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { pool } from './db.js';
-import { ORGANIZATIONS } from './organizations.js';
+import { getOrganization } from './organizations.js';
 import { PROVIDERS } from './llm.js';
+import { isSessionActive } from './sessions.js';
+import { ROLES, can, normalizeRole } from './permissions.js';
 
-const JWT_SECRET  = process.env.JWT_SECRET  || 'dev-secret';
-const JWT_EXPIRES = process.env.JWT_EXPIRES || '8h';
+// read when used, so a JWT_SECRET from .env (loaded after the imports) counts
+const DEV_SECRET  = 'dev-secret';
+const jwtSecret   = () => process.env.JWT_SECRET || DEV_SECRET;
+const jwtExpires  = () => process.env.JWT_EXPIRES || '15m'; // access tokens; sessions live on through refresh tokens (sessions.js)
+
+// Called before the server starts: anyone knowing the default secret could mint admin tokens
+export function assertAuthConfig() {
+  if (process.env.NODE_ENV !== 'production') return;
+  if (jwtSecret() === DEV_SECRET) throw new Error('JWT_SECRET must be set to a strong secret in production (refusing to start with the default)');
+  if (jwtSecret().length < 32) throw new Error('JWT_SECRET is too short for production (use at least 32 characters)');
+}
 
 // ----- password helpers -----
 export async function hashPassword(password) {
@@ -18,63 +29,91 @@ export async function verifyPassword(password, hash) {
 }
 
 // ----- jwt helpers -----
-export function issueToken({ id, email, role, org_key, provider }) {
-  return jwt.sign({ sub: id, email, role, org_key, provider }, JWT_SECRET, { expiresIn: JWT_EXPIRES });
+// `sid` = the login session (sessions.js) the token belongs to
+export function issueToken({ id, email, role, org_key, provider, sid }) {
+  return jwt.sign({ sub: id, email, role, org_key, provider, sid }, jwtSecret(), { expiresIn: jwtExpires() });
 }
 export function verifyToken(token) {
-  return jwt.verify(token, JWT_SECRET);
+  return jwt.verify(token, jwtSecret());
 }
 
 // ----- auth middleware -----
-export function requireAuth(req, res, next) {
+// Tokens of a logged-out or revoked session stop working (tokens without a session predate sessions.js)
+export async function requireAuth(req, res, next) {
+  let payload;
   try {
     const h = req.headers.authorization || '';
     const token = h.startsWith('Bearer ') ? h.slice(7) : null;
     if (!token) return res.status(401).json({ error: 'missing token' });
-    const payload = verifyToken(token);
-    req.user = {
-      sub: payload.sub,
-      email: payload.email,
-      role: payload.role,
-      org_key: payload.org_key,
-      provider: payload.provider,
-    };
-    next();
+    payload = verifyToken(token);
   } catch {
     return res.status(401).json({ error: 'invalid token' });
   }
-}
-export function requireRole(role) {
-  return (req, res, next) => {
-    if (!req.user) return res.status(401).json({ error: 'unauthorized' });
-    if (req.user.role !== role) return res.status(403).json({ error: 'forbidden' });
-    next();
+  try {
+    if (!(await isSessionActive(payload.sid))) return res.status(401).json({ error: 'session has ended' });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+  req.user = {
+    sub: payload.sub,
+    email: payload.email,
+    role: normalizeRole(payload.role), // tokens from before the RBAC roles
+    org_key: payload.org_key,
+    provider: payload.provider,
+    sid: payload.sid,
   };
+  next();
+}
+// Cross-org access (the orgs.all permission, see permissions.js)
+export function isSuperAdmin(user) {
+  return can(user, 'orgs.all');
+}
+
+/**
+ * Tenant a request may act on: always the caller's own org_key, unless a
+ * super-admin explicitly asks for another org. Anyone else asking for a
+ * different org gets { status: 403 }.
+ */
+export function resolveOrgKey(user, requested) {
+  if (!requested || requested === user.org_key) return { orgKey: user.org_key };
+  if (isSuperAdmin(user)) return { orgKey: requested };
+  return { status: 403, error: 'cross-org access is not allowed' };
 }
 
 // ----- user ops -----
-export async function createUser({ email, password, role='user', org_key, provider }) {
-  if (!ORGANIZATIONS[org_key]) throw new Error('Invalid org_key');
-  if (!PROVIDERS[provider])   throw new Error('Invalid provider');
+// provider defaults to the org's default_provider setting, then PROVIDER
+export async function createUser({ email, password, role='agent', org_key, provider, model = null }) {
+  role = normalizeRole(role);
+  const org = await getOrganization(org_key);
+  if (!org?.active) throw Object.assign(new Error('Invalid org_key'), { status: 400 });
+  provider = provider || org.settings?.default_provider || process.env.PROVIDER || 'OLLAMA';
+  if (!PROVIDERS[provider])   throw Object.assign(new Error('Invalid provider'), { status: 400 });
+  if (!ROLES.includes(role))   throw Object.assign(new Error('Invalid role'), { status: 400 });
 
   const password_hash = await hashPassword(password);
   const { rows } = await pool.query(
-    `INSERT INTO users (id, email, password_hash, role, org_key, provider)
-     VALUES (gen_random_uuid(), $1, $2, $3, $4, $5)
-     RETURNING id, email, role, org_key, provider`,
-     [email, password_hash, role, org_key, provider]
+    `INSERT INTO users (id, email, password_hash, role, org_key, provider, model)
+     VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6)
+     RETURNING id, email, role, org_key, provider, model`,
+     [email, password_hash, role, org_key, provider, model]
   );
   return rows[0];
 }
 
+// Checks the password; the caller starts the session (startSession in sessions.js)
 export async function authenticate(email, password) {
   const { rows } = await pool.query(`SELECT * FROM users WHERE email=$1`, [email]);
   const u = rows[0];
   if (!u) throw new Error('Invalid credentials');
-  const ok = await verifyPassword(password, u.password_hash);
+  // SSO-provisioned users have no password
+  const ok = u.password_hash ? await verifyPassword(password, u.password_hash) : false;
   if (!ok) throw new Error('Invalid credentials');
-  const token = issueToken({ id: u.id, email: u.email, role: u.role, org_key: u.org_key, provider: u.provider });
-  return { token, user: { id: u.id, email: u.email, role: u.role, org_key: u.org_key, provider: u.provider } };
+  const org = await getOrganization(u.org_key);
+  if (!org?.active) throw Object.assign(new Error(`Organization ${u.org_key} is deactivated`), { status: 403, reason: 'organization deactivated' });
+  if (org.settings?.password_login === false && u.role !== 'super-admin') {
+    throw Object.assign(new Error(`Password login is disabled for ${u.org_key}; sign in with single sign-on`), { status: 403, reason: 'password login disabled' });
+  }
+  return { user: { id: u.id, email: u.email, role: u.role, org_key: u.org_key, provider: u.provider } };
 }
 
 export async function getUserByEmail(email) {
@@ -85,8 +124,13 @@ export async function getUserById(id) {
   const { rows } = await pool.query(`SELECT * FROM users WHERE id=$1`, [id]);
   return rows[0] || null;
 }
-export async function listUsers() {
-  const { rows } = await pool.query(`SELECT id,email,role,org_key,provider,created_at FROM users ORDER BY created_at DESC`);
+// scopeOrg: only that org's users (org-admins); omitted: everyone
+export async function listUsers({ scopeOrg } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id,email,role,org_key,provider,model,created_at FROM users
+     WHERE ($1::text IS NULL OR org_key=$1) ORDER BY created_at DESC`,
+    [scopeOrg || null]
+  );
   return rows;
 }
 export async function updateUser(id, fields) {
@@ -100,17 +144,20 @@ export async function updateUser(id, fields) {
   if (!cols.length) return getUserById(id);
   vals.push(id);
   const { rows } = await pool.query(
-    `UPDATE users SET ${cols.join(', ')}, updated_at=now() WHERE id=$${i} RETURNING id,email,role,org_key,provider,created_at`,
+    `UPDATE users SET ${cols.join(', ')}, updated_at=now() WHERE id=$${i} RETURNING id,email,role,org_key,provider,model,created_at`,
     vals
   );
   return rows[0] || null;
 }
 
 // ----- org seeding -----
+// First boot only: once the table has rows, admins manage orgs through /organizations
 export async function seedOrganizations(orgs) {
   if (!orgs || !Object.keys(orgs).length) return;
+  const { rows } = await pool.query(`SELECT 1 FROM organizations LIMIT 1`);
+  if (rows.length) return;
   const text = `INSERT INTO organizations(key,label) VALUES ($1,$2)
-                ON CONFLICT (key) DO UPDATE SET label=EXCLUDED.label`;
+                ON CONFLICT (key) DO NOTHING`;
   for (const [key, v] of Object.entries(orgs)) {
     await pool.query(text, [key, v.label]);
   }
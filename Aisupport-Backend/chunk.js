@@ -1,12 +1,251 @@
-// Simple word-based chunking (token-approx). Replace with tiktoken later if needed.
-export function chunkText(text, { maxTokens = 700, overlapTokens = 120 } = {}) {
-  const words = (text || '').split(/\s+/);
+// chunk.js — structure-aware chunking on top of extractDocument() (ingest.js)
+import { countTokens } from './tokens.js';
+
+const MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS || '512', 10);
+const OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS || '64', 10);
+// what new uploads are chunked with (recorded with evaluation runs)
+export const CHUNK_SETTINGS = { max_tokens: MAX_TOKENS, overlap_tokens: OVERLAP_TOKENS };
+
+// kind -> (extracted, opts) => [{ text, metadata }]
+const CHUNKERS = {};
+
+export function registerChunker(kind, fn) {
+  CHUNKERS[kind] = fn;
+}
+
+/**
+ * Chunk an extracted document with the strategy registered for its kind.
+ * Every chunk is { text, metadata } where metadata says where it came from
+ * (page / section, sheet + rows, or xml_path) so citations can point there.
+ */
+export function chunkDocument(extracted, { maxTokens = MAX_TOKENS, overlapTokens = OVERLAP_TOKENS } = {}) {
+  const fn = CHUNKERS[extracted.kind] || CHUNKERS.text;
+  return fn(extracted, { maxTokens, overlapTokens })
+    .filter(c => c.text.trim())
+    .map(c => (extracted.title && !c.metadata.title ? { ...c, metadata: { ...c.metadata, title: extracted.title } } : c));
+}
+
+// Plain text in, plain strings out
+export function chunkText(text, opts) {
+  return chunkDocument({ kind: 'text', text }, opts).map(c => c.text);
+}
+
+// ----- shared packing -----
+// Split one oversized piece: sentences first, word windows as a last resort
+function splitPiece(text, maxTokens, overlapTokens) {
+  const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g)?.map(s => s.trim()).filter(Boolean) || [text];
+  const out = [];
+  for (const s of sentences) {
+    if (countTokens(s) <= maxTokens) { out.push(s); continue; }
+    const words = s.split(/\s+/);
+    // words are ~1.3 tokens; shrink the window until it fits
+    let size = Math.max(1, Math.floor(maxTokens / 1.5));
+    const step = () => Math.max(1, size - Math.floor(overlapTokens / 1.5));
+    for (let i = 0; i < words.length; i += step()) {
+      let slice = words.slice(i, i + size).join(' ');
+      while (size > 1 && countTokens(slice) > maxTokens) {
+        size = Math.floor(size * 0.8);
+        slice = words.slice(i, i + size).join(' ');
+      }
+      out.push(slice);
+      if (i + size >= words.length) break;
+    }
+  }
+  return out;
+}
+
+/**
+ * Greedily pack pieces ({ text, ...meta }) into chunks of at most maxTokens,
+ * each prefixed with `header` (section path, sheet header row, ...). When a
+ * chunk is full the last piece is repeated in the next one if it fits in the
+ * overlap budget.
+ */
+function pack(pieces, { header = '', maxTokens, overlapTokens, meta }) {
+  const headerTokens = header ? countTokens(header) + 1 : 0;
+  const budget = Math.max(16, maxTokens - headerTokens);
+
+  const flat = [];
+  for (const p of pieces) {
+    const tokens = countTokens(p.text);
+    if (tokens <= budget) flat.push({ ...p, tokens });
+    else for (const part of splitPiece(p.text, budget, overlapTokens)) flat.push({ ...p, text: part, tokens: countTokens(part) });
+  }
+
   const chunks = [];
-  let i = 0;
-  while (i < words.length) {
-    const slice = words.slice(i, i + maxTokens).join(' ');
-    if (slice.trim()) chunks.push(slice);
-    i += Math.max(1, (maxTokens - overlapTokens));
+  let cur = [], curTokens = 0;
+  const flush = () => {
+    if (!cur.length) return;
+    const body = cur.map(p => p.text).join('\n');
+    chunks.push({ text: header ? `${header}\n${body}` : body, metadata: meta(cur) });
+  };
+  for (const p of flat) {
+    if (cur.length && curTokens + p.tokens > budget) {
+      flush();
+      const last = cur[cur.length - 1];
+      cur = last.tokens <= overlapTokens && last.tokens + p.tokens <= budget ? [last] : [];
+      curTokens = cur.reduce((n, x) => n + x.tokens, 0);
+    }
+    cur.push(p);
+    curTokens += p.tokens;
   }
+  flush();
   return chunks;
 }
+
+// ----- headings / paragraphs (PDF pages and plain text) -----
+function headingOf(line) {
+  const md = /^(#{1,6})\s+(.+)$/.exec(line);
+  if (md) return { level: md[1].length, title: md[2].trim() };
+  if (line.length > 80 || /[.;,:]$/.test(line) || line.split(/\s+/).length > 10) return null;
+  const num = /^(\d+(?:\.\d+)*)\.?\s+\p{Lu}/u.exec(line);
+  if (num) return { level: num[1].split('.').length, title: line };
+  if (line.length >= 3 && /\p{Lu}{2}/u.test(line) && line === line.toUpperCase()) return { level: 1, title: line };
+  return null;
+}
+
+// `unit` names the location key in metadata: page/page_end or slide/slide_end
+function chunkSections(pages, { maxTokens, overlapTokens }, unit = 'page') {
+  // walk lines into sections: { path: [titles], paragraphs: [{ text, page }] }
+  const sections = [];
+  const path = [];
+  let section = { path: [], paragraphs: [] };
+  let para = null;
+
+  const endParagraph = () => {
+    if (para?.text.trim()) section.paragraphs.push(para);
+    para = null;
+  };
+  const startSection = (h) => {
+    endParagraph();
+    if (section.paragraphs.length) sections.push(section);
+    path.length = Math.min(path.length, h.level - 1);
+    path[h.level - 1] = h.title;
+    section = { path: path.filter(Boolean), paragraphs: [] };
+  };
+
+  for (const { page, text } of pages) {
+    for (const raw of (text || '').split('\n')) {
+      const line = raw.trim();
+      if (!line) { endParagraph(); continue; }
+      const h = headingOf(line);
+      if (h) { startSection(h); continue; }
+      if (!para) para = { text: line, page };
+      else para.text += ` ${line}`;
+    }
+    endParagraph(); // paragraphs don't continue across page breaks
+  }
+  endParagraph();
+  if (section.paragraphs.length) sections.push(section);
+
+  return sections.flatMap(s => pack(s.paragraphs, {
+    header: s.path.length ? `[${s.path.join(' > ')}]` : '',
+    maxTokens,
+    overlapTokens,
+    meta: (pieces) => {
+      const pagesUsed = pieces.map(p => p.page).filter(p => p != null);
+      return {
+        section: s.path.length ? s.path.join(' > ') : undefined,
+        [unit]: pagesUsed.length ? Math.min(...pagesUsed) : undefined,
+        [`${unit}_end`]: pagesUsed.length ? Math.max(...pagesUsed) : undefined
+      };
+    }
+  }));
+}
+
+registerChunker('pages', (doc, opts) => chunkSections(doc.pages, opts, doc.unit || 'page'));
+registerChunker('text', (doc, opts) => chunkSections([{ page: null, text: doc.text }], opts));
+
+// ----- bundles (e-mail body + attachments): chunk each part on its own -----
+registerChunker('bundle', (doc, opts) => doc.parts.flatMap(part => chunkDocument(part.doc, opts).map(c => ({
+  ...c,
+  metadata: {
+    ...c.metadata,
+    // nested attachments read as "forwarded.eml > procedure.pdf"
+    attachment: [part.name, c.metadata.attachment].filter(Boolean).join(' > ') || undefined
+  }
+}))));
+
+// ----- row groups with the header row repeated (xlsx/csv) -----
+const csvCell = (v) => {
+  const s = String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csvRow = (row) => row.map(csvCell).join(',');
+
+registerChunker('sheets', (doc, { maxTokens, overlapTokens }) => doc.sheets.flatMap((sheet) => {
+  const numbered = sheet.rows
+    .map((row, i) => ({ row, rowNumber: sheet.firstRow + i }))
+    .filter(r => r.row.some(c => String(c).trim()));
+  if (!numbered.length) return [];
+
+  const [head, ...body] = numbered;
+  const header = `# Sheet: ${sheet.name}\n${csvRow(head.row)}`;
+  if (!body.length) return [{ text: header, metadata: { sheet: sheet.name, rows: `${head.rowNumber}` } }];
+
+  return pack(body.map(r => ({ text: csvRow(r.row), rowNumber: r.rowNumber })), {
+    header,
+    maxTokens,
+    overlapTokens: 0, // whole rows only, never repeated
+    meta: (pieces) => ({
+      sheet: sheet.name,
+      rows: `${pieces[0].rowNumber}-${pieces[pieces.length - 1].rowNumber}`
+    })
+  });
+}));
+
+// ----- element paths (XML) -----
+function xmlLines(node, indent = '') {
+  if (node == null || typeof node !== 'object') return [`${indent}${String(node ?? '')}`];
+  const lines = [];
+  for (const [key, value] of Object.entries(node)) {
+    const items = Array.isArray(value) ? value : [value];
+    for (const item of items) {
+      if (item == null || typeof item !== 'object') lines.push(`${indent}${key}: ${String(item ?? '')}`);
+      else lines.push(`${indent}${key}:`, ...xmlLines(item, `${indent}  `));
+    }
+  }
+  return lines;
+}
+
+// Units small enough to embed, each with the element path it came from
+function xmlUnits(node, path, maxTokens) {
+  const text = xmlLines(node).join('\n');
+  if (node == null || typeof node !== 'object' || countTokens(text) <= maxTokens) {
+    return [{ path, text }];
+  }
+  const units = [];
+  for (const [key, value] of Object.entries(node)) {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => units.push(...xmlUnits({ [key]: item }, `${path}/${key}[${i + 1}]`, maxTokens)));
+    } else if (value != null && typeof value === 'object') {
+      units.push(...xmlUnits(value, `${path}/${key}`, maxTokens));
+    } else {
+      units.push({ path, text: `${key}: ${String(value ?? '')}` });
+    }
+  }
+  return units;
+}
+
+registerChunker('xml', (doc, { maxTokens, overlapTokens }) => {
+  const [rootName] = Object.keys(doc.root || {});
+  if (!rootName) return [];
+  const units = xmlUnits(doc.root[rootName], `/${rootName}`, maxTokens);
+
+  // pack siblings under the same parent path together
+  const groups = [];
+  for (const u of units) {
+    const parent = u.path.replace(/\/[^/]+$/, '') || u.path;
+    const g = groups[groups.length - 1];
+    if (g && g.parent === parent) g.units.push(u);
+    else groups.push({ parent, units: [u] });
+  }
+
+  return groups.flatMap(g => pack(g.units.map(u => ({ text: `${u.path}\n${u.text}`, path: u.path })), {
+    maxTokens,
+    overlapTokens: 0,
+    meta: (pieces) => ({
+      xml_path: pieces.length === 1 ? pieces[0].path : g.parent,
+      xml_paths: pieces.length > 1 ? pieces.map(p => p.path) : undefined
+    })
+  }));
+});
@@ -0,0 +1,64 @@
+// citations.js — inline [n] markers in answers, checked against the passages the model was given
+import { pool } from './db.js';
+import { chunkLocation } from './prompt.js';
+
+// [1] / [1, 3] / [2;4]; a run like [1][2] is two markers
+const MARKER = /\s?\[(\d+(?:\s*[,;]\s*\d+)*)\]/g;
+
+/**
+ * Keep markers that point at one of the `count` passages and drop the rest
+ * (a marker with no valid number disappears together with its leading space).
+ * Returns { answer, cited, invalid }; `cited` in order of first use.
+ */
+export function validateCitations(answer, count) {
+  const cited = [];
+  const invalid = [];
+  const text = String(answer || '').replace(MARKER, (marker, list) => {
+    const nums = list.split(/[,;]/).map(n => parseInt(n, 10));
+    const valid = nums.filter(n => n >= 1 && n <= count);
+    invalid.push(...nums.filter(n => !valid.includes(n)));
+    for (const n of valid) if (!cited.includes(n)) cited.push(n);
+    if (!valid.length) return '';
+    return `${marker.startsWith(' ') ? ' ' : ''}[${valid.join(', ')}]`;
+  });
+  return { answer: text, cited, invalid: [...new Set(invalid)] };
+}
+
+/**
+ * What the UI needs to show a cited passage: its text, where it sits in the
+ * original and, when the original file is stored, where to download it.
+ */
+export async function citationsForResponse(cited, contextSnippets) {
+  const picked = cited.map(n => ({ n, s: contextSnippets[n - 1] })).filter(({ s }) => s);
+  const docIds = [...new Set(picked.map(({ s }) => s.document_id).filter(Boolean))];
+  const stored = new Set();
+  if (docIds.length) {
+    const { rows } = await pool.query(
+      `SELECT id FROM documents WHERE id = ANY($1) AND original IS NOT NULL`,
+      [docIds]
+    );
+    for (const r of rows) stored.add(r.id);
+  }
+  return picked.map(({ n, s }) => {
+    const m = s.metadata || {};
+    return {
+      n,
+      id: s.id,
+      source: m.source,
+      layer: s.layer,
+      document_id: s.document_id || null,
+      page: m.page ?? null,
+      page_end: m.page_end ?? null,
+      section: m.section ?? null,
+      location: chunkLocation(m) || null,
+      text: s.text,
+      url: stored.has(s.document_id) ? `/documents/${s.document_id}/original` : null
+    };
+  });
+}
+
+// Answer with only valid markers + the cited passages; { answer, citations, invalid }
+export async function citeAnswer(answer, contextSnippets) {
+  const { answer: text, cited, invalid } = validateCitations(answer, contextSnippets.length);
+  return { answer: text, citations: await citationsForResponse(cited, contextSnippets), invalid };
+}
@@ -0,0 +1,81 @@
+// conversations.js
+import { pool } from './db.js';
+
+const HISTORY_MESSAGES = parseInt(process.env.HISTORY_MESSAGES || '6', 10); // 3 turns
+
+export async function createConversation({ userId, orgKey, title = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO conversations (user_id, org_key, title)
+     VALUES ($1, $2, $3)
+     RETURNING id, title, created_at, updated_at`,
+    [userId, orgKey, title]
+  );
+  return rows[0];
+}
+
+export async function listConversations(userId) {
+  const { rows } = await pool.query(
+    `SELECT c.id, c.title, c.created_at, c.updated_at,
+            (SELECT count(*)::int FROM messages m WHERE m.conversation_id = c.id) AS message_count
+     FROM conversations c
+     WHERE c.user_id = $1
+     ORDER BY c.updated_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+// Owner-scoped: returns null for someone else's conversation
+export async function getConversation(id, userId) {
+  const { rows } = await pool.query(
+    `SELECT id, title, org_key, created_at, updated_at FROM conversations WHERE id=$1 AND user_id=$2`,
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+export async function getMessages(conversationId) {
+  const { rows } = await pool.query(
+    `SELECT id, role, content, context, citations, created_at FROM messages
+     WHERE conversation_id=$1 ORDER BY created_at, id`,
+    [conversationId]
+  );
+  return rows;
+}
+
+// Last N messages in chronological order (for condensing + prompt history)
+export async function recentMessages(conversationId, limit = HISTORY_MESSAGES) {
+  const { rows } = await pool.query(
+    `SELECT role, content FROM (
+       SELECT role, content, created_at FROM messages
+       WHERE conversation_id=$1 ORDER BY created_at DESC LIMIT $2
+     ) t ORDER BY created_at`,
+    [conversationId, limit]
+  );
+  return rows;
+}
+
+export async function deleteConversation(id, userId) {
+  const { rowCount } = await pool.query(`DELETE FROM conversations WHERE id=$1 AND user_id=$2`, [id, userId]);
+  return rowCount > 0;
+}
+
+// Store one question/answer pair; the first question becomes the title.
+// Returns the assistant message id (feedback is given on that message).
+export async function appendTurn(conversationId, { question, answer, context, used = null, citations = [] }) {
+  await pool.query(
+    `INSERT INTO messages (conversation_id, role, content, created_at) VALUES ($1, 'user', $2, clock_timestamp())`,
+    [conversationId, question]
+  );
+  const { rows } = await pool.query(
+    `INSERT INTO messages (conversation_id, role, content, context, used, citations, created_at)
+     VALUES ($1, 'assistant', $2, $3, $4, $5, clock_timestamp())
+     RETURNING id`,
+    [conversationId, answer, JSON.stringify(context || []), used && JSON.stringify(used), JSON.stringify(citations || [])]
+  );
+  await pool.query(
+    `UPDATE conversations SET updated_at=now(), title=COALESCE(title, $2) WHERE id=$1`,
+    [conversationId, String(question).slice(0, 80)]
+  );
+  return rows[0].id;
+}
@@ -4,6 +4,9 @@ dotenv.config();
 
 export const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
 
+// dimension of the initial `embedding` column (768 = nomic-embed-text)
+const EMBED_DIM = parseInt(process.env.EMBED_DIM || '768', 10);
+
 // NOTE: ensureSchema() creates BOTH KB tables and auth tables/extensions
 export async function ensureSchema() {
   await pool.query(`CREATE EXTENSION IF NOT EXISTS vector;`);
@@ -14,7 +17,7 @@ export async function ensureSchema() {
       id TEXT PRIMARY KEY,
       text TEXT NOT NULL,
       metadata JSONB NOT NULL,
-      embedding VECTOR(768) NOT NULL
+      embedding VECTOR(${EMBED_DIM}) NOT NULL
     );
   `);
   await pool.query(`
@@ -28,7 +31,7 @@ export async function ensureSchema() {
       org_id TEXT NOT NULL,
       text TEXT NOT NULL,
       metadata JSONB NOT NULL,
-      embedding VECTOR(768) NOT NULL
+      embedding VECTOR(${EMBED_DIM}) NOT NULL
     );
   `);
   await pool.query(`
@@ -43,13 +46,21 @@ export async function ensureSchema() {
       label TEXT NOT NULL
     );
   `);
+  // managed by admins since the static map went away; settings holds ORG_SETTINGS (organizations.js)
+  await pool.query(`
+    ALTER TABLE organizations
+      ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT true,
+      ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+  `);
 
   await pool.query(`
     CREATE TABLE IF NOT EXISTS users (
       id UUID PRIMARY KEY,
       email TEXT UNIQUE NOT NULL,
       password_hash TEXT NOT NULL,
-      role TEXT NOT NULL CHECK (role IN ('admin','user')),
+      role TEXT NOT NULL CHECK (role IN ('viewer','agent','kb-editor','org-admin','super-admin')),
       org_key TEXT NOT NULL REFERENCES organizations(key) ON DELETE RESTRICT,
       provider TEXT NOT NULL,
       created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
@@ -57,6 +68,543 @@ export async function ensureSchema() {
     );
   `);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_users_org ON users(org_key);`);
+  // the user's own model for their provider (NULL = the provider's default)
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS model TEXT;`);
+  // RBAC roles (permissions.js): admin became org-admin, user became agent
+  await pool.query(`ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;`);
+  await pool.query(`UPDATE users SET role = CASE role WHEN 'admin' THEN 'org-admin' ELSE 'agent' END WHERE role IN ('admin','user');`);
+  await pool.query(`ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('viewer','agent','kb-editor','org-admin','super-admin'));`);
+
+  // ----- knowledge base documents (one row per uploaded file, chunks point to it) -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      filename TEXT NOT NULL,
+      layer TEXT NOT NULL CHECK (layer IN ('domain','org')),
+      org_id TEXT,
+      mimetype TEXT,
+      size_bytes INTEGER,
+      uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      content_hash TEXT,
+      chunk_count INTEGER NOT NULL DEFAULT 0,
+      version INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_documents_layer_org ON documents(layer, org_id);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_documents_hash ON documents(content_hash);`);
+  // the uploaded file itself, for citation links (documents ingested before this have none)
+  await pool.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS original BYTEA;`);
+  for (const table of ['kb_domain', 'kb_org']) {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS document_id UUID REFERENCES documents(id) ON DELETE CASCADE;`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_${table}_document ON ${table}(document_id);`);
+    // chunks of an ingest that has not been swapped in yet (see ingestDocument); never searched
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS pending BOOLEAN NOT NULL DEFAULT false;`);
+  }
+  await backfillDocuments();
+
+  // ----- embedding collections: which vector column holds which provider/model/dimension -----
+  // `embedding` is the first collection; re-embedding adds embedding_<id> next to it
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS embedding_collections (
+      id SERIAL PRIMARY KEY,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      dimension INTEGER NOT NULL,
+      column_name TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL CHECK (status IN ('building','active','retired','failed')),
+      options JSONB NOT NULL DEFAULT '{}',
+      embedded INTEGER NOT NULL DEFAULT 0,
+      total INTEGER,
+      error TEXT,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      activated_at TIMESTAMPTZ
+    );
+  `);
+  // at most one active and one building collection at a time
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_collections_active ON embedding_collections(status) WHERE status IN ('active','building');`);
+  // the legacy per-text /api/embeddings endpoint returns unnormalised vectors; keep using it for this column
+  await pool.query(`
+    INSERT INTO embedding_collections (provider, model, dimension, column_name, status, options, activated_at)
+    SELECT 'OLLAMA', $1, $2, 'embedding', 'active', '{"legacy_endpoint": true}', now()
+    WHERE NOT EXISTS (SELECT 1 FROM embedding_collections)
+  `, [process.env.EMBED_MODEL || 'nomic-embed-text', EMBED_DIM]);
+  for (const table of ['kb_domain', 'kb_org']) {
+    // rows ingested after a switch only fill the active collection's column
+    await pool.query(`ALTER TABLE ${table} ALTER COLUMN embedding DROP NOT NULL;`);
+  }
+
+  // ----- full-text search (lexical retrieval next to pgvector) -----
+  // Dutch config for stemmed words, simple config (weight A) so identifiers like
+  // K22332A or error codes also match verbatim.
+  for (const table of ['kb_domain', 'kb_org']) {
+    await pool.query(`
+      ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS tsv tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', text), 'A') || setweight(to_tsvector('dutch', text), 'B')
+      ) STORED;
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_${table}_tsv ON ${table} USING GIN (tsv);`);
+  }
+
+  // ----- background ingestion queue (claimed with FOR UPDATE SKIP LOCKED) -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ingest_jobs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued','running','done','failed')),
+      filename TEXT NOT NULL,
+      mimetype TEXT,
+      size_bytes INTEGER,
+      content_hash TEXT,
+      file BYTEA,
+      layer TEXT NOT NULL CHECK (layer IN ('domain','org')),
+      org_id TEXT,
+      uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+      replace BOOLEAN NOT NULL DEFAULT false,
+      chunks_done INTEGER NOT NULL DEFAULT 0,
+      chunks_total INTEGER,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      error TEXT,
+      run_after TIMESTAMPTZ NOT NULL DEFAULT now(),
+      heartbeat_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ingest_jobs_pending ON ingest_jobs(status, run_after);`);
+
+  // ----- chat history -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      org_key TEXT NOT NULL,
+      title TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id, updated_at DESC);`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS messages (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      role TEXT NOT NULL CHECK (role IN ('user','assistant')),
+      content TEXT NOT NULL,
+      context JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, created_at);`);
+  // provider/model/org an answer was generated with (assistant messages)
+  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS used JSONB;`);
+  // the passages an answer cites with [n] markers
+  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS citations JSONB;`);
+
+  // ----- answer feedback (snapshot, so it survives deleting the conversation) -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS feedback (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      org_key TEXT,
+      question TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      chunk_ids TEXT[] NOT NULL DEFAULT '{}',
+      provider TEXT,
+      model TEXT,
+      rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)),
+      correction TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','curated','dismissed')),
+      reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      reviewed_at TIMESTAMPTZ,
+      curated_job_id UUID REFERENCES ingest_jobs(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (message_id, user_id)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_feedback_queue ON feedback(status, rating, created_at DESC);`);
+
+  // ----- tickets (Lotte): intake + a RAG-drafted reply, drafted in the background -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS tickets (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_key TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      from_address TEXT,
+      from_name TEXT,
+      body TEXT NOT NULL,
+      source TEXT NOT NULL DEFAULT 'api' CHECK (source IN ('api','email')),
+      message_id TEXT,
+      attachments JSONB NOT NULL DEFAULT '[]',
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','closed')),
+      received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      draft_status TEXT NOT NULL DEFAULT 'queued' CHECK (draft_status IN ('queued','running','done','failed')),
+      draft_reply TEXT,
+      suggested_tasks JSONB NOT NULL DEFAULT '[]',
+      draft_context JSONB,
+      draft_used JSONB,
+      draft_error TEXT,
+      draft_attempts INTEGER NOT NULL DEFAULT 0,
+      draft_run_after TIMESTAMPTZ NOT NULL DEFAULT now(),
+      draft_heartbeat_at TIMESTAMPTZ,
+      drafted_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_tickets_org ON tickets(org_key, received_at DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_tickets_draft ON tickets(draft_status, draft_run_after);`);
+  // the same e-mail delivered twice becomes one ticket
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_tickets_message_id ON tickets(org_key, message_id) WHERE message_id IS NOT NULL;`);
+
+  // ----- tasks (Takenlijst), optionally created from a ticket's suggestions -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS tasks (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_key TEXT NOT NULL,
+      ticket_id UUID REFERENCES tickets(id) ON DELETE SET NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','in_progress','done')),
+      assignee_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      due_date DATE,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      completed_at TIMESTAMPTZ
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_org ON tasks(org_key, status, due_date);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_assignee ON tasks(assignee_id, status);`);
+  // accepting a ticket's suggestions twice doesn't duplicate them
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_ticket_title ON tasks(ticket_id, title) WHERE ticket_id IS NOT NULL;`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS task_comments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      body TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_task_comments_task ON task_comments(task_id, created_at);`);
+
+  // ----- prompt templates: versioned per org; org_key NULL = domain default -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS prompt_templates (
+      id SERIAL PRIMARY KEY,
+      org_key TEXT,
+      version INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      note TEXT,
+      active BOOLEAN NOT NULL DEFAULT false,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      activated_at TIMESTAMPTZ
+    );
+  `);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_version ON prompt_templates((COALESCE(org_key, '')), version);`);
+  // at most one live version per org (and one domain default)
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates((COALESCE(org_key, ''))) WHERE active;`);
+
+  // ----- audit log: append-only (no FKs, so entries outlive the users and documents they mention) -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      request_id TEXT,
+      actor_id UUID,
+      actor_email TEXT,
+      actor_role TEXT,
+      org_key TEXT,
+      action TEXT NOT NULL,
+      outcome TEXT NOT NULL DEFAULT 'ok' CHECK (outcome IN ('ok','denied','failed')),
+      target_type TEXT,
+      target_id TEXT,
+      ip TEXT,
+      details JSONB NOT NULL DEFAULT '{}'
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_org ON audit_log(org_key, id DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, id DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, id DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_at ON audit_log(at);`);
+  await pool.query(`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await pool.query(`
+    DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_append_only') THEN
+        CREATE TRIGGER audit_log_append_only
+        BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+      END IF;
+    END $$;
+  `);
+
+  // ----- PII policy per org (orgs without a row use the PII_MODE default with all detectors) -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pii_policies (
+      org_key TEXT PRIMARY KEY,
+      mode TEXT NOT NULL DEFAULT 'redact' CHECK (mode IN ('redact','local')),
+      detectors TEXT[] NOT NULL DEFAULT '{}',
+      patterns JSONB NOT NULL DEFAULT '[]',
+      names TEXT[] NOT NULL DEFAULT '{}',
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+
+  // ----- LLM usage: one row per LLM call made for /ask -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id BIGSERIAL PRIMARY KEY,
+      at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      request_id TEXT,
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      org_key TEXT,
+      provider TEXT NOT NULL,
+      model TEXT,
+      purpose TEXT NOT NULL,
+      prompt_tokens INT NOT NULL DEFAULT 0,
+      completion_tokens INT NOT NULL DEFAULT 0,
+      estimated BOOLEAN NOT NULL DEFAULT false
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_llm_usage_org_at ON llm_usage(org_key, at);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_llm_usage_user_at ON llm_usage(user_id, at);`);
+
+  // ----- LLM allow-list per org: one row per allowed provider (models '{}' = any); no rows = no restriction -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS llm_allowlists (
+      org_key TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      models TEXT[] NOT NULL DEFAULT '{}',
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (org_key, provider)
+    );
+  `);
+
+  // Per-org limits; NULL = the env default, 0 = unlimited
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS usage_limits (
+      org_key TEXT PRIMARY KEY,
+      user_per_minute INT,
+      org_per_minute INT,
+      monthly_requests INT,
+      monthly_tokens BIGINT,
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+
+  // ----- login sessions: access tokens carry the session id; refresh tokens are stored as sha256 -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      last_used_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ,
+      revoked_reason TEXT,
+      ip TEXT,
+      user_agent TEXT
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id, created_at DESC);`);
+  // one row per issued refresh token; used_at set = rotated (presenting it again revokes the session)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      token_hash TEXT PRIMARY KEY,
+      session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      used_at TIMESTAMPTZ
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      token_hash TEXT PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ,
+      ip TEXT
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets(user_id);`);
+
+  // ----- single sign-on (oidc.js): one OpenID Connect provider per org -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS oidc_providers (
+      org_key TEXT PRIMARY KEY REFERENCES organizations(key) ON DELETE CASCADE,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      issuer TEXT NOT NULL,
+      client_id TEXT NOT NULL,
+      client_secret TEXT,
+      scopes TEXT NOT NULL DEFAULT 'openid profile email',
+      email_claim TEXT NOT NULL DEFAULT 'email',
+      groups_claim TEXT NOT NULL DEFAULT 'groups',
+      role_map JSONB NOT NULL DEFAULT '{}',
+      default_role TEXT,
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  // in-flight logins: state + PKCE verifier until the callback, then the one-time handoff code (hashed)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS oidc_logins (
+      state TEXT PRIMARY KEY,
+      org_key TEXT NOT NULL,
+      code_verifier TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      completed_at TIMESTAMPTZ,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      handoff_hash TEXT
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_oidc_logins_handoff ON oidc_logins(handoff_hash);`);
+  // taking over existing accounts on first SSO login is opt-in (super-admin, see oidc.js)
+  await pool.query(`ALTER TABLE oidc_providers ADD COLUMN IF NOT EXISTS link_existing BOOLEAN NOT NULL DEFAULT false;`);
+  // role maps written before the RBAC roles
+  await pool.query(`
+    UPDATE oidc_providers SET
+      default_role = CASE default_role WHEN 'admin' THEN 'org-admin' WHEN 'user' THEN 'agent' ELSE default_role END,
+      role_map = COALESCE((
+        SELECT jsonb_object_agg(g, CASE r WHEN 'admin' THEN 'org-admin' WHEN 'user' THEN 'agent' ELSE r END)
+        FROM jsonb_each_text(role_map) AS m(g, r)
+      ), '{}'::jsonb)
+    WHERE default_role IN ('admin','user') OR role_map::text ~ '"(admin|user)"';
+  `);
+  // IdP identity (issuer + sub) -> local user, created on the first SSO login
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_identities (
+      issuer TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      last_login_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (issuer, subject)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);`);
+  // SSO-provisioned users have no password
+  await pool.query(`ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;`);
+
+  // ----- evaluation (evaluation.js): golden question sets per org, runs with per-question results -----
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS eval_sets (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      org_key TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (org_key, name)
+    );
+  `);
+  // expected_documents: document ids and/or filenames, any of which counts as a hit
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS eval_questions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      set_id UUID NOT NULL REFERENCES eval_sets(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      question TEXT NOT NULL,
+      expected_documents JSONB NOT NULL DEFAULT '[]'::jsonb,
+      reference_answer TEXT
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_eval_questions_set ON eval_questions(set_id, position);`);
+  // config: retrieval/LLM settings the run used; metrics: averages over its questions
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS eval_runs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      set_id UUID NOT NULL REFERENCES eval_sets(id) ON DELETE CASCADE,
+      org_key TEXT NOT NULL,
+      label TEXT,
+      config JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued','running','done','failed')),
+      metrics JSONB,
+      error TEXT,
+      started_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      heartbeat_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_eval_runs_set ON eval_runs(set_id, created_at DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_eval_runs_status ON eval_runs(status, created_at);`);
+  // snapshot of the question, so results stay readable after the set is edited
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS eval_results (
+      run_id UUID NOT NULL REFERENCES eval_runs(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      question TEXT NOT NULL,
+      expected_documents JSONB NOT NULL,
+      reference_answer TEXT,
+      answer TEXT,
+      context JSONB,
+      citations JSONB,
+      nothing_relevant BOOLEAN,
+      recall DOUBLE PRECISION,
+      reciprocal_rank DOUBLE PRECISION,
+      citation_accuracy DOUBLE PRECISION,
+      faithfulness DOUBLE PRECISION,
+      correctness DOUBLE PRECISION,
+      judge JSONB,
+      error TEXT,
+      duration_ms INTEGER,
+      PRIMARY KEY (run_id, position)
+    );
+  `);
+}
+
+// Chunks uploaded before the documents table existed are grouped by metadata.source.
+// Backfilled rows have content_hash NULL, so they never match a real upload.
+async function backfillDocuments() {
+  await pool.query(`
+    INSERT INTO documents (filename, layer, org_id, chunk_count)
+    SELECT COALESCE(metadata->>'source', '(unknown)'), 'domain', NULL, count(*)
+    FROM kb_domain WHERE document_id IS NULL
+    GROUP BY 1
+  `);
+  await pool.query(`
+    UPDATE kb_domain k SET document_id = d.id
+    FROM documents d
+    WHERE k.document_id IS NULL AND d.content_hash IS NULL AND d.layer = 'domain'
+      AND d.filename = COALESCE(k.metadata->>'source', '(unknown)')
+  `);
+  await pool.query(`
+    INSERT INTO documents (filename, layer, org_id, chunk_count)
+    SELECT COALESCE(metadata->>'source', '(unknown)'), 'org', org_id, count(*)
+    FROM kb_org WHERE document_id IS NULL
+    GROUP BY 1, 3
+  `);
+  await pool.query(`
+    UPDATE kb_org k SET document_id = d.id
+    FROM documents d
+    WHERE k.document_id IS NULL AND d.content_hash IS NULL AND d.layer = 'org'
+      AND d.org_id = k.org_id AND d.filename = COALESCE(k.metadata->>'source', '(unknown)')
+  `);
 }
 
 export function toVectorLiteral(vec) {
@@ -68,45 +616,102 @@ export function toVectorLiteral(vec) {
   return `[${nums.join(',')}]`;
 }
 
-export async function insertChunk({ table, id, text, metadata, embedding }) {
-  const emb = toVectorLiteral(embedding);
+// Vector column names come from embedding_collections; never interpolate anything else
+export function vectorColumn(name) {
+  if (!/^embedding(_\d+)?$/.test(name || '')) throw new Error(`invalid vector column: ${name}`);
+  return name;
+}
+
+// `vectors`: [{ column, vector }], one per collection that is being written
+export async function insertChunk({ table, id, text, metadata, vectors, documentId = null, pending = false }) {
+  const cols = ['id', 'text', 'metadata', 'document_id', 'pending'];
+  const params = [id, text, metadata, documentId, pending];
+  const values = ['$1', '$2', '$3', '$4', '$5'];
+  if (table === 'kb_org') {
+    cols.push('org_id');
+    params.push(metadata.org_id);
+    values.push(`$${params.length}`);
+  }
+  for (const { column, vector } of vectors) {
+    cols.push(vectorColumn(column));
+    params.push(toVectorLiteral(vector));
+    values.push(`$${params.length}::vector`);
+  }
   const q = `
-    INSERT INTO ${table} (id, text, metadata, embedding${table === 'kb_org' ? ', org_id' : ''})
-    VALUES ($1, $2, $3, $4::vector${table === 'kb_org' ? ', $5' : ''})
+    INSERT INTO ${table} (${cols.join(', ')})
+    VALUES (${values.join(', ')})
     ON CONFLICT (id) DO UPDATE
-      SET text = EXCLUDED.text,
-          metadata = EXCLUDED.metadata,
-          embedding = EXCLUDED.embedding
-      ${table === 'kb_org' ? ', org_id = EXCLUDED.org_id' : ''}
+      SET ${cols.filter(c => c !== 'id').map(c => `${c} = EXCLUDED.${c}`).join(',\n          ')}
   `;
-  const params = table === 'kb_org'
-    ? [id, text, metadata, emb, metadata.org_id]
-    : [id, text, metadata, emb];
-
   await pool.query(q, params);
 }
 
-export async function searchOrg({ orgId, queryEmbedding, limit = 6 }) {
+export async function searchOrg({ orgId, queryEmbedding, limit = 6, column = 'embedding' }) {
   const emb = toVectorLiteral(queryEmbedding);
+  const col = vectorColumn(column);
   const q = `
-    SELECT id, text, metadata, (embedding <#> $2::vector) AS distance
+    SELECT id, document_id, text, metadata, (${col} <#> $2::vector) AS distance
     FROM kb_org
-    WHERE org_id = $1
-    ORDER BY embedding <#> $2::vector
+    WHERE org_id = $1 AND ${col} IS NOT NULL AND NOT pending
+    ORDER BY ${col} <#> $2::vector
     LIMIT ${limit}
   `;
   const { rows } = await pool.query(q, [orgId, emb]);
   return rows;
 }
 
-export async function searchDomain({ queryEmbedding, limit = 4 }) {
+export async function searchDomain({ queryEmbedding, limit = 4, column = 'embedding' }) {
   const emb = toVectorLiteral(queryEmbedding);
+  const col = vectorColumn(column);
   const q = `
-    SELECT id, text, metadata, (embedding <#> $1::vector) AS distance
+    SELECT id, document_id, text, metadata, (${col} <#> $1::vector) AS distance
     FROM kb_domain
-    ORDER BY embedding <#> $1::vector
+    WHERE ${col} IS NOT NULL AND NOT pending
+    ORDER BY ${col} <#> $1::vector
     LIMIT ${limit}
   `;
   const { rows } = await pool.query(q, [emb]);
   return rows;
 }
+
+// Question -> OR-ed tsquery terms. Words go through the Dutch config (stemming,
+// stopwords); tokens containing a digit are looked up verbatim via the simple config.
+export function toLexicalTerms(question) {
+  const tokens = String(question || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const words = [], codes = [];
+  for (const t of new Set(tokens)) {
+    if (t.length < 2) continue;
+    (/\d/.test(t) ? codes : words).push(t);
+  }
+  return { words: words.join(' | '), codes: codes.join(' | ') };
+}
+
+const TSQUERY = `(to_tsquery('dutch', $1) || to_tsquery('simple', $2))`;
+
+export async function searchOrgLexical({ orgId, query, limit = 6 }) {
+  const { words, codes } = toLexicalTerms(query);
+  if (!words && !codes) return [];
+  const q = `
+    SELECT id, document_id, text, metadata, ts_rank_cd(tsv, ${TSQUERY}) AS rank
+    FROM kb_org
+    WHERE org_id = $3 AND tsv @@ ${TSQUERY} AND NOT pending
+    ORDER BY rank DESC
+    LIMIT ${limit}
+  `;
+  const { rows } = await pool.query(q, [words, codes, orgId]);
+  return rows;
+}
+
+export async function searchDomainLexical({ query, limit = 4 }) {
+  const { words, codes } = toLexicalTerms(query);
+  if (!words && !codes) return [];
+  const q = `
+    SELECT id, document_id, text, metadata, ts_rank_cd(tsv, ${TSQUERY}) AS rank
+    FROM kb_domain
+    WHERE tsv @@ ${TSQUERY} AND NOT pending
+    ORDER BY rank DESC
+    LIMIT ${limit}
+  `;
+  const { rows } = await pool.query(q, [words, codes]);
+  return rows;
+}
@@ -0,0 +1,205 @@
+// documents.js
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool, insertChunk } from './db.js';
+import { embedForWrite } from './embeddings.js';
+import { chunkDocument } from './chunk.js';
+import { extractDocument } from './ingest.js';
+
+const EMBED_CONCURRENCY = parseInt(process.env.EMBED_CONCURRENCY || '3', 10);
+const EMBED_BATCH = parseInt(process.env.EMBED_BATCH || '16', 10);
+
+export const LAYER_TABLES = { domain: 'kb_domain', org: 'kb_org' };
+
+// never SELECT the original itself for listings
+const DOC_COLUMNS = `id, filename, layer, org_id, mimetype, size_bytes, uploaded_by,
+                     content_hash, chunk_count, version, (original IS NOT NULL) AS has_original,
+                     created_at, updated_at`;
+
+export function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// tiny concurrency helper
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let i = 0, inFlight = 0;
+  return new Promise((resolve, reject) => {
+    const next = () => {
+      if (i >= items.length && inFlight === 0) return resolve(out);
+      while (inFlight < limit && i < items.length) {
+        const idx = i++;
+        inFlight++;
+        Promise.resolve(fn(items[idx], idx))
+          .then(v => { out[idx] = v; })
+          .catch(reject)
+          .finally(() => { inFlight--; next(); });
+      }
+    };
+    next();
+  });
+}
+
+// ----- queries -----
+// `scopeOrg` limits the result to the shared domain layer plus that org's own documents
+export async function listDocuments({ layer, orgId, scopeOrg } = {}) {
+  const where = [];
+  const vals = [];
+  if (layer) { vals.push(layer); where.push(`layer=$${vals.length}`); }
+  if (orgId) { vals.push(orgId); where.push(`org_id=$${vals.length}`); }
+  if (scopeOrg) { vals.push(scopeOrg); where.push(`(layer='domain' OR org_id=$${vals.length})`); }
+  const { rows } = await pool.query(
+    `SELECT ${DOC_COLUMNS} FROM documents
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY updated_at DESC`,
+    vals
+  );
+  return rows;
+}
+
+export async function getDocument(id) {
+  const { rows } = await pool.query(`SELECT ${DOC_COLUMNS} FROM documents WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+
+export async function getDocumentChunks(doc) {
+  const { rows } = await pool.query(
+    `SELECT id, text, metadata FROM ${LAYER_TABLES[doc.layer]}
+     WHERE document_id=$1 AND NOT pending
+     ORDER BY (metadata->>'part')::int NULLS LAST, id`,
+    [doc.id]
+  );
+  return rows;
+}
+
+// The uploaded file as it was last ingested (null for documents from before originals were kept)
+export async function getDocumentOriginal(id) {
+  const { rows } = await pool.query(
+    `SELECT filename, mimetype, original FROM documents WHERE id=$1 AND original IS NOT NULL`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+export async function findDocumentByHash({ layer, orgId, hash }) {
+  const { rows } = await pool.query(
+    `SELECT ${DOC_COLUMNS} FROM documents
+     WHERE content_hash=$1 AND layer=$2 AND org_id IS NOT DISTINCT FROM $3
+     LIMIT 1`,
+    [hash, layer, layer === 'org' ? orgId : null]
+  );
+  return rows[0] || null;
+}
+
+// Chunks are removed through ON DELETE CASCADE
+export async function deleteDocument(id) {
+  const { rowCount } = await pool.query(`DELETE FROM documents WHERE id=$1`, [id]);
+  return rowCount > 0;
+}
+
+// ----- ingestion -----
+export async function createDocument({ file, layer, orgId, uploadedBy = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO documents (filename, layer, org_id, mimetype, size_bytes, uploaded_by, content_hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${DOC_COLUMNS}`,
+    [file.originalname, layer, layer === 'org' ? orgId : null, file.mimetype, file.size, uploadedBy, contentHash(file.buffer)]
+  );
+  return rows[0];
+}
+
+/**
+ * Extract -> chunk -> embed -> insert one file into `doc`.
+ * Chunk ids are `${chunkIdPrefix}-${part}`, so a retried run with the same prefix
+ * skips parts that were already stored. Parts are stored as pending, which search
+ * does not see; when all parts are in, one transaction drops the document's
+ * previous chunks and makes the new ones live (version + 1 when `replace`), and
+ * the file itself is kept as the document's original for citation links.
+ * On failure nothing is cleaned up; use discardChunks() once you give up.
+ */
+export async function ingestDocument({ file, doc, replace = false, uploadedBy = null, chunkIdPrefix = uuidv4(), onProgress = () => {} }) {
+  const table = LAYER_TABLES[doc.layer];
+  const orgId = doc.org_id;
+  const hash = contentHash(file.buffer);
+
+  console.time(`[ingest] extract ${chunkIdPrefix}`);
+  const extracted = await extractDocument({
+    buffer: file.buffer,
+    mimetype: file.mimetype,
+    originalname: file.originalname
+  });
+  console.timeEnd(`[ingest] extract ${chunkIdPrefix}`);
+
+  // page / section, sheet + rows or xml_path end up in each chunk's metadata
+  const chunks = chunkDocument(extracted);
+  if (!chunks.length) {
+    throw Object.assign(new Error('Uploaded file contains no extractable text'), { status: 400, permanent: true });
+  }
+  const version = replace ? doc.version + 1 : doc.version;
+  const chunkId = (idx) => `${chunkIdPrefix}-${idx + 1}`;
+
+  const { rows: existing } = await pool.query(
+    `SELECT id FROM ${table} WHERE document_id=$1 AND id LIKE $2`,
+    [doc.id, `${chunkIdPrefix}-%`]
+  );
+  const done = new Set(existing.map(r => r.id));
+  const todo = chunks.map((ch, idx) => ({ ch, idx })).filter(({ idx }) => !done.has(chunkId(idx)));
+  let doneCount = chunks.length - todo.length;
+  const batches = [];
+  for (let i = 0; i < todo.length; i += EMBED_BATCH) batches.push(todo.slice(i, i + EMBED_BATCH));
+  console.log(`[ingest] ${file.originalname}: chunks=${chunks.length} resumed=${doneCount} batches=${batches.length} concurrency=${EMBED_CONCURRENCY}`);
+  await onProgress(doneCount, chunks.length);
+
+  await mapLimit(batches, EMBED_CONCURRENCY, async (batch) => {
+    // one vector set per collection being written (two while a re-embed is running)
+    const sets = await embedForWrite(batch.map(({ ch }) => ch.text));
+    for (const [n, { ch, idx }] of batch.entries()) {
+      const metadata = {
+        ...ch.metadata,
+        source: file.originalname,
+        layer: doc.layer,
+        org_id: doc.layer === 'org' ? orgId : undefined,
+        document_id: doc.id,
+        version,
+        part: idx + 1,
+        total_parts: chunks.length,
+        kb_version: new Date().toISOString().slice(0, 10)
+      };
+      const vectors = sets.map(s => ({ column: s.column, vector: s.vectors[n] }));
+      await insertChunk({ table, id: chunkId(idx), text: ch.text, metadata, vectors, documentId: doc.id, pending: true });
+    }
+    doneCount += batch.length;
+    await onProgress(doneCount, chunks.length);
+  });
+
+  const newIds = chunks.map((_, idx) => chunkId(idx));
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM ${table} WHERE document_id=$1 AND NOT (id = ANY($2))`, [doc.id, newIds]);
+    await client.query(`UPDATE ${table} SET pending=false WHERE document_id=$1 AND id = ANY($2)`, [doc.id, newIds]);
+    const { rows } = await client.query(
+      `UPDATE documents
+       SET filename=$2, mimetype=$3, size_bytes=$4, content_hash=$5, chunk_count=$6, version=$7,
+           uploaded_by=COALESCE($8, uploaded_by), original=$9, updated_at=now()
+       WHERE id=$1
+       RETURNING ${DOC_COLUMNS}`,
+      [doc.id, file.originalname, file.mimetype, file.size, hash, newIds.length, version, uploadedBy, file.buffer]
+    );
+    await client.query('COMMIT');
+    return { document: rows[0], parts: newIds.length };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Remove the parts a failed ingest run left behind
+export async function discardChunks(doc, chunkIdPrefix) {
+  await pool.query(
+    `DELETE FROM ${LAYER_TABLES[doc.layer]} WHERE document_id=$1 AND id LIKE $2`,
+    [doc.id, `${chunkIdPrefix}-%`]
+  );
+}
@@ -0,0 +1,310 @@
+// embeddings.js — embedding providers + the collections (vector columns) they fill
+import axios from 'axios';
+import { pool, toVectorLiteral, vectorColumn } from './db.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const EMBED_BATCH      = parseInt(P('EMBED_BATCH', '16'), 10);
+const TIMEOUT_EMBED    = parseInt(P('TIMEOUT_EMBED_BATCH', '120000'), 10);
+const CACHE_MS         = parseInt(P('EMBED_COLLECTION_CACHE_MS', '15000'), 10);
+const MAX_INDEX_DIM    = 2000; // ivfflat limit
+const KB_TABLES        = ['kb_domain', 'kb_org'];
+
+export const EMBED_PROVIDERS = {
+  OLLAMA: {
+    label: 'Local (Ollama)',
+    defaultModel: P('EMBED_MODEL') || 'nomic-embed-text',
+  },
+  OPENAI: {
+    label: 'OpenAI-compatible',
+    defaultModel: 'text-embedding-3-small',
+  },
+  MISTRAL: {
+    label: 'Mistral',
+    defaultModel: 'mistral-embed',
+  }
+};
+
+// OpenAI-compatible /embeddings endpoints; OPENAI_EMBED_URL points at any compatible server
+const EMBED_APIS = {
+  OPENAI:  { url: () => P('OPENAI_EMBED_URL', 'https://api.openai.com/v1/embeddings'), keyEnv: 'OPENAI_API_KEY' },
+  MISTRAL: { url: () => P('MISTRAL_EMBED_URL', 'https://api.mistral.ai/v1/embeddings'), keyEnv: 'MISTRAL_API_KEY' },
+};
+
+export function listEmbedProviders() {
+  return Object.entries(EMBED_PROVIDERS).map(([key, v]) => ({
+    key, label: v.label, defaultModel: v.defaultModel
+  }));
+}
+
+function providerError(provider, err) {
+  const detail = err.response?.data?.error?.message || err.response?.data?.error || err.message || err;
+  return new Error(`${provider} embedding failed: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+}
+
+/**
+ * Embed a batch of texts with one provider call. `options.legacy_endpoint` keeps
+ * the original collection on Ollama's per-text /api/embeddings (unnormalised
+ * vectors), so new chunks stay comparable with the ones already stored.
+ */
+export async function embedBatch(texts, { provider, model, options = {} }) {
+  provider = String(provider || '').toUpperCase();
+  if (!texts.length) return [];
+  try {
+    if (provider === 'OLLAMA' && options.legacy_endpoint) {
+      const out = [];
+      for (const prompt of texts) {
+        const { data } = await axios.post(`${P('OLLAMA_URL')}/api/embeddings`, { model, prompt }, { timeout: TIMEOUT_EMBED });
+        out.push(data.embedding);
+      }
+      return out;
+    }
+    if (provider === 'OLLAMA') {
+      const { data } = await axios.post(`${P('OLLAMA_URL')}/api/embed`, { model, input: texts }, { timeout: TIMEOUT_EMBED });
+      return data.embeddings;
+    }
+    const api = EMBED_APIS[provider];
+    if (!api) throw Object.assign(new Error(`Unsupported embedding provider: ${provider}`), { status: 400 });
+    const { data } = await axios.post(
+      api.url(),
+      { model, input: texts },
+      { headers: { Authorization: `Bearer ${P(api.keyEnv)}` }, timeout: TIMEOUT_EMBED }
+    );
+    return [...data.data].sort((a, b) => a.index - b.index).map(d => d.embedding);
+  } catch (err) {
+    throw err.isAxiosError ? providerError(provider, err) : err;
+  }
+}
+
+// embedBatch() for one collection, checking the vectors fit its column
+async function embedFor(collection, texts) {
+  const vectors = await embedBatch(texts, collection);
+  const bad = vectors.find(v => v?.length !== collection.dimension);
+  if (bad || vectors.length !== texts.length) {
+    throw Object.assign(
+      new Error(`${collection.provider}:${collection.model} returned ${bad ? `${bad?.length}-dim` : `${vectors.length}/${texts.length}`} vectors, collection ${collection.id} expects ${texts.length} x ${collection.dimension}`),
+      { permanent: true }
+    );
+  }
+  return vectors;
+}
+
+// ----- collections -----
+const COLLECTION_COLUMNS = `id, provider, model, dimension, column_name, status, options, embedded, total,
+                            error, created_by, created_at, activated_at`;
+
+let cache = { at: 0, rows: null };
+
+async function liveCollections({ fresh = false } = {}) {
+  if (fresh || !cache.rows || Date.now() - cache.at > CACHE_MS) {
+    const { rows } = await pool.query(
+      `SELECT ${COLLECTION_COLUMNS} FROM embedding_collections WHERE status IN ('active','building')`
+    );
+    cache = { at: Date.now(), rows };
+  }
+  return cache.rows;
+}
+
+export async function listCollections() {
+  const { rows } = await pool.query(`SELECT ${COLLECTION_COLUMNS} FROM embedding_collections ORDER BY id DESC`);
+  return rows;
+}
+
+export async function activeCollection() {
+  const active = (await liveCollections()).find(c => c.status === 'active');
+  if (!active) throw new Error('no active embedding collection');
+  return active;
+}
+
+// Query vector + the collection (column) it has to be searched in
+export async function embedQuery(text) {
+  const collection = await activeCollection();
+  const [vector] = await embedFor(collection, [text]);
+  return { vector, collection };
+}
+
+/**
+ * Vectors for new chunks: one set per collection being written (the active one,
+ * plus the one being built during a re-embed). Returns [{ column, vectors }].
+ */
+export async function embedForWrite(texts) {
+  const targets = await liveCollections();
+  if (!targets.some(c => c.status === 'active')) throw new Error('no active embedding collection');
+  return Promise.all(targets.map(async c => ({ column: c.column_name, vectors: await embedFor(c, texts) })));
+}
+
+// ----- re-embedding -----
+/**
+ * Start filling a new vector column with `provider`/`model` next to the active
+ * one. Search keeps using the old column until the new one is complete and
+ * indexed; then both statuses flip in one transaction.
+ */
+export async function startReembedding({ provider, model, createdBy = null }) {
+  provider = String(provider || '').toUpperCase();
+  if (!EMBED_PROVIDERS[provider]) {
+    throw Object.assign(new Error(`provider must be one of ${Object.keys(EMBED_PROVIDERS).join(', ')}`), { status: 400 });
+  }
+  model = model || EMBED_PROVIDERS[provider].defaultModel;
+
+  // the probe doubles as a connectivity/credentials check
+  let probe;
+  try {
+    [probe] = await embedBatch(['dimension probe'], { provider, model });
+  } catch (e) {
+    throw Object.assign(e, { status: e.status || 502 });
+  }
+  const dimension = probe?.length;
+  if (!dimension) throw Object.assign(new Error(`${provider}:${model} returned no embedding`), { status: 502 });
+
+  // row + columns in one transaction, so ingests never see a collection without its column
+  const client = await pool.connect();
+  let collection;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO embedding_collections (id, provider, model, dimension, column_name, status, created_by)
+       SELECT n.id, $1, $2, $3, 'embedding_' || n.id, 'building', $4
+       FROM (SELECT nextval(pg_get_serial_sequence('embedding_collections', 'id'))::int AS id) n
+       RETURNING ${COLLECTION_COLUMNS}`,
+      [provider, model, dimension, createdBy]
+    );
+    collection = rows[0];
+    const col = vectorColumn(collection.column_name);
+    for (const table of KB_TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${col} VECTOR(${dimension})`);
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.code === '23505') throw Object.assign(new Error('a re-embedding is already running'), { status: 409 });
+    throw e;
+  } finally {
+    client.release();
+  }
+  await liveCollections({ fresh: true });
+  buildCollection(collection);
+  return collection;
+}
+
+async function withRetry(fn, attempts = 3) {
+  for (let n = 1; ; n++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (e.permanent || n >= attempts) throw e;
+      await new Promise(r => setTimeout(r, 2000 * 2 ** (n - 1)));
+    }
+  }
+}
+
+// Embed every row whose column is still NULL; returns the number of rows filled
+async function fillMissing(collection, onBatch = async () => {}) {
+  const col = vectorColumn(collection.column_name);
+  let filled = 0;
+  for (const table of KB_TABLES) {
+    for (;;) {
+      const { rows } = await pool.query(
+        `SELECT id, text FROM ${table} WHERE ${col} IS NULL ORDER BY id LIMIT $1`,
+        [EMBED_BATCH]
+      );
+      if (!rows.length) break;
+      const vectors = await withRetry(() => embedFor(collection, rows.map(r => r.text)));
+      await pool.query(
+        `UPDATE ${table} t SET ${col} = v.vec::vector
+         FROM unnest($1::text[], $2::text[]) AS v(id, vec)
+         WHERE t.id = v.id`,
+        [rows.map(r => r.id), vectors.map(toVectorLiteral)]
+      );
+      filled += rows.length;
+      await onBatch(filled);
+    }
+  }
+  return filled;
+}
+
+async function buildCollection(collection) {
+  const col = vectorColumn(collection.column_name);
+  const tag = `[embeddings] collection ${collection.id} (${collection.provider}:${collection.model}, ${collection.dimension}d)`;
+  try {
+    const { rows: [{ total }] } = await pool.query(
+      `SELECT (SELECT count(*) FROM kb_domain) + (SELECT count(*) FROM kb_org) AS total`
+    );
+    const { rows: [{ done }] } = await pool.query(
+      `SELECT (SELECT count(*) FROM kb_domain WHERE ${col} IS NOT NULL)
+            + (SELECT count(*) FROM kb_org WHERE ${col} IS NOT NULL) AS done`
+    );
+    console.log(`${tag}: building, ${done}/${total} already embedded`);
+    await pool.query(`UPDATE embedding_collections SET total=$2, embedded=$3 WHERE id=$1`, [collection.id, total, done]);
+
+    await fillMissing(collection, (filled) => pool.query(
+      `UPDATE embedding_collections SET embedded=$2 WHERE id=$1`,
+      [collection.id, Number(done) + filled]
+    ));
+
+    if (collection.dimension <= MAX_INDEX_DIM) {
+      for (const table of KB_TABLES) {
+        await pool.query(
+          `CREATE INDEX IF NOT EXISTS idx_${table}_${col} ON ${table} USING ivfflat (${col} vector_cosine_ops) WITH (lists = 100)`
+        );
+      }
+    } else {
+      console.warn(`${tag}: ${collection.dimension} dimensions is above the ivfflat limit, searching without an index`);
+    }
+
+    // chunks ingested while indexing were written to both columns; this only catches stragglers
+    await fillMissing(collection);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`UPDATE embedding_collections SET status='retired' WHERE status='active'`);
+      await client.query(
+        `UPDATE embedding_collections SET status='active', activated_at=now(), error=NULL,
+                embedded=(SELECT (SELECT count(*) FROM kb_domain WHERE ${col} IS NOT NULL)
+                               + (SELECT count(*) FROM kb_org WHERE ${col} IS NOT NULL))
+         WHERE id=$1`,
+        [collection.id]
+      );
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    await liveCollections({ fresh: true });
+    console.log(`${tag}: active`);
+
+    // an ingest that read the old collection list just before the switch
+    setTimeout(() => fillMissing(collection).catch(e => console.error(`${tag}: catch-up failed`, e)), CACHE_MS + 1000);
+  } catch (e) {
+    console.error(`${tag}: FAILED`, e);
+    await pool.query(
+      `UPDATE embedding_collections SET status='failed', error=$2 WHERE id=$1 AND status='building'`,
+      [collection.id, String(e?.message || e)]
+    ).catch(err => console.error(`${tag}: could not record failure`, err));
+    await liveCollections({ fresh: true }).catch(() => {});
+  }
+}
+
+// Pick up a re-embed that was interrupted by a restart; already-filled rows are skipped
+export async function resumeReembedding() {
+  const building = (await liveCollections({ fresh: true })).filter(c => c.status === 'building');
+  for (const c of building) buildCollection(c);
+}
+
+// Drop a retired or failed collection's columns (and their indexes)
+export async function dropCollection(id) {
+  const { rows } = await pool.query(`SELECT ${COLLECTION_COLUMNS} FROM embedding_collections WHERE id=$1`, [id]);
+  const collection = rows[0];
+  if (!collection) return null;
+  if (!['retired', 'failed'].includes(collection.status)) {
+    throw Object.assign(new Error(`cannot drop a ${collection.status} collection`), { status: 409 });
+  }
+  const col = vectorColumn(collection.column_name);
+  for (const table of KB_TABLES) {
+    await pool.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${col}`);
+  }
+  await pool.query(`DELETE FROM embedding_collections WHERE id=$1`, [id]);
+  return collection;
+}
@@ -0,0 +1,113 @@
+// evaluate.js — CLI for evaluation.js: run a golden set in this process, list sets, compare runs
+//   node evaluate.js --list [--org MMM]
+//   node evaluate.js <set-id> [--label "chunks 384"] [--k1 3] [--k2 3] [--max_ctx 4] [--retrieval hybrid]
+//                    [--reranker llm] [--provider OLLAMA] [--model x] [--judge-provider GROQ] [--judge-model y]
+//   node evaluate.js --runs <set-id>
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { pool, ensureSchema } from './db.js';
+import { listEvalSets, getEvalSet, evalRunConfig, createEvalRun, listEvalRuns, runEval } from './evaluation.js';
+
+const USAGE = `usage: node evaluate.js <set-id> [--label TEXT] [--k1 N] [--k2 N] [--max_ctx N] [--retrieval MODE]
+                        [--reranker NAME] [--provider P] [--model M] [--judge-provider P] [--judge-model M]
+       node evaluate.js --runs <set-id>
+       node evaluate.js --list [--org KEY]`;
+
+let opts, positionals;
+try {
+  ({ values: opts, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      help: { type: 'boolean', short: 'h' },
+      list: { type: 'boolean' },
+      runs: { type: 'boolean' },
+      org: { type: 'string' },
+      label: { type: 'string' },
+      k1: { type: 'string' },
+      k2: { type: 'string' },
+      max_ctx: { type: 'string' },
+      retrieval: { type: 'string' },
+      reranker: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      'judge-provider': { type: 'string' },
+      'judge-model': { type: 'string' },
+    }
+  }));
+} catch (e) {
+  // unknown flag, missing value: the message and the usage, not a stack trace
+  console.error(`${e.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+if (opts.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const METRICS = ['recall_at_k', 'mrr', 'citation_accuracy', 'faithfulness', 'correctness'];
+
+function runRow(run) {
+  const c = run.config || {};
+  return {
+    run: run.id.slice(0, 8),
+    at: new Date(run.created_at).toISOString().slice(0, 16),
+    label: run.label || '',
+    status: run.status,
+    llm: `${c.provider}:${c.model}`,
+    retrieval: `${c.retrieval} k1=${c.k1} k2=${c.k2} ctx=${c.max_ctx} ${c.reranker}`,
+    chunks: c.chunking ? `${c.chunking.max_tokens}/${c.chunking.overlap_tokens}` : '',
+    ...Object.fromEntries(METRICS.map(m => [m, run.metrics?.[m] ?? '']))
+  };
+}
+
+async function main() {
+  await ensureSchema();
+
+  if (opts.list) {
+    const sets = await listEvalSets({ scopeOrg: opts.org });
+    console.table(sets.map(s => ({ id: s.id, org: s.org_key, name: s.name, questions: s.questions, last_run: s.last_run?.status || '' })));
+    return 0;
+  }
+
+  const setId = positionals[0];
+  if (!setId) {
+    console.error(USAGE);
+    return 2;
+  }
+  const set = await getEvalSet(setId);
+  if (!set) {
+    console.error(`no evaluation set ${setId}`);
+    return 1;
+  }
+
+  if (opts.runs) {
+    console.table((await listEvalRuns({ setId: set.id })).map(runRow));
+    return 0;
+  }
+
+  // no user behind a CLI run: the LLM defaults to PROVIDER within the org's allow-list
+  const config = await evalRunConfig({ sub: null, org_key: set.org_key }, set, {
+    k1: opts.k1, k2: opts.k2, max_ctx: opts.max_ctx, retrieval: opts.retrieval, reranker: opts.reranker,
+    provider: opts.provider, model: opts.model,
+    judge: { provider: opts['judge-provider'], model: opts['judge-model'] }
+  });
+  const run = await createEvalRun({ set, config, label: opts.label || null, queued: false });
+  console.log(`[eval] run ${run.id}: "${set.name}" (${set.org_key}), ${set.questions.length} question(s)`, config);
+
+  const done = await runEval(run, { onProgress: (n, total) => console.log(`[eval] ${n}/${total}`) });
+  if (done.status !== 'done') {
+    console.error(`[eval] run failed: ${done.error}`);
+    return 1;
+  }
+  console.table([runRow(done)]);
+  console.log(done.metrics);
+  return 0;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(e => {
+    console.error(e?.message || e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,481 @@
+// evaluation.js — golden question sets per org, run through the /ask pipeline and scored (recall@k, MRR, citations, LLM judge)
+import os from 'os';
+import { pool } from './db.js';
+import { generateLLM } from './llm.js';
+import { renderJudgePrompt } from './prompt.js';
+import { createRedactor, getPiiPolicy, guardPrompt } from './pii.js';
+import { llmAllow, resolveLLM } from './models.js';
+import { citeAnswer } from './citations.js';
+import { recordUsage } from './usage.js';
+import { activeCollection } from './embeddings.js';
+import { CHUNK_SETTINGS } from './chunk.js';
+import { RERANK_DEFAULTS, listRerankers } from './rerank.js';
+import { getUserById } from './auth.js';
+import {
+  TIMEOUTS,
+  rid,
+  withStep,
+  stepTimeout,
+  fastDefaults,
+  RETRIEVAL_MODES,
+  DEFAULT_RETRIEVAL,
+  NOTHING_RELEVANT_ANSWER,
+  retrieveContext,
+  retrievalCounts,
+  buildAnswerPrompt,
+  contextForResponse
+} from './rag.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const EVAL_WORKERS    = parseInt(P('EVAL_WORKERS', '1'), 10);
+const POLL_MS         = parseInt(P('EVAL_POLL_MS', '5000'), 10);
+const STALE_AFTER_SEC = parseInt(P('EVAL_STALE_SEC', '1800'), 10);  // running run without heartbeat (answer + judge can each take TIMEOUT_GENERATE)
+const MAX_QUESTIONS   = parseInt(P('EVAL_MAX_QUESTIONS', '500'), 10); // per set
+
+const RUN_COLUMNS = `id, set_id, org_key, label, config, status, metrics, error, started_by,
+                    created_at, started_at, finished_at`;
+
+const bad = (msg, status = 400) => Object.assign(new Error(msg), { status });
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+let wakeUp = () => {};
+
+// ----- golden sets -----
+// [{ question, expected_documents: [document id or filename], reference_answer? }] -> cleaned copy, or 400
+function validateQuestions(questions) {
+  if (!Array.isArray(questions)) throw bad('questions must be a list of { question, expected_documents, reference_answer }');
+  if (questions.length > MAX_QUESTIONS) throw bad(`a set has at most ${MAX_QUESTIONS} questions`);
+  return questions.map((q, i) => {
+    const question = String(q?.question || '').trim();
+    if (!question) throw bad(`questions[${i}]: question is required`);
+    const expected = q.expected_documents ?? [];
+    if (!Array.isArray(expected) || expected.some(d => typeof d !== 'string' || !d.trim())) {
+      throw bad(`questions[${i}]: expected_documents must be a list of document ids or filenames`);
+    }
+    return {
+      question,
+      expected_documents: [...new Set(expected.map(d => d.trim()))],
+      reference_answer: q.reference_answer ? String(q.reference_answer).trim() : null
+    };
+  });
+}
+
+async function insertQuestions(db, setId, questions) {
+  for (const [i, q] of questions.entries()) {
+    await db.query(
+      `INSERT INTO eval_questions (set_id, position, question, expected_documents, reference_answer)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [setId, i + 1, q.question, JSON.stringify(q.expected_documents), q.reference_answer]
+    );
+  }
+}
+
+// `scopeOrg` = that org's sets; each with its question count and latest run
+export async function listEvalSets({ scopeOrg } = {}) {
+  const { rows } = await pool.query(
+    `SELECT s.id, s.org_key, s.name, s.description, s.created_by, s.created_at, s.updated_at,
+            (SELECT count(*) FROM eval_questions q WHERE q.set_id = s.id)::int AS questions,
+            (SELECT jsonb_build_object('id', r.id, 'status', r.status, 'metrics', r.metrics, 'created_at', r.created_at)
+             FROM eval_runs r WHERE r.set_id = s.id ORDER BY r.created_at DESC LIMIT 1) AS last_run
+     FROM eval_sets s
+     WHERE ($1::text IS NULL OR s.org_key=$1)
+     ORDER BY s.org_key, s.name`,
+    [scopeOrg || null]
+  );
+  return rows;
+}
+
+// The set with its questions in order, or null
+export async function getEvalSet(id) {
+  const { rows } = await pool.query(
+    `SELECT id, org_key, name, description, created_by, created_at, updated_at FROM eval_sets WHERE id=$1`, [id]
+  );
+  if (!rows[0]) return null;
+  const { rows: questions } = await pool.query(
+    `SELECT position, question, expected_documents, reference_answer
+     FROM eval_questions WHERE set_id=$1 ORDER BY position`,
+    [id]
+  );
+  return { ...rows[0], questions };
+}
+
+/**
+ * Create a set, or with `id` update it: name/description when given, and
+ * `questions` (when given) replaces all of its questions. Past runs keep
+ * their own copy of the questions they were scored on. 409 on a duplicate name.
+ */
+export async function saveEvalSet({ id = null, orgKey, name, description, questions, createdBy = null }) {
+  if (!id && !String(name || '').trim()) throw bad('name is required');
+  if (name !== undefined && !String(name).trim()) throw bad('name cannot be empty');
+  const cleaned = questions === undefined ? undefined : validateQuestions(questions);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    let setId = id;
+    if (id) {
+      const { rowCount } = await client.query(
+        `UPDATE eval_sets SET name=COALESCE($2, name), description=COALESCE($3, description), updated_at=now() WHERE id=$1`,
+        [id, name === undefined ? null : String(name).trim(), description === undefined ? null : String(description || '')]
+      );
+      if (!rowCount) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+    } else {
+      const { rows } = await client.query(
+        `INSERT INTO eval_sets (org_key, name, description, created_by) VALUES ($1, $2, $3, $4) RETURNING id`,
+        [orgKey, String(name).trim(), description || null, createdBy]
+      );
+      setId = rows[0].id;
+    }
+    if (cleaned) {
+      await client.query(`DELETE FROM eval_questions WHERE set_id=$1`, [setId]);
+      await insertQuestions(client, setId, cleaned);
+    }
+    await client.query('COMMIT');
+    return getEvalSet(setId);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.code === '23505') throw bad(`there already is a set named "${name}"`, 409);
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Deletes its runs and results too
+export async function deleteEvalSet(id) {
+  const { rowCount } = await pool.query(`DELETE FROM eval_sets WHERE id=$1`, [id]);
+  return rowCount > 0;
+}
+
+// ----- runs -----
+/**
+ * Settings for a run of `set`, as /ask takes them (k1, k2, max_ctx, retrieval, reranker,
+ * provider, model), with the LLM resolved against the set's org allow-list for `user`.
+ * judge: { provider, model } defaults to EVAL_JUDGE_PROVIDER/EVAL_JUDGE_MODEL, else the
+ * answering LLM. The embedding model and chunk sizes in use are recorded alongside.
+ */
+export async function evalRunConfig(user, set, body = {}) {
+  const config = {
+    ...retrievalCounts({ k1: body.k1 ?? undefined, k2: body.k2 ?? undefined, max_ctx: body.max_ctx ?? undefined }),
+    retrieval: body.retrieval || DEFAULT_RETRIEVAL,
+    reranker: body.reranker || RERANK_DEFAULTS.reranker
+  };
+  if (!RETRIEVAL_MODES.includes(config.retrieval)) throw bad(`retrieval must be one of ${RETRIEVAL_MODES.join('|')}`);
+  if (!listRerankers().includes(config.reranker)) throw bad(`reranker must be one of ${listRerankers().join('|')}`);
+
+  const asOrg = { ...user, org_key: set.org_key };
+  const llm = await resolveLLM(asOrg, { provider: body.provider, model: body.model });
+  if (llm.error) throw bad(llm.error, llm.status);
+  const judgeProvider = body.judge?.provider || P('EVAL_JUDGE_PROVIDER');
+  const judgeModel = body.judge?.model || P('EVAL_JUDGE_MODEL');
+  const judge = judgeProvider || judgeModel
+    ? await resolveLLM(asOrg, { provider: judgeProvider || llm.provider, model: judgeModel || undefined })
+    : llm;
+  if (judge.error) throw bad(`judge: ${judge.error}`, judge.status);
+
+  const collection = await activeCollection().catch(() => null);
+  return {
+    ...config,
+    provider: llm.provider,
+    model: llm.model,
+    judge: { provider: judge.provider, model: judge.model },
+    embedding: collection ? { provider: collection.provider, model: collection.model } : null,
+    chunking: CHUNK_SETTINGS
+  };
+}
+
+// queued: picked up by the eval worker; otherwise the caller runs it itself (see runEval, the CLI)
+export async function createEvalRun({ set, config, label = null, startedBy = null, queued = true }) {
+  const { rows } = await pool.query(
+    `INSERT INTO eval_runs (set_id, org_key, label, config, status, started_by, started_at, heartbeat_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $5 = 'running' THEN now() END, CASE WHEN $5 = 'running' THEN now() END)
+     RETURNING ${RUN_COLUMNS}`,
+    [set.id, set.org_key, label, JSON.stringify(config), queued ? 'queued' : 'running', startedBy]
+  );
+  if (queued) wakeUp();
+  return rows[0];
+}
+
+// Newest first; config + metrics side by side is how configurations are compared
+export async function listEvalRuns({ setId, limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${RUN_COLUMNS} FROM eval_runs WHERE set_id=$1 ORDER BY created_at DESC LIMIT $2`,
+    [setId, Math.min(parseInt(limit, 10) || 50, 500)]
+  );
+  return rows;
+}
+
+export async function getEvalRun(id) {
+  const { rows } = await pool.query(`SELECT ${RUN_COLUMNS} FROM eval_runs WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+
+export async function getEvalResults(runId) {
+  const { rows } = await pool.query(
+    `SELECT position, question, expected_documents, reference_answer, answer, context, citations, nothing_relevant,
+            recall, reciprocal_rank, citation_accuracy, faithfulness, correctness, judge, error, duration_ms
+     FROM eval_results WHERE run_id=$1 ORDER BY position`,
+    [runId]
+  );
+  return rows;
+}
+
+// ----- scoring -----
+// Lower-cased document id + filename of a passage (context snippet or citation)
+function documentKeys(s) {
+  return [s.document_id, s.metadata?.source ?? s.source].filter(Boolean).map(v => String(v).toLowerCase());
+}
+
+/**
+ * Retrieval scores of one question over the max_ctx passages the answer was built from:
+ * recall (share of expected documents among them), reciprocal rank of the first passage
+ * from an expected document, and the share of citations pointing at an expected document.
+ * Null when the question lists no expected documents (or the answer cites nothing).
+ */
+export function scoreRetrieval(expected, contextSnippets, citations = []) {
+  if (!expected.length) return { recall: null, reciprocal_rank: null, citation_accuracy: null };
+  const wanted = expected.map(e => e.toLowerCase());
+  const hit = (s) => documentKeys(s).some(k => wanted.includes(k));
+  const found = wanted.filter(w => contextSnippets.some(s => documentKeys(s).includes(w)));
+  const first = contextSnippets.findIndex(hit);
+  return {
+    recall: found.length / wanted.length,
+    reciprocal_rank: first >= 0 ? 1 / (first + 1) : 0,
+    citation_accuracy: citations.length ? citations.filter(hit).length / citations.length : null
+  };
+}
+
+// Judge output (see renderJudgePrompt) -> scores in 0..1; null where it gave none
+export function parseJudgement(text) {
+  const score = (name) => {
+    const m = new RegExp(`${name}\\s*:\\s*(\\d+(?:\\.\\d+)?)`, 'i').exec(String(text || ''));
+    return m ? Math.min(Math.max(parseFloat(m[1]) / 10, 0), 1) : null;
+  };
+  return {
+    faithfulness: score('FAITHFULNESS'),
+    correctness: score('CORRECTNESS'),
+    reason: /REASON\s*:\s*(.+)/i.exec(String(text || ''))?.[1]?.trim() || null
+  };
+}
+
+async function judgeAnswer(id, run, item, { answer, contextSnippets, redactor, allow, charge }) {
+  const { provider, model } = run.config.judge;
+  const guarded = await guardPrompt({
+    orgKey: run.org_key, provider, model, redactor,
+    prompt: renderJudgePrompt({ contextSnippets, question: item.question, answer, reference: item.reference_answer })
+  });
+  const route = {};
+  const output = await withStep(
+    id,
+    `judge(${guarded.provider}:${guarded.model})`,
+    () => generateLLM({
+      provider: guarded.provider,
+      model: guarded.model,
+      prompt: guarded.prompt,
+      options: { ...fastDefaults, num_ctx: 4096, num_predict: 160, temperature: 0 },
+      timeoutMs: TIMEOUTS.GENERATE,
+      allowExternal: guarded.allowExternal,
+      allow,
+      route
+    }),
+    stepTimeout(TIMEOUTS.GENERATE)
+  );
+  await recordUsage(charge, { route, purpose: 'eval.judge' });
+  return { ...parseJudgement(guarded.restore(output)), provider: route.provider, model: route.model };
+}
+
+// One golden question the way /ask answers it (no conversation history), then scored
+async function evaluateQuestion(run, item, { user, allow }) {
+  const id = rid();
+  const { config } = run;
+  const charge = { id: `eval:${run.id}`, user };
+  const redactor = createRedactor(await getPiiPolicy(run.org_key));
+  const { contextSnippets, relevant } = await retrieveContext(id, {
+    question: item.question, org_id: run.org_key,
+    k1: config.k1, k2: config.k2, max_ctx: config.max_ctx, retrieval: config.retrieval, reranker: config.reranker, charge
+  });
+
+  let answer = NOTHING_RELEVANT_ANSWER;
+  let citations = [];
+  let judge = null;
+  if (relevant) {
+    const prompt = await withStep(
+      id,
+      'buildPrompt',
+      () => buildAnswerPrompt(user, { org_id: run.org_key, contextSnippets, question: item.question, history: [] }),
+      TIMEOUTS.BUILD_PROMPT
+    );
+    const guarded = await guardPrompt({ orgKey: run.org_key, provider: config.provider, model: config.model, prompt, redactor });
+    const route = {};
+    const generated = await withStep(
+      id,
+      `generate(${guarded.provider}:${guarded.model})`,
+      () => generateLLM({
+        provider: guarded.provider,
+        model: guarded.model,
+        prompt: guarded.prompt,
+        options: fastDefaults,
+        timeoutMs: TIMEOUTS.GENERATE,
+        allowExternal: guarded.allowExternal,
+        allow,
+        route
+      }),
+      stepTimeout(TIMEOUTS.GENERATE)
+    );
+    await recordUsage(charge, { route, purpose: 'eval' });
+    ({ answer, citations } = await citeAnswer(guarded.restore(generated), contextSnippets));
+    // a judge that fails costs the question its judged scores, not its retrieval scores
+    judge = await judgeAnswer(id, run, item, { answer, contextSnippets, redactor, allow, charge })
+      .catch(e => ({ faithfulness: null, correctness: null, error: String(e?.message || e) }));
+  }
+
+  return {
+    answer,
+    context: contextForResponse(contextSnippets),
+    citations: citations.map(({ text, ...c }) => c),
+    nothing_relevant: !relevant,
+    ...scoreRetrieval(item.expected_documents, contextSnippets, citations),
+    faithfulness: judge?.faithfulness ?? null,
+    correctness: judge?.correctness ?? null,
+    judge
+  };
+}
+
+async function storeResult(runId, item, result, durationMs) {
+  await pool.query(
+    `INSERT INTO eval_results (run_id, position, question, expected_documents, reference_answer, answer, context, citations,
+                               nothing_relevant, recall, reciprocal_rank, citation_accuracy, faithfulness, correctness,
+                               judge, error, duration_ms)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+    [runId, item.position, item.question, JSON.stringify(item.expected_documents), item.reference_answer,
+     result.answer ?? null, JSON.stringify(result.context ?? null), JSON.stringify(result.citations ?? null),
+     result.nothing_relevant ?? null, result.recall ?? null, result.reciprocal_rank ?? null,
+     result.citation_accuracy ?? null, result.faithfulness ?? null, result.correctness ?? null,
+     JSON.stringify(result.judge ?? null), result.error ?? null, durationMs]
+  );
+}
+
+// Averages over the questions that have a score (recall_at_k and mrr: only those with expected documents)
+async function summarizeRun(run) {
+  const { rows } = await pool.query(
+    `SELECT count(*)::int AS questions,
+            count(error)::int AS failed,
+            count(*) FILTER (WHERE nothing_relevant)::int AS nothing_relevant,
+            avg(recall) AS recall_at_k,
+            avg(reciprocal_rank) AS mrr,
+            avg(citation_accuracy) AS citation_accuracy,
+            avg(faithfulness) AS faithfulness,
+            avg(correctness) AS correctness
+     FROM eval_results WHERE run_id=$1`,
+    [run.id]
+  );
+  const round = (v) => v == null ? null : Math.round(v * 1000) / 1000;
+  const m = rows[0];
+  return {
+    k: run.config.max_ctx,
+    questions: m.questions,
+    failed: m.failed,
+    nothing_relevant: m.nothing_relevant,
+    recall_at_k: round(m.recall_at_k),
+    mrr: round(m.mrr),
+    citation_accuracy: round(m.citation_accuracy),
+    faithfulness: round(m.faithfulness),
+    correctness: round(m.correctness)
+  };
+}
+
+/**
+ * Answer and score every question of the run's set, one at a time, storing a result
+ * per question (a failing question is recorded with its error and the run goes on),
+ * then the run's metrics. onProgress(done, total) after each question. Returns the run.
+ */
+export async function runEval(run, { onProgress = () => {} } = {}) {
+  try {
+    const set = await getEvalSet(run.set_id);
+    if (!set) throw new Error('evaluation set no longer exists');
+    if (!set.questions.length) throw new Error('the set has no questions');
+    const starter = run.started_by && await getUserById(run.started_by).catch(() => null);
+    // prompt variables and usage accounting see the admin who started it
+    const user = { sub: starter?.id || null, email: starter?.email, role: starter?.role, org_key: starter?.org_key || run.org_key };
+    const allow = await llmAllow(run.org_key);
+
+    // a run picked up again after a crash starts over
+    await pool.query(`DELETE FROM eval_results WHERE run_id=$1`, [run.id]);
+    for (const [i, item] of set.questions.entries()) {
+      const t0 = Date.now();
+      const result = await evaluateQuestion(run, item, { user, allow })
+        .catch(e => ({ error: String(e?.message || e) }));
+      await storeResult(run.id, item, result, Date.now() - t0);
+      await pool.query(`UPDATE eval_runs SET heartbeat_at=now() WHERE id=$1`, [run.id]);
+      onProgress(i + 1, set.questions.length);
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE eval_runs SET status='done', metrics=$2, error=NULL, finished_at=now() WHERE id=$1 RETURNING ${RUN_COLUMNS}`,
+      [run.id, JSON.stringify(await summarizeRun(run))]
+    );
+    return rows[0];
+  } catch (e) {
+    const { rows } = await pool.query(
+      `UPDATE eval_runs SET status='failed', error=$2, finished_at=now() WHERE id=$1 RETURNING ${RUN_COLUMNS}`,
+      [run.id, String(e?.message || e)]
+    );
+    return rows[0] || { ...run, status: 'failed', error: String(e?.message || e) };
+  }
+}
+
+// ----- worker -----
+async function claimRun() {
+  const { rows } = await pool.query(
+    `UPDATE eval_runs
+     SET status='running', started_at=now(), heartbeat_at=now()
+     WHERE id = (
+       SELECT id FROM eval_runs
+       WHERE status='queued'
+          OR (status='running' AND heartbeat_at < now() - make_interval(secs => $1))
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING ${RUN_COLUMNS}`,
+    [STALE_AFTER_SEC]
+  );
+  return rows[0] || null;
+}
+
+async function processNext() {
+  const run = await claimRun();
+  if (!run) return false;
+  console.log(`[eval] ${WORKER_ID} running ${run.id} (set ${run.set_id}, ${run.config.provider}:${run.config.model})`);
+  const done = await runEval(run);
+  console.log(`[eval] ${run.id} ${done.status}${done.error ? `: ${done.error}` : ''}`, done.metrics || '');
+  return true;
+}
+
+export function startEvalWorker({ workers = EVAL_WORKERS, pollMs = POLL_MS } = {}) {
+  const sleepers = new Set();
+  wakeUp = () => { for (const wake of sleepers) wake(); };
+
+  async function loop(n) {
+    for (;;) {
+      let worked = false;
+      try {
+        worked = await processNext();
+      } catch (e) {
+        console.error(`[eval] worker ${n} poll failed`, e);
+      }
+      if (worked) continue;
+      await new Promise(resolve => {
+        const wake = () => { clearTimeout(timer); sleepers.delete(wake); resolve(); };
+        const timer = setTimeout(wake, pollMs);
+        sleepers.add(wake);
+      });
+    }
+  }
+
+  for (let n = 1; n <= workers; n++) loop(n);
+  console.log(`[eval] ${workers} worker(s) started (${WORKER_ID})`);
+}
@@ -0,0 +1,106 @@
+// feedback.js — thumbs up/down + corrections on answers, and the admin review queue
+import { pool } from './db.js';
+import { LAYER_TABLES } from './documents.js';
+
+const RATINGS = { up: 1, down: -1 };
+
+const FEEDBACK_COLUMNS = `id, message_id, user_id, org_key, question, answer, chunk_ids, provider, model,
+                          rating, correction, status, reviewed_by, reviewed_at, curated_job_id,
+                          created_at, updated_at`;
+
+export function parseRating(rating) {
+  if (rating === 1 || rating === -1) return rating;
+  return RATINGS[String(rating || '').toLowerCase()] ?? null;
+}
+
+/**
+ * Record (or change) the caller's rating of one of their own answers. The question,
+ * retrieved chunk ids and provider/model are copied from the conversation.
+ * Returns null when the message is not an assistant message of this user.
+ */
+export async function recordFeedback({ userId, messageId, rating, correction = null }) {
+  const { rows: [msg] } = await pool.query(
+    `SELECT m.id, m.conversation_id, m.content, m.context, m.used, m.created_at, c.org_key,
+            (SELECT q.content FROM messages q
+             WHERE q.conversation_id = m.conversation_id AND q.role = 'user' AND q.created_at < m.created_at
+             ORDER BY q.created_at DESC LIMIT 1) AS question
+     FROM messages m JOIN conversations c ON c.id = m.conversation_id
+     WHERE m.id = $1 AND m.role = 'assistant' AND c.user_id = $2`,
+    [messageId, userId]
+  );
+  if (!msg) return null;
+
+  const chunkIds = (Array.isArray(msg.context) ? msg.context : []).map(c => c.id).filter(Boolean);
+  const { rows } = await pool.query(
+    `INSERT INTO feedback (message_id, user_id, org_key, question, answer, chunk_ids, provider, model, rating, correction)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (message_id, user_id) DO UPDATE
+       SET rating = EXCLUDED.rating, correction = EXCLUDED.correction, updated_at = now(),
+           status = CASE WHEN feedback.status = 'curated' THEN feedback.status ELSE 'open' END
+     RETURNING ${FEEDBACK_COLUMNS}`,
+    [msg.id, userId, msg.used?.org_id || msg.org_key, msg.question || '', msg.content, chunkIds,
+     msg.used?.provider || null, msg.used?.model || null, rating, correction || null]
+  );
+  return rows[0];
+}
+
+// `scopeOrg` limits the queue to feedback on answers for that org
+export async function listFeedback({ scopeOrg, rating, status, limit = 100 } = {}) {
+  const where = [];
+  const vals = [];
+  if (scopeOrg) { vals.push(scopeOrg); where.push(`f.org_key=$${vals.length}`); }
+  if (rating)   { vals.push(rating);   where.push(`f.rating=$${vals.length}`); }
+  if (status)   { vals.push(status);   where.push(`f.status=$${vals.length}`); }
+  vals.push(Math.min(parseInt(limit, 10) || 100, 500));
+  const { rows } = await pool.query(
+    `SELECT ${FEEDBACK_COLUMNS.split(',').map(c => `f.${c.trim()}`).join(', ')}, u.email AS user_email
+     FROM feedback f LEFT JOIN users u ON u.id = f.user_id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY f.created_at DESC
+     LIMIT $${vals.length}`,
+    vals
+  );
+  return rows;
+}
+
+export async function getFeedback(id) {
+  const { rows } = await pool.query(`SELECT ${FEEDBACK_COLUMNS} FROM feedback WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+
+// The chunks the answer was based on, in retrieval order; deleted chunks come back as { id, missing: true }
+export async function getFeedbackChunks(feedback) {
+  if (!feedback.chunk_ids.length) return [];
+  const found = new Map();
+  for (const [layer, table] of Object.entries(LAYER_TABLES)) {
+    const { rows } = await pool.query(
+      `SELECT id, document_id, text, metadata FROM ${table} WHERE id = ANY($1)`,
+      [feedback.chunk_ids]
+    );
+    for (const r of rows) found.set(r.id, { ...r, layer });
+  }
+  return feedback.chunk_ids.map(id => found.get(id) || { id, missing: true });
+}
+
+export async function reviewFeedback(id, { status, reviewedBy, curatedJobId = null }) {
+  const { rows } = await pool.query(
+    `UPDATE feedback
+     SET status=$2, reviewed_by=$3, reviewed_at=now(), curated_job_id=COALESCE($4, curated_job_id), updated_at=now()
+     WHERE id=$1
+     RETURNING ${FEEDBACK_COLUMNS}`,
+    [id, status, reviewedBy, curatedJobId]
+  );
+  return rows[0] || null;
+}
+
+// A correction as a small Markdown file, so it goes through the normal ingest pipeline
+export function curatedEntryFile(feedback, text) {
+  const body = `# ${feedback.question.replace(/\s+/g, ' ').trim() || 'Correctie'}\n\n${text.trim()}\n`;
+  const buffer = Buffer.from(body, 'utf8');
+  return {
+    originalname: `correctie-${feedback.id.slice(0, 8)}.md`,
+    mimetype: 'text/markdown',
+    size: buffer.length,
+    buffer
+  };
+}
@@ -1,35 +1,158 @@
 import express from 'express';
 import multer from 'multer';
 import cors from 'cors';
-import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
 import axios from 'axios';
+import { fileURLToPath } from 'url';
 
-import { pool, insertChunk, searchOrg, searchDomain, ensureSchema } from './db.js';
-import { embed } from './ollama.js';
-import { chunkText } from './chunk.js';
-import { extractText } from './ingest.js';
-import { renderPrompt } from './prompt.js';
+import { pool, ensureSchema } from './db.js';
+import {
+  listEmbedProviders,
+  listCollections,
+  startReembedding,
+  resumeReembedding,
+  dropCollection
+} from './embeddings.js';
+import {
+  contentHash,
+  findDocumentByHash,
+  listDocuments,
+  getDocument,
+  getDocumentChunks,
+  getDocumentOriginal,
+  deleteDocument,
+  LAYER_TABLES
+} from './documents.js';
+import {
+  parseRating,
+  recordFeedback,
+  listFeedback,
+  getFeedback,
+  getFeedbackChunks,
+  reviewFeedback,
+  curatedEntryFile
+} from './feedback.js';
+import { parseEmailTicket, createTicket, listTickets, getTicket, redraftTicket, startTicketDrafter } from './tickets.js';
+import {
+  TASK_STATUSES,
+  validateTaskFields,
+  listTasks,
+  getTask,
+  getTaskComments,
+  createTask,
+  updateTask,
+  deleteTask,
+  addTaskComment,
+  createTasksFromTicket
+} from './tasks.js';
+import { enqueueIngestJob, findPendingJob, getJob, listJobs, retryJob, startIngestWorkers } from './jobs.js';
+import { renderPrompt, PROMPT_VARIABLES } from './prompt.js';
+import { citeAnswer } from './citations.js';
+import { AUDIT_OUTCOMES, recordAudit, queryAudit, exportAuditCsv } from './audit.js';
+import { checkUserLLM, getAllowlist, llmCatalog, resolveLLM, saveAllowlist } from './models.js';
+import { USAGE_GROUPS, enforceUsageLimits, getUsageLimits, monthUsage, recordUsage, saveUsageLimits, usageReport } from './usage.js';
+import { PII_DETECTORS, PII_MODES, createRedactor, detectPII, getPiiPolicy, guardPrompt, mergePiiReports, savePiiPolicy } from './pii.js';
+import {
+  validateTemplateBody,
+  getActiveTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  activateTemplate,
+  deactivateTemplates
+} from './templates.js';
+import { listRerankers, RERANK_DEFAULTS } from './rerank.js';
+import {
+  TIMEOUTS,
+  stepTimeout,
+  rid,
+  withStep,
+  fastDefaults,
+  RETRIEVAL_MODES,
+  DEFAULT_RETRIEVAL,
+  retrieveContext,
+  retrievalCounts,
+  NOTHING_RELEVANT_ANSWER,
+  condenseQuestion,
+  buildAnswerPrompt,
+  contextForResponse
+} from './rag.js';
+import {
+  listEvalSets,
+  getEvalSet,
+  saveEvalSet,
+  deleteEvalSet,
+  evalRunConfig,
+  createEvalRun,
+  listEvalRuns,
+  getEvalRun,
+  getEvalResults,
+  startEvalWorker
+} from './evaluation.js';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  getMessages,
+  recentMessages,
+  deleteConversation,
+  appendTurn
+} from './conversations.js';
 
-import { generateLLM, listProviders, PROVIDERS } from './llm.js';
-import { ORGANIZATIONS, listOrganizations as listOrgsStatic } from './organizations.js';
+import { generateLLM, streamLLM, listProviders, llmStatus, PROVIDERS } from './llm.js';
+import {
+  DEFAULT_ORGANIZATIONS,
+  listOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+  deleteOrganization,
+  startRetentionSweeper
+} from './organizations.js';
 
 import {
   createUser,
   authenticate,
   requireAuth,
-  requireRole,
+  isSuperAdmin,
+  resolveOrgKey,
   hashPassword,
   verifyPassword,
-  issueToken,
+  assertAuthConfig,
   getUserByEmail,
+  getUserById,
   listUsers,
   updateUser,
   seedOrganizations
 } from './auth.js';
+import { ROLES, requirePermission, can, canGrantRole, normalizeRole, permissionsOf } from './permissions.js';
+import {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  createPasswordReset,
+  consumePasswordReset,
+  startSessionSweeper
+} from './sessions.js';
+import { sendMail } from './mail.js';
+import {
+  SSO_ROLES,
+  OIDC_TRUST_FIELDS,
+  getOidcConfig,
+  publicOidcConfig,
+  saveOidcConfig,
+  deleteOidcConfig,
+  ssoOrganizations,
+  beginLogin,
+  completeLogin,
+  exchangeHandoff
+} from './oidc.js';
 
 dotenv.config();
-const app = express();
+export const app = express();
 
 app.use(cors({
   origin: [
@@ -40,6 +163,13 @@ app.use(cors({
   ]
 }));
 app.use(express.json({ limit: '2mb' }));
+// one id per request: in the step logs, the audit log and the X-Request-Id response header
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : rid();
+  res.set('X-Request-Id', req.id);
+  next();
+});
 const upload = multer({ limits: { fileSize: 50 * 1024 * 1024 } }); // 50MB
 
 // Health
@@ -48,39 +178,22 @@ app.get('/health', async (_req, res) => {
   res.json({ ok: true });
 });
 
-const EMBED_CONCURRENCY = parseInt(process.env.EMBED_CONCURRENCY || '3', 10);
-
-// --------------------
-// Timeout constants
-// --------------------
-const TIMEOUTS = {
-  EMBED: parseInt(process.env.TIMEOUT_EMBED || '15000', 10),              // 15s
-  SEARCH: parseInt(process.env.TIMEOUT_SEARCH || '15000', 10),            // 15s
-  BUILD_PROMPT: parseInt(process.env.TIMEOUT_BUILD_PROMPT || '2000', 10), // 2s
-  GENERATE: parseInt(process.env.TIMEOUT_GENERATE || '540000', 10),       // 9 min
-};
-const STEP_MARGIN = 5000;
-function stepTimeout(ms) { return ms + STEP_MARGIN; }
-
-// Helpers
-function rid() { return Math.random().toString(36).slice(2, 10); }
-async function withStep(id, label, fn, timeoutMs = TIMEOUTS.GENERATE) {
-  const t0 = Date.now();
-  console.log(`[STEP][${id}] ${label} start`);
-  const timeout = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error(`Step "${label}" timed out after ${timeoutMs}ms`)), timeoutMs)
-  );
-  try {
-    const result = await Promise.race([Promise.resolve().then(fn), timeout]);
-    console.log(`[STEP][${id}] ${label} ok ${Date.now() - t0}ms`);
-    return result;
-  } catch (e) {
-    console.error(`[STEP][${id}] ${label} FAIL ${Date.now() - t0}ms`, e);
-    throw e;
-  }
+// -------------------- AUTH --------------------
+// 404 for an :id that is not a UUID, before Postgres rejects it (invalid input syntax) as a 500
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+function uuidParam(req, res, next) {
+  if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not found' });
+  next();
+}
+
+// Public base URL for mailed links and the SSO redirect URI. Only APP_URL, never the request's Host
+// header: a forged Host would otherwise put an attacker's address in a password reset mail.
+function appUrl() {
+  const url = process.env.APP_URL;
+  if (!url) throw Object.assign(new Error('APP_URL is not set'), { status: 503 });
+  return url.replace(/\/+$/, '');
 }
 
-// -------------------- AUTH --------------------
 app.post('/auth/bootstrap-admin', async (req, res) => {
   try {
     const { email, password, org_key='MMM', provider='OLLAMA' } = req.body || {};
@@ -88,271 +201,1770 @@ app.post('/auth/bootstrap-admin', async (req, res) => {
       return res.status(400).json({ error: 'email, password, org_key, provider are required' });
     }
 
-    // if any admin exists, new one becomes 'user'; first one becomes 'admin'
-    const { rows } = await pool.query(`SELECT 1 FROM users WHERE role='admin' LIMIT 1`);
-    const role = rows.length ? 'user' : 'admin';
+    // only the very first account, on an empty users table; later ones are made by admins (POST /users).
+    // It is the super-admin: nothing else can grant that role, and orgs, SSO and quotas need it.
+    // The advisory lock makes concurrent bootstrap calls take turns, so only one of them finds it empty.
+    const role = 'super-admin';
+    const lock = await pool.connect();
+    let user;
+    try {
+      await lock.query(`SELECT pg_advisory_lock(hashtext('auth.bootstrap-admin'))`);
+      const { rows } = await lock.query(`SELECT 1 FROM users LIMIT 1`);
+      if (rows.length) {
+        await recordAudit(req, { action: 'user.create', outcome: 'denied', actor: { email: String(email).slice(0, 320) }, details: { reason: 'bootstrap after first user', bootstrap: true } });
+        return res.status(403).json({ error: 'bootstrap is only possible before the first user exists; ask an admin for an account' });
+      }
+      user = await createUser({ email, password, role, org_key, provider });
+    } finally {
+      await lock.query(`SELECT pg_advisory_unlock(hashtext('auth.bootstrap-admin'))`).catch(() => {});
+      lock.release();
+    }
+    await recordAudit(req, {
+      action: 'user.create', actor: user, orgKey: user.org_key, targetType: 'user', targetId: user.id,
+      details: { email: user.email, role, org_key, provider, bootstrap: true }
+    });
+    const session = await startSession(user, req);
+    res.json({ ok: true, user, ...session, roleAssigned: role });
+  } catch (e) {
+    console.error('/auth/bootstrap-admin FAIL', e);
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
 
-    const exists = await getUserByEmail(email);
-    if (exists) return res.status(409).json({ error: 'email already exists' });
+app.post('/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) return res.status(400).json({ error: 'email & password required' });
+  try {
+    const { user } = await authenticate(email, password);
+    const session = await startSession(user, req);
+    await recordAudit(req, { action: 'auth.login', actor: user, targetType: 'user', targetId: user.id, details: { session_id: session.session_id } });
+    res.json({ ...session, user });
+  } catch (e) {
+    // the account that was tried (if it exists) tells which org the attempt concerns
+    const known = await getUserByEmail(email).catch(() => null);
+    await recordAudit(req, {
+      action: 'auth.login', outcome: 'failed', actor: { email: String(email).slice(0, 320) },
+      orgKey: known?.org_key || null, targetType: 'user', targetId: known?.id,
+      details: { reason: e.reason || (known ? 'wrong password' : 'unknown e-mail') }
+    });
+    res.status(e.status || 401).json({ error: e.status ? e.message : 'Invalid credentials' });
+  }
+});
 
-    const user = await createUser({ email, password, role, org_key, provider });
-    const token = issueToken(user);
-    res.json({ ok: true, user, token, roleAssigned: role });
+// Rotate: the refresh token is single-use, the response carries the next one
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { user, ...session } = await refreshSession(req.body?.refresh_token);
+    res.json({ ...session, user: { id: user.id, email: user.email, role: user.role, org_key: user.org_key, provider: user.provider } });
   } catch (e) {
-    console.error('/auth/bootstrap-admin FAIL', e);
+    if (e.reuse || e.status === 403) {
+      const known = await getUserById(e.userId).catch(() => null);
+      await recordAudit(req, {
+        action: 'auth.refresh', outcome: 'denied', actor: known, targetType: 'session', targetId: e.sessionId,
+        details: { reason: e.reuse ? 'refresh token reused, session revoked' : e.message }
+      });
+    }
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Works with an expired access token: the refresh token identifies the session. `all` ends every session of the user.
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const { refresh_token, all = false } = req.body || {};
+    if (!refresh_token) return res.status(400).json({ error: 'refresh_token is required' });
+    const ended = await endSession(refresh_token, { all: Boolean(all) });
+    if (ended) {
+      const user = await getUserById(ended.userId).catch(() => null);
+      await recordAudit(req, { action: 'auth.logout', actor: user, targetType: 'session', targetId: ended.sessionId, details: { all: Boolean(all) } });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// The caller's own open sessions (devices)
+app.get('/auth/sessions', requireAuth, requirePermission('self'), async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.sub);
+    res.json({ sessions: sessions.map(s => ({ ...s, current: s.id === req.user.sid })) });
+  } catch (e) {
+    console.error('[auth] list sessions FAILED:', e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+app.delete('/auth/sessions/:id', requireAuth, requirePermission('self'), uuidParam, async (req, res) => {
+  try {
+    const ok = await revokeSession(req.params.id, req.user.sub, 'ended by user');
+    if (!ok) return res.status(404).json({ error: 'not found' });
+    await recordAudit(req, { action: 'auth.logout', targetType: 'session', targetId: req.params.id });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[auth] end session FAILED:', e);
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
-app.post('/auth/login', async (req, res) => {
+// Always 200, whether or not the address has an account; the link goes out through MAIL_TRANSPORT (mail.js).
+// 503 without APP_URL: no link is ever built from the request.
+app.post('/auth/password-reset', async (req, res) => {
+  const email = String(req.body?.email || '').trim();
+  if (!email) return res.status(400).json({ error: 'email is required' });
+  if (!process.env.APP_URL) return res.status(503).json({ error: 'password reset is not configured (APP_URL is not set)' });
+  try {
+    const reset = await createPasswordReset(email, req);
+    if (reset) {
+      const base = appUrl();
+      const minutes = Math.round((new Date(reset.expires_at) - Date.now()) / 60000);
+      await sendMail({
+        to: reset.user.email,
+        subject: 'Wachtwoord opnieuw instellen',
+        text: `Er is gevraagd om het wachtwoord van ${reset.user.email} opnieuw in te stellen.\n\n` +
+              `Kies een nieuw wachtwoord via deze link (${minutes} minuten geldig, eenmalig te gebruiken):\n` +
+              `${base}/#reset=${reset.token}\n\nHeb je dit niet zelf gevraagd? Dan kun je deze e-mail negeren.`
+      });
+    }
+    await recordAudit(req, {
+      action: 'auth.password_reset.request', actor: reset ? reset.user : { email: email.slice(0, 320) },
+      outcome: reset ? 'ok' : 'failed', targetType: 'user', targetId: reset?.user.id,
+      details: reset ? {} : { reason: 'unknown e-mail or deactivated organization' }
+    });
+  } catch (e) {
+    console.error('[auth] password reset request failed', e);
+    await recordAudit(req, { action: 'auth.password_reset.request', outcome: 'failed', actor: { email: email.slice(0, 320) }, details: { reason: String(e?.message || e) } });
+  }
+  res.json({ ok: true });
+});
+app.post('/auth/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    const user = await consumePasswordReset(token, password);
+    await recordAudit(req, { action: 'auth.password_reset', actor: user, targetType: 'user', targetId: user.id });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ----- Single sign-on (OIDC, per org; see oidc.js) -----
+// Orgs with SSO, for the login page
+app.get('/auth/oidc/providers', async (_req, res) => {
   try {
-    const { email, password } = req.body || {};
-    if (!email || !password) return res.status(400).json({ error: 'email & password required' });
-    const out = await authenticate(email, password);
-    res.json(out);
-  } catch {
-    res.status(401).json({ error: 'Invalid credentials' });
+    res.json({ providers: await ssoOrganizations() });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Browser navigation: redirect to the org's identity provider
+app.get('/auth/oidc/:org/login', async (req, res) => {
+  try {
+    res.redirect(await beginLogin(req.params.org, `${appUrl()}/auth/oidc/callback`));
+  } catch (e) {
+    console.error(`[oidc] login start for ${req.params.org} failed:`, e?.message || e);
+    if (!process.env.APP_URL) return res.status(e.status || 500).json({ error: String(e?.message || e) });
+    res.redirect(`${appUrl()}/#sso_error=${encodeURIComponent(String(e?.message || e))}`);
+  }
+});
+
+// The IdP redirects back here; the app gets a one-time code in the URL fragment, never the tokens
+app.get('/auth/oidc/callback', async (req, res) => {
+  const { code, state, error, error_description } = req.query;
+  try {
+    if (error) throw Object.assign(new Error(String(error_description || error)), { status: 401 });
+    const { user, created, roleChange, handoff } = await completeLogin({ state, code, redirectUri: `${appUrl()}/auth/oidc/callback` });
+    if (created) {
+      await recordAudit(req, {
+        action: 'user.create', actor: user, targetType: 'user', targetId: user.id,
+        details: { email: user.email, role: user.role, org_key: user.org_key, provider: user.provider, sso: true }
+      });
+    }
+    await recordAudit(req, {
+      action: 'auth.login', actor: user, targetType: 'user', targetId: user.id,
+      details: { method: 'oidc', ...(roleChange ? { role: roleChange } : {}) }
+    });
+    res.redirect(`${appUrl()}/#sso=${handoff}`);
+  } catch (e) {
+    await recordAudit(req, {
+      action: 'auth.login', outcome: 'failed', actor: null, orgKey: e.orgKey || null,
+      details: { method: 'oidc', reason: String(e?.message || e) }
+    });
+    if (!process.env.APP_URL) return res.status(e.status || 500).json({ error: String(e?.message || e) });
+    res.redirect(`${appUrl()}/#sso_error=${encodeURIComponent(String(e?.message || e))}`);
+  }
+});
+
+app.post('/auth/oidc/exchange', async (req, res) => {
+  try {
+    const userId = await exchangeHandoff(req.body?.code);
+    const user = userId && await getUserById(userId);
+    if (!user) return res.status(401).json({ error: 'invalid or expired sign-in code' });
+    const session = await startSession(user, req);
+    res.json({ ...session, user: { id: user.id, email: user.email, role: user.role, org_key: user.org_key, provider: user.provider } });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
   }
 });
 
-app.get('/me', requireAuth, (req, res) => {
-  res.json({ user: req.user });
+app.get('/me', requireAuth, requirePermission('self'), async (req, res) => {
+  // provider/model as stored now, not as they were when the token was issued
+  const stored = await getUserById(req.user.sub).catch(() => null);
+  res.json({ user: {
+    ...req.user, provider: stored?.provider || req.user.provider, model: stored?.model || null,
+    permissions: permissionsOf(req.user.role)
+  } });
 });
 
 // ----- Admin user management -----
-app.get('/users', requireAuth, requireRole('admin'), async (_req, res) => {
-  res.json({ users: await listUsers() });
+// Org-admins manage the users of their own org and hand out roles up to their own; super-admins everything.
+async function denyRoleGrant(req, res, { action, orgKey, targetId, role, from }) {
+  if (!ROLES.includes(role)) {
+    res.status(400).json({ error: `role must be one of ${ROLES.join('|')}` });
+    return true;
+  }
+  if (canGrantRole(req.user, role)) return false;
+  await recordAudit(req, {
+    action, outcome: 'denied', orgKey, targetType: 'user', targetId,
+    details: { role: from !== undefined ? { from, to: role } : role }
+  });
+  res.status(403).json({ error: `a ${req.user.role} cannot grant ${role}` });
+  return true;
+}
+
+app.get('/users', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  res.json({ users: await listUsers(isSuperAdmin(req.user) ? {} : { scopeOrg: req.user.org_key }) });
 });
-app.post('/users', requireAuth, requireRole('admin'), async (req, res) => {
+app.post('/users', requireAuth, requirePermission('users.manage'), async (req, res) => {
   try {
-    const { email, password, role='user', org_key, provider } = req.body || {};
-    if (!email || !password || !org_key || !provider) return res.status(400).json({ error: 'missing fields' });
+    const { email, password, org_key, model = null } = req.body || {};
+    const role = normalizeRole(req.body?.role || 'agent');
+    if (!email || !password || !org_key) return res.status(400).json({ error: 'missing fields' });
+    if (!isSuperAdmin(req.user) && org_key !== req.user.org_key) {
+      await recordAudit(req, { action: 'user.create', outcome: 'denied', orgKey: org_key, details: { email, role } });
+      return res.status(403).json({ error: 'you can only add users to your own organization' });
+    }
+    const org = await getOrganization(org_key);
+    if (!org?.active) return res.status(400).json({ error: `unknown or deactivated organization: ${org_key}` });
+    // no provider given: the org's default_provider setting, then PROVIDER
+    const provider = String(req.body.provider || org.settings?.default_provider || process.env.PROVIDER || 'OLLAMA').toUpperCase();
+    const llmError = await checkUserLLM(org_key, provider, model);
+    if (llmError) return res.status(400).json({ error: llmError });
+    if (await denyRoleGrant(req, res, { action: 'user.create', orgKey: org_key, role })) return;
     const existing = await getUserByEmail(email);
     if (existing) return res.status(409).json({ error: 'email already exists' });
-    const user = await createUser({ email, password, role, org_key, provider });
+    const user = await createUser({ email, password, role, org_key, provider, model });
+    await recordAudit(req, {
+      action: 'user.create', orgKey: user.org_key, targetType: 'user', targetId: user.id,
+      details: { email: user.email, role: user.role, org_key: user.org_key, provider: user.provider, model: user.model }
+    });
     res.json({ ok: true, user });
   } catch (e) {
-    res.status(500).json({ error: String(e?.message || e) });
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
   }
 });
-app.patch('/users/:id', requireAuth, requireRole('admin'), async (req, res) => {
+app.patch('/users/:id', requireAuth, requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const patch = {};
     for (const k of ['role','org_key','provider']) if (req.body[k]) patch[k] = req.body[k];
+    if (patch.provider) patch.provider = String(patch.provider).toUpperCase();
+    if (patch.role) patch.role = normalizeRole(patch.role);
+    if (req.body.model !== undefined) patch.model = req.body.model || null;
+    const before = await getUserById(id).catch(() => null);
+    if (!before) return res.status(404).json({ error: 'not found' });
+    if (!isSuperAdmin(req.user)) {
+      if (before.org_key !== req.user.org_key) return res.status(404).json({ error: 'not found' });
+      // nobody above the caller's own rank, and nobody out of the org
+      if (!canGrantRole(req.user, before.role) || (patch.org_key && patch.org_key !== before.org_key)) {
+        await recordAudit(req, {
+          action: 'user.update', outcome: 'denied', orgKey: before.org_key, targetType: 'user', targetId: id,
+          details: { role: before.role, org_key: patch.org_key ? { from: before.org_key, to: patch.org_key } : undefined }
+        });
+        return res.status(403).json({ error: 'you can only manage users of your own organization, up to your own role' });
+      }
+    }
+    if (patch.org_key && patch.org_key !== before.org_key && !(await getOrganization(patch.org_key))?.active) {
+      return res.status(400).json({ error: `unknown or deactivated organization: ${patch.org_key}` });
+    }
+    // provider/model must be allowed in the org the user ends up in; a new provider without a model uses its default
+    if (patch.provider && patch.provider !== before.provider && patch.model === undefined) patch.model = null;
+    if (patch.provider || patch.org_key || patch.model !== undefined) {
+      const llmError = await checkUserLLM(
+        patch.org_key || before.org_key,
+        patch.provider || before.provider,
+        patch.model !== undefined ? patch.model : before.model
+      );
+      if (llmError) return res.status(400).json({ error: llmError });
+    }
+    if (patch.role && await denyRoleGrant(req, res, {
+      action: 'user.update', orgKey: before.org_key, targetId: id, role: patch.role, from: before.role
+    })) return;
     if (req.body.password) patch.password_hash = await hashPassword(req.body.password);
     const user = await updateUser(id, patch);
     if (!user) return res.status(404).json({ error: 'not found' });
+    // a new password logs the user out everywhere
+    if (patch.password_hash) await revokeUserSessions(user.id, 'password changed by admin');
+    // field -> { from, to }; never the password itself
+    const changes = {};
+    for (const k of ['role', 'org_key', 'provider', 'model']) {
+      if (patch[k] !== undefined && patch[k] !== before[k]) changes[k] = { from: before[k] ?? null, to: user[k] };
+    }
+    await recordAudit(req, {
+      action: 'user.update', orgKey: user.org_key, targetType: 'user', targetId: user.id,
+      details: { email: user.email, changes, password_changed: Boolean(patch.password_hash) }
+    });
     res.json({ ok: true, user });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
-// Organizations list for UI dropdowns (auth required; falls back to static if table empty)
-app.get('/organizations', requireAuth, async (_req, res) => {
-  const { rows } = await pool.query(`SELECT key,label FROM organizations ORDER BY key`);
-  res.json({ organizations: rows.length ? rows : listOrgsStatic() });
+// Admin session kill: the user's access tokens stop working (within SESSION_CACHE_MS) and refresh is refused.
+// Admins only for users of their own org.
+async function sessionTarget(req, res) {
+  const target = await getUserById(req.params.id).catch(() => null);
+  if (!target || (!isSuperAdmin(req.user) && target.org_key !== req.user.org_key)) {
+    res.status(404).json({ error: 'not found' });
+    return null;
+  }
+  return target;
+}
+app.get('/users/:id/sessions', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const target = await sessionTarget(req, res);
+    if (target) res.json({ sessions: await listSessions(target.id) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.delete('/users/:id/sessions', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const target = await sessionTarget(req, res);
+    if (!target) return;
+    const revoked = await revokeUserSessions(target.id, `revoked by ${req.user.email}`);
+    await recordAudit(req, {
+      action: 'user.sessions.revoke', orgKey: target.org_key, targetType: 'user', targetId: target.id,
+      details: { email: target.email, revoked }
+    });
+    res.json({ ok: true, revoked });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Organizations --------------------
+// Active orgs for UI dropdowns; admins can add ?all=1 to include deactivated ones
+app.get('/organizations', requireAuth, requirePermission('self'), async (req, res) => {
+  try {
+    const includeInactive = can(req.user, 'org.settings') && Boolean(req.query.all);
+    res.json({ organizations: await listOrganizations({ includeInactive }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.post('/organizations', requireAuth, requirePermission('orgs.manage'), async (req, res) => {
+  try {
+    const { key, label, settings } = req.body || {};
+    const organization = await createOrganization({ key, label, settings });
+    await recordAudit(req, {
+      action: 'org.create', orgKey: organization.key, targetType: 'organization', targetId: organization.key,
+      details: { label: organization.label, settings: organization.settings }
+    });
+    res.json({ ok: true, organization });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// super-admin: rename, (de)activate and settings of any org; an org-admin: only their own org's settings
+app.patch('/organizations/:key', requireAuth, requirePermission('org.settings'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { label, active, settings } = req.body || {};
+    const renames = label !== undefined || active !== undefined;
+    if ((key !== req.user.org_key && !isSuperAdmin(req.user)) || (renames && !can(req.user, 'orgs.manage'))) {
+      await recordAudit(req, { action: 'org.update', outcome: 'denied', orgKey: key, targetType: 'organization', targetId: key });
+      return res.status(403).json({ error: 'only a super-admin can rename or (de)activate organizations; org-admins may change their own org\'s settings' });
+    }
+    const before = await getOrganization(key);
+    if (!before) return res.status(404).json({ error: 'not found' });
+    // SSO-only needs a working SSO, or nobody in the org can sign in any more
+    if (settings?.password_login === false && !(await getOidcConfig(key))?.enabled) {
+      return res.status(409).json({ error: `${key} has no enabled single sign-on; configure /oidc/config before disabling password login` });
+    }
+    const organization = await updateOrganization(key, { label, active, settings });
+    if (!organization) return res.status(404).json({ error: 'not found' });
+    const changes = {};
+    if (label !== undefined && organization.label !== before.label) changes.label = { from: before.label, to: organization.label };
+    if (active !== undefined && organization.active !== before.active) changes.active = { from: before.active, to: organization.active };
+    if (settings !== undefined) changes.settings = { from: before.settings, to: organization.settings };
+    await recordAudit(req, { action: 'org.update', orgKey: key, targetType: 'organization', targetId: key, details: { changes } });
+    res.json({ ok: true, organization });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// Refused with 409 (+ references) while users, documents, KB chunks or tickets point at the org
+app.delete('/organizations/:key', requireAuth, requirePermission('orgs.manage'), async (req, res) => {
+  const { key } = req.params;
+  try {
+    const deleted = await deleteOrganization(key);
+    if (!deleted) return res.status(404).json({ error: 'not found' });
+    await recordAudit(req, { action: 'org.delete', orgKey: key, targetType: 'organization', targetId: key });
+    res.json({ ok: true });
+  } catch (e) {
+    if (e.status === 409) {
+      await recordAudit(req, { action: 'org.delete', outcome: 'denied', orgKey: key, targetType: 'organization', targetId: key, details: { references: e.references } });
+      return res.status(409).json({ error: e.message, references: e.references });
+    }
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Conversations --------------------
+app.post('/conversations', requireAuth, requirePermission('ask'), async (req, res) => {
+  try {
+    const conversation = await createConversation({
+      userId: req.user.sub,
+      orgKey: req.user.org_key,
+      title: req.body?.title || null
+    });
+    res.json({ ok: true, conversation });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+app.get('/conversations', requireAuth, requirePermission('ask'), async (req, res) => {
+  try {
+    res.json({ conversations: await listConversations(req.user.sub) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.get('/conversations/:id', requireAuth, requirePermission('ask'), uuidParam, async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.user.sub);
+    if (!conversation) return res.status(404).json({ error: 'not found' });
+    res.json({ conversation, messages: await getMessages(conversation.id) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.delete('/conversations/:id', requireAuth, requirePermission('ask'), uuidParam, async (req, res) => {
+  try {
+    const ok = await deleteConversation(req.params.id, req.user.sub);
+    if (!ok) return res.status(404).json({ error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
 });
 
 // -------------------- Upload --------------------
-app.post('/upload', upload.single('file'), async (req, res) => {
+app.post('/upload', requireAuth, requirePermission('kb.write'), upload.single('file'), async (req, res) => {
   try {
-    const { layer, org_id } = req.query;
+    const { layer } = req.query;
     if (!layer || !['domain', 'org'].includes(layer)) {
       return res.status(400).json({ error: "Missing or invalid ?layer=domain|org" });
     }
-    if (layer === 'org' && !org_id) {
-      return res.status(400).json({ error: "Missing ?org_id=..." });
+    // the shared domain layer is visible to every org, so writing to it is a separate permission
+    if (layer === 'domain' && !can(req.user, 'kb.domain')) {
+      await recordAudit(req, { action: 'document.upload', outcome: 'denied', details: { filename: req.file?.originalname, layer } });
+      return res.status(403).json({ error: 'you cannot upload to the domain layer' });
     }
+    const { orgKey: org_id, status, error } = resolveOrgKey(req.user, req.query.org_id);
+    if (error) return res.status(status).json({ error });
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded (field name must be "file")' });
     }
 
-    console.time('[upload] total');
     console.log(`[upload] file="${req.file.originalname}" type=${req.file.mimetype} size=${req.file.size}B layer=${layer} org_id=${org_id || '-'}`);
-    console.time('[upload] extract');
-
-    const text = await extractText({
-      buffer: req.file.buffer,
-      mimetype: req.file.mimetype,
-      originalname: req.file.originalname
-    });
-
-    console.timeEnd('[upload] extract');
-    if (!text || !text.trim()) {
-      return res.status(400).json({ error: 'Uploaded file contains no extractable text' });
-    }
-
-    const chunks = chunkText(text);
-    console.log(`[upload] chunks=${chunks.length} concurrency=${EMBED_CONCURRENCY}`);
-
-    const table = layer === 'org' ? 'kb_org' : 'kb_domain';
-    const stored = [];
-    let okCount = 0;
-
-    console.time('[upload] embed+insert');
-
-    // tiny concurrency helper
-    async function mapLimit(items, limit, fn) {
-      const out = new Array(items.length);
-      let i = 0, inFlight = 0;
-      return new Promise((resolve, reject) => {
-        const next = () => {
-          if (i >= items.length && inFlight === 0) return resolve(out);
-          while (inFlight < limit && i < items.length) {
-            const idx = i++;
-            inFlight++;
-            Promise.resolve(fn(items[idx], idx))
-              .then(v => { out[idx] = v; })
-              .catch(reject)
-              .finally(() => { inFlight--; next(); });
-          }
-        };
-        next();
+
+    const hash = contentHash(req.file.buffer);
+    const uploaded = {
+      filename: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size, sha256: hash, layer, org_id: layer === 'org' ? org_id : null
+    };
+    const existing = await findDocumentByHash({ layer, orgId: org_id, hash });
+    if (existing) {
+      console.log(`[upload] duplicate of document ${existing.id}, skipped`);
+      await recordAudit(req, {
+        action: 'document.upload', orgKey: uploaded.org_id || req.user.org_key, targetType: 'document', targetId: existing.id,
+        details: { ...uploaded, duplicate: true }
       });
+      return res.json({ ok: true, duplicate: true, document_id: existing.id, version: existing.version, parts: existing.chunk_count });
     }
 
-    await mapLimit(chunks, EMBED_CONCURRENCY, async (ch, idx) => {
-      if (idx % 10 === 0 || idx === chunks.length - 1) {
-        console.log(`[upload] progress ${idx + 1}/${chunks.length}`);
-      }
-      const vec = await embed(ch);
-      const id = uuidv4();
-      const metadata = {
-        source: req.file.originalname,
-        layer,
-        org_id: layer === 'org' ? org_id : undefined,
-        part: idx + 1,
-        total_parts: chunks.length,
-        kb_version: new Date().toISOString().slice(0, 10)
-      };
-      await insertChunk({
-        table,
-        id,
-        text: ch,
-        metadata,
-        embedding: vec
-      });
-      stored[idx] = { id, part: idx + 1 };
-      okCount++;
+    // extraction, chunking and embedding run in the background (see jobs.js)
+    const job = await findPendingJob({ layer, orgId: org_id, hash })
+      || await enqueueIngestJob({ file: req.file, layer, orgId: org_id, uploadedBy: req.user.sub });
+    console.log(`[upload] queued job ${job.id}`);
+    await recordAudit(req, {
+      action: 'document.upload', orgKey: uploaded.org_id || req.user.org_key, targetType: 'ingest_job', targetId: job.id, details: uploaded
     });
 
-    console.timeEnd('[upload] embed+insert');
-    console.timeEnd('[upload] total');
-
-    return res.json({
-      ok: true,
-      table,
-      parts: okCount,
-      failed: 0,
-      chunks: stored.filter(Boolean)
-    });
+    return res.status(202).json({ ok: true, job_id: job.id, status: job.status, job });
   } catch (e) {
     console.error('[upload] FAILED:', e);
-    return res.status(500).json({ error: String(e?.message || e) });
+    return res.status(e.status || 500).json({ error: String(e?.message || e) });
   }
 });
 
-// -------------------- Ask --------------------
-app.post('/ask', async (req, res) => {
-  const id = rid();
-  const T0 = Date.now();
+// -------------------- Ingest jobs --------------------
+// KB writers see their org's (and domain) jobs, super-admins everything
+function canSeeJob(user, job) {
+  if (isSuperAdmin(user)) return true;
+  if (job.uploaded_by === user.sub) return true;
+  return job.layer === 'domain' || job.org_id === user.org_key;
+}
 
-  const {
-    provider: reqProvider,
-    llmOptions = {},
-    genTimeoutMs
-  } = req.body || {};
+app.get('/jobs', requireAuth, requirePermission('kb.write'), async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const scope = isSuperAdmin(req.user) ? {} : { scopeOrg: req.user.org_key };
+    res.json({ jobs: await listJobs({ ...scope, status, limit }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.get('/jobs/:id', requireAuth, requirePermission('kb.write'), uuidParam, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job || !canSeeJob(req.user, job)) return res.status(404).json({ error: 'not found' });
+    res.json({ job });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.post('/jobs/:id/retry', requireAuth, requirePermission('kb.write'), uuidParam, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job || !canSeeJob(req.user, job)) return res.status(404).json({ error: 'not found' });
+    const retried = await retryJob(job.id);
+    if (!retried) return res.status(409).json({ error: `job is ${job.status}, only failed jobs can be retried` });
+    res.json({ ok: true, job: retried });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Knowledge base management (admin) --------------------
+// org documents of other tenants are invisible unless you are a super-admin;
+// { write: true } also hides domain documents from those who cannot change the domain layer
+async function getManagedDocument(req, { write = false } = {}) {
+  const doc = await getDocument(req.params.id);
+  if (!doc) return null;
+  if (doc.layer === 'org' && doc.org_id !== req.user.org_key && !isSuperAdmin(req.user)) return null;
+  if (write && doc.layer === 'domain' && !can(req.user, 'kb.domain')) return null;
+  return doc;
+}
+
+app.get('/documents', requireAuth, requirePermission('kb.write'), async (req, res) => {
+  try {
+    const { layer, org_id } = req.query;
+    const documents = isSuperAdmin(req.user)
+      ? await listDocuments({ layer, orgId: org_id })
+      : await listDocuments({ layer, scopeOrg: req.user.org_key });
+    res.json({ documents });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.get('/documents/:id', requireAuth, requirePermission('kb.write'), uuidParam, async (req, res) => {
+  try {
+    const document = await getManagedDocument(req);
+    if (!document) return res.status(404).json({ error: 'not found' });
+    res.json({ document, chunks: await getDocumentChunks(document) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// Original file behind a citation; readable by anyone who can get the document's chunks as context
+const INLINE_TYPES = /^(application\/pdf|image\/(png|jpeg|gif|webp)|text\/plain)$/;
+app.get('/documents/:id/original', requireAuth, requirePermission('ask'), uuidParam, async (req, res) => {
+  try {
+    const document = await getManagedDocument(req);
+    const original = document && await getDocumentOriginal(document.id);
+    if (!original) return res.status(404).json({ error: 'not found' });
+    // anything that could run script in our origin (HTML, SVG, ...) is only offered as a download
+    const inline = INLINE_TYPES.test(original.mimetype || '');
+    res.set({
+      'Content-Type': inline ? original.mimetype : 'application/octet-stream',
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(original.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(original.original);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.delete('/documents/:id', requireAuth, requirePermission('kb.write'), uuidParam, async (req, res) => {
+  try {
+    const document = await getManagedDocument(req, { write: true });
+    if (!document) return res.status(404).json({ error: 'not found' });
+    await deleteDocument(document.id);
+    console.log(`[documents] deleted ${document.id} by ${req.user.email}`);
+    await recordAudit(req, {
+      action: 'document.delete', orgKey: document.org_id || req.user.org_key, targetType: 'document', targetId: document.id,
+      details: { filename: document.filename, layer: document.layer, version: document.version }
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// Replace the contents of a document with a new file (re-ingest in the background, version + 1)
+app.put('/documents/:id', requireAuth, requirePermission('kb.write'), uuidParam, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded (field name must be "file")' });
+    }
+    const existing = await getManagedDocument(req, { write: true });
+    if (!existing) return res.status(404).json({ error: 'not found' });
 
-  const provider = (reqProvider || process.env.PROVIDER || 'OLLAMA').toUpperCase();
-  if (!PROVIDERS[provider]) {
-    return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+    console.log(`[documents] replace ${existing.id} "${existing.filename}" v${existing.version} with "${req.file.originalname}"`);
+    const job = await enqueueIngestJob({
+      file: req.file,
+      layer: existing.layer,
+      orgId: existing.org_id,
+      uploadedBy: req.user.sub,
+      documentId: existing.id,
+      replace: true
+    });
+    await recordAudit(req, {
+      action: 'document.replace', orgKey: existing.org_id || req.user.org_key, targetType: 'document', targetId: existing.id,
+      details: { filename: req.file.originalname, previous: existing.filename, size: req.file.size, job_id: job.id, version: existing.version + 1 }
+    });
+    res.status(202).json({ ok: true, job_id: job.id, status: job.status, job });
+  } catch (e) {
+    console.error('[documents] replace FAILED:', e);
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
   }
-  const model = PROVIDERS[provider].defaultModel;
+});
 
+// -------------------- Answer feedback --------------------
+// rating: 'up' | 'down'; only on your own answers (message_id from /ask or the stream's done event)
+app.post('/feedback', requireAuth, requirePermission('feedback.give'), async (req, res) => {
   try {
-    const { question, org_id, k1 = 3, k2 = 3, max_ctx = 4 } = req.body || {};
-    if (!question) return res.status(400).json({ error: 'question is required' });
+    const { message_id, rating, correction } = req.body || {};
+    const value = parseRating(rating);
+    if (!message_id || !value) return res.status(400).json({ error: 'message_id and rating (up|down) are required' });
+    if (!UUID_RE.test(message_id)) return res.status(404).json({ error: 'message not found' });
+    const feedback = await recordFeedback({
+      userId: req.user.sub,
+      messageId: message_id,
+      rating: value,
+      correction: typeof correction === 'string' ? correction.trim().slice(0, 10000) : null
+    });
+    if (!feedback) return res.status(404).json({ error: 'message not found' });
+    res.status(201).json({ ok: true, feedback });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
 
-    console.log(`[ASK][${id}] question="${String(question).slice(0,120)}"${question.length>120?'…':''} org=${org_id || '-'}`);
-
-    const qvec = await withStep(id, 'embed', () => embed(question), TIMEOUTS.EMBED);
-
-    const [orgSnips, domainSnips] = await Promise.all([
-      org_id ? withStep(id, 'searchOrg', () => searchOrg({ orgId: org_id, queryEmbedding: qvec, limit: k1 }), TIMEOUTS.SEARCH) : Promise.resolve([]),
-      withStep(id, 'searchDomain', () => searchDomain({ queryEmbedding: qvec, limit: k2 }), TIMEOUTS.SEARCH)
-    ]);
-
-    const contextSnippets = [...orgSnips, ...domainSnips]
-      .sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0))
-      .slice(0, max_ctx);
-
-    const prompt = await withStep(
-      id,
-      'buildPrompt',
-      () => renderPrompt({ contextSnippets, question }),
-      TIMEOUTS.BUILD_PROMPT
-    );
-
-    const fastDefaults = { num_ctx: 1024, num_predict: 256, temperature: 0.2, top_p: 0.9, top_k: 40 };
-
-    const answer = await withStep(
-      id,
-      `generate(${provider}:${model})`,
-      () => generateLLM({
-        provider,
-        model,
-        prompt,
-        options: { ...fastDefaults, ...(llmOptions || {}) },
-        timeoutMs: genTimeoutMs || TIMEOUTS.GENERATE
-      }),
-      stepTimeout(genTimeoutMs || TIMEOUTS.GENERATE)
-    );
+// review queue: admins see feedback on their own org's answers, super-admins everything
+async function getReviewableFeedback(req) {
+  const feedback = await getFeedback(req.params.id);
+  if (!feedback) return null;
+  if (feedback.org_key !== req.user.org_key && !isSuperAdmin(req.user)) return null;
+  return feedback;
+}
 
-    const total = Date.now() - T0;
-    console.log(`[ASK][${id}] DONE total=${total}ms hits{org=${orgSnips.length},dom=${domainSnips.length}} ctx=${contextSnippets.length}`);
+// defaults to the open negative feedback; ?rating=up|down|all&status=open|curated|dismissed|all
+app.get('/feedback', requireAuth, requirePermission('feedback.review'), async (req, res) => {
+  try {
+    const { rating = 'down', status = 'open', org_id, limit } = req.query;
+    const feedback = await listFeedback({
+      scopeOrg: isSuperAdmin(req.user) ? org_id : req.user.org_key,
+      rating: rating === 'all' ? null : parseRating(rating),
+      status: status === 'all' ? null : status,
+      limit
+    });
+    res.json({ feedback });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.get('/feedback/:id', requireAuth, requirePermission('feedback.review'), uuidParam, async (req, res) => {
+  try {
+    const feedback = await getReviewableFeedback(req);
+    if (!feedback) return res.status(404).json({ error: 'not found' });
+    res.json({ feedback, chunks: await getFeedbackChunks(feedback) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.patch('/feedback/:id', requireAuth, requirePermission('feedback.review'), uuidParam, async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (!['open', 'dismissed'].includes(status)) return res.status(400).json({ error: 'status must be open|dismissed' });
+    const existing = await getReviewableFeedback(req);
+    if (!existing) return res.status(404).json({ error: 'not found' });
+    res.json({ ok: true, feedback: await reviewFeedback(existing.id, { status, reviewedBy: req.user.sub }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// Turn a correction into a curated KB entry (ingested in the background like an upload)
+app.post('/feedback/:id/curate', requireAuth, requirePermission('feedback.review'), uuidParam, async (req, res) => {
+  try {
+    const existing = await getReviewableFeedback(req);
+    if (!existing) return res.status(404).json({ error: 'not found' });
+    const { layer = 'org', text } = req.body || {};
+    if (!LAYER_TABLES[layer]) return res.status(400).json({ error: 'layer must be domain|org' });
+    // same rule as /upload: the shared domain layer is read by every org
+    if (layer === 'domain' && !can(req.user, 'kb.domain')) return res.status(403).json({ error: 'you cannot curate into the domain layer' });
+    const entry = String(text ?? existing.correction ?? '').trim();
+    if (!entry) return res.status(400).json({ error: 'text is required when the feedback has no correction' });
+    if (layer === 'org' && !existing.org_key) return res.status(400).json({ error: 'feedback has no org to curate into' });
 
-    return res.json({
-      answer,
-      used: { provider, model, org_id: org_id || null, org_hits: orgSnips.length, domain_hits: domainSnips.length },
-      context: contextSnippets.map(s => ({ id: s.id, source: s.metadata?.source, distance: s.distance })),
-      timings_ms: { total }
+    const job = await enqueueIngestJob({
+      file: curatedEntryFile(existing, entry),
+      layer,
+      orgId: existing.org_key,
+      uploadedBy: req.user.sub
     });
+    const feedback = await reviewFeedback(existing.id, { status: 'curated', reviewedBy: req.user.sub, curatedJobId: job.id });
+    console.log(`[feedback] ${existing.id} curated into ${layer} by ${req.user.email} → job ${job.id}`);
+    res.status(202).json({ ok: true, feedback, job_id: job.id, job });
+  } catch (e) {
+    console.error('[feedback] curate FAILED:', e);
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Tickets (Lotte) --------------------
+// Intake: JSON { subject, body, from, from_name, org_id? } or a raw e-mail (Content-Type: message/rfc822).
+// The reply draft + suggested tasks are filled in by the background drafter (see tickets.js).
+const rawEmail = express.raw({ type: 'message/rfc822', limit: '25mb' });
+
+app.post('/tickets', requireAuth, requirePermission('tickets.write'), rawEmail, async (req, res) => {
+  try {
+    const org_id = Buffer.isBuffer(req.body) ? req.query.org_id : (req.body?.org_id ?? req.query.org_id);
+    const { orgKey, status, error } = resolveOrgKey(req.user, org_id);
+    if (error) return res.status(status).json({ error });
+
+    let fields;
+    if (Buffer.isBuffer(req.body)) {
+      fields = { ...await parseEmailTicket(req.body), source: 'email' };
+    } else {
+      const { subject, body, description, from, from_name, received_at } = req.body || {};
+      fields = {
+        subject: String(subject || '').trim(),
+        body: String(body ?? description ?? '').trim(),
+        fromAddress: from || null,
+        fromName: from_name || null,
+        receivedAt: received_at || null,
+        source: 'api'
+      };
+      if (!fields.subject) return res.status(400).json({ error: 'subject is required' });
+    }
+    if (!fields.body) return res.status(400).json({ error: 'ticket has no body text' });
 
+    const { ticket, duplicate } = await createTicket({ ...fields, orgKey, createdBy: req.user.sub });
+    console.log(`[tickets] ${duplicate ? 'duplicate' : 'new'} ${fields.source} ticket ${ticket.id} for ${orgKey}`);
+    res.status(duplicate ? 200 : 201).json({ ok: true, duplicate, ticket });
   } catch (e) {
-    console.error(`[ASK][${id}] FAIL:`, e);
-    return res.status(500).json({ error: String(e?.message || e) });
+    console.error('[tickets] intake FAILED:', e);
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
   }
 });
 
-// -------------------- Config for UI --------------------
-app.get('/llm/providers', (_req, res) => {
-  res.json({ providers: listProviders() });
+// other orgs' tickets are invisible unless you are a super-admin
+async function getVisibleTicket(req) {
+  const ticket = await getTicket(req.params.id);
+  if (!ticket) return null;
+  if (ticket.org_key !== req.user.org_key && !isSuperAdmin(req.user)) return null;
+  return ticket;
+}
+
+app.get('/tickets', requireAuth, requirePermission('tickets.read'), async (req, res) => {
+  try {
+    const { status, org_id, limit } = req.query;
+    const tickets = await listTickets({
+      scopeOrg: isSuperAdmin(req.user) ? org_id : req.user.org_key,
+      status,
+      limit
+    });
+    res.json({ tickets });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
 });
-app.get('/config', requireAuth, (req, res) => {
-  res.json({
-    me: {
-      id: req.user.sub,
-      email: req.user.email,
-      role: req.user.role,
-      org_key: req.user.org_key,
-      provider: req.user.provider,
-    },
-    providers: listProviders(),
-    organizations: listOrgsStatic(), // UI can also call /organizations for DB-backed list
-  });
+app.get('/tickets/:id', requireAuth, requirePermission('tickets.read'), uuidParam, async (req, res) => {
+  try {
+    const ticket = await getVisibleTicket(req);
+    if (!ticket) return res.status(404).json({ error: 'not found' });
+    res.json({ ticket });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.post('/tickets/:id/redraft', requireAuth, requirePermission('tickets.write'), uuidParam, async (req, res) => {
+  try {
+    const ticket = await getVisibleTicket(req);
+    if (!ticket) return res.status(404).json({ error: 'not found' });
+    const queued = await redraftTicket(ticket.id);
+    if (!queued) return res.status(409).json({ error: `draft is ${ticket.draft_status}` });
+    res.json({ ok: true, ticket: queued });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// "Accepteer alle taken": turn the ticket's suggestions into tasks (assigned to the caller by default)
+app.post('/tickets/:id/accept-tasks', requireAuth, requirePermission('tickets.write', 'tasks.write'), uuidParam, async (req, res) => {
+  try {
+    const ticket = await getVisibleTicket(req);
+    if (!ticket) return res.status(404).json({ error: 'not found' });
+    const { assignee_id = req.user.sub, due_date } = req.body || {};
+    const fields = await validateTaskFields({ assignee_id, due_date }, ticket.org_key);
+    const tasks = await createTasksFromTicket(ticket, {
+      assigneeId: fields.assignee_id,
+      dueDate: fields.due_date,
+      createdBy: req.user.sub
+    });
+    res.status(201).json({ ok: true, tasks });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Tasks (Takenlijst) --------------------
+// Tasks are shared within an org; super-admins see every org
+async function getVisibleTask(req) {
+  const task = await getTask(req.params.id);
+  if (!task) return null;
+  if (task.org_key !== req.user.org_key && !isSuperAdmin(req.user)) return null;
+  return task;
+}
+
+// ?assignee=me|unassigned|<user id>&status=open|in_progress|done&ticket_id=...
+app.get('/tasks', requireAuth, requirePermission('tasks.read'), async (req, res) => {
+  try {
+    const { assignee, status, ticket_id, org_id, limit } = req.query;
+    if (status && !TASK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${TASK_STATUSES.join('|')}` });
+    }
+    if (assignee && !['me', 'unassigned'].includes(assignee) && !UUID_RE.test(assignee)) {
+      return res.status(400).json({ error: 'assignee must be me, unassigned or a user id' });
+    }
+    if (ticket_id && !UUID_RE.test(ticket_id)) return res.status(400).json({ error: 'ticket_id must be a ticket id' });
+    const tasks = await listTasks({
+      scopeOrg: isSuperAdmin(req.user) ? org_id : req.user.org_key,
+      assigneeId: assignee === 'me' ? req.user.sub : (assignee && assignee !== 'unassigned' ? assignee : null),
+      unassigned: assignee === 'unassigned',
+      status,
+      ticketId: ticket_id,
+      limit
+    });
+    res.json({ tasks });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.post('/tasks', requireAuth, requirePermission('tasks.write'), async (req, res) => {
+  try {
+    const { ticket_id, org_id } = req.body || {};
+    let orgKey = req.user.org_key;
+    if (ticket_id) {
+      const ticket = UUID_RE.test(ticket_id) ? await getTicket(ticket_id) : null;
+      if (!ticket || (ticket.org_key !== req.user.org_key && !isSuperAdmin(req.user))) {
+        return res.status(404).json({ error: 'ticket not found' });
+      }
+      orgKey = ticket.org_key;
+    } else {
+      const resolved = resolveOrgKey(req.user, org_id);
+      if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+      orgKey = resolved.orgKey;
+    }
+    const { title = '', description, status, assignee_id, due_date } = req.body || {};
+    const fields = await validateTaskFields({ title, description, status, assignee_id, due_date }, orgKey);
+    const task = await createTask({
+      orgKey,
+      ticketId: ticket_id || null,
+      title: fields.title,
+      description: fields.description,
+      status: fields.status,
+      assigneeId: fields.assignee_id,
+      dueDate: fields.due_date,
+      createdBy: req.user.sub
+    });
+    res.status(201).json({ ok: true, task });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.get('/tasks/:id', requireAuth, requirePermission('tasks.read'), uuidParam, async (req, res) => {
+  try {
+    const task = await getVisibleTask(req);
+    if (!task) return res.status(404).json({ error: 'not found' });
+    res.json({ task, comments: await getTaskComments(task.id) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.patch('/tasks/:id', requireAuth, requirePermission('tasks.write'), uuidParam, async (req, res) => {
+  try {
+    const existing = await getVisibleTask(req);
+    if (!existing) return res.status(404).json({ error: 'not found' });
+    const { title, description, status, assignee_id, due_date } = req.body || {};
+    const fields = await validateTaskFields({ title, description, status, assignee_id, due_date }, existing.org_key);
+    res.json({ ok: true, task: await updateTask(existing.id, fields) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// creator, or whoever may manage the org's tasks
+app.delete('/tasks/:id', requireAuth, requirePermission('tasks.write'), uuidParam, async (req, res) => {
+  try {
+    const existing = await getVisibleTask(req);
+    if (!existing) return res.status(404).json({ error: 'not found' });
+    if (existing.created_by !== req.user.sub && !can(req.user, 'tasks.manage')) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    await deleteTask(existing.id);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.post('/tasks/:id/comments', requireAuth, requirePermission('tasks.write'), uuidParam, async (req, res) => {
+  try {
+    const existing = await getVisibleTask(req);
+    if (!existing) return res.status(404).json({ error: 'not found' });
+    const body = String(req.body?.body || '').trim();
+    if (!body) return res.status(400).json({ error: 'body is required' });
+    const comment = await addTaskComment(existing.id, { userId: req.user.sub, body: body.slice(0, 10000) });
+    res.status(201).json({ ok: true, comment: { ...comment, user_email: req.user.email } });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Prompt templates (admin) --------------------
+// Admins manage their own org's template; the domain default (scope=domain) is super-admin only.
+// Returns { orgKey } (null = domain default) or { status, error }
+function templateScope(user, { org_id, scope } = {}) {
+  if (scope === 'domain') {
+    return isSuperAdmin(user) ? { orgKey: null } : { status: 403, error: 'only super-admins manage the domain default' };
+  }
+  return resolveOrgKey(user, org_id);
+}
+
+// ?org_id=RZH | ?scope=domain -> versions of that scope + what /ask uses for the org right now
+app.get('/prompt-templates', requireAuth, requirePermission('prompts.manage'), async (req, res) => {
+  try {
+    const { orgKey, status, error } = templateScope(req.user, req.query);
+    if (error) return res.status(status).json({ error });
+    res.json({
+      variables: PROMPT_VARIABLES,
+      templates: await listTemplates(orgKey),
+      effective: orgKey ? await getActiveTemplate(orgKey) : null
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// { org_id | scope: 'domain', body, note, activate = true } -> new version
+app.post('/prompt-templates', requireAuth, requirePermission('prompts.manage'), async (req, res) => {
+  try {
+    const { body, note, activate = true } = req.body || {};
+    const { orgKey, status, error } = templateScope(req.user, req.body || {});
+    if (error) return res.status(status).json({ error });
+    const template = await createTemplate({ orgKey, body, note, createdBy: req.user.sub, activate: activate !== false });
+    console.log(`[prompts] ${orgKey || 'domain'} v${template.version}${template.active ? ' (active)' : ''} saved by ${req.user.email}`);
+    res.status(201).json({ ok: true, template });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// The prompt the model would get for `question`, with real retrieval for the org.
+// { question, org_id, body? | template_id? } — without either, the org's effective template.
+app.post('/prompt-templates/preview', requireAuth, requirePermission('prompts.manage'), async (req, res) => {
+  const id = req.id;
+  try {
+    const { question, body, template_id } = req.body || {};
+    if (!question) return res.status(400).json({ error: 'question is required' });
+    const { orgKey, status, error } = resolveOrgKey(req.user, req.body.org_id);
+    if (error) return res.status(status).json({ error });
+
+    let template;
+    if (body !== undefined) {
+      template = { id: null, body: validateTemplateBody(body), source: 'draft' };
+    } else if (template_id) {
+      template = await getTemplate(template_id);
+      if (!template || (template.org_key && template.org_key !== orgKey)) return res.status(404).json({ error: 'template not found' });
+    } else {
+      template = await getActiveTemplate(orgKey);
+    }
+
+    const { contextSnippets } = await retrieveContext(id, { question, org_id: orgKey, reranker: 'none' });
+    const prompt = renderPrompt({
+      contextSnippets,
+      question,
+      template: template.body,
+      user: req.user,
+      org: { key: orgKey, ...(await getOrganization(orgKey)) }
+    });
+    res.json({ prompt, template: { id: template.id, version: template.version ?? null, source: template.source ?? null }, context: contextForResponse(contextSnippets) });
+  } catch (e) {
+    console.error(`[prompts][${id}] preview FAILED:`, e);
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Make a version live again (rollback, or publishing a saved draft)
+app.post('/prompt-templates/:id/activate', requireAuth, requirePermission('prompts.manage'), async (req, res) => {
+  try {
+    const template = await getTemplate(parseInt(req.params.id, 10) || 0);
+    const allowed = template && (template.org_key
+      ? !resolveOrgKey(req.user, template.org_key).error
+      : isSuperAdmin(req.user));
+    if (!allowed) return res.status(404).json({ error: 'not found' });
+    const activated = await activateTemplate(template.id);
+    console.log(`[prompts] ${template.org_key || 'domain'} v${template.version} activated by ${req.user.email}`);
+    res.json({ ok: true, template: activated });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Stop using the org's own template: it falls back to the domain default
+app.delete('/prompt-templates/active', requireAuth, requirePermission('prompts.manage'), async (req, res) => {
+  try {
+    const { orgKey, status, error } = templateScope(req.user, req.query);
+    if (error) return res.status(status).json({ error });
+    await deactivateTemplates(orgKey);
+    console.log(`[prompts] ${orgKey || 'domain'} template deactivated by ${req.user.email}`);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Audit log (admin) --------------------
+// Filters from the query string: ?action=ask|user.|...&actor=<email part or user id>&target_id&request_id
+// &outcome=ok|denied|failed&from&to (ISO dates)&org_id (super-admins; admins always see their own org)
+function auditFilters(req) {
+  const { action, actor, target_id, request_id, outcome, from, to, before_id, org_id } = req.query;
+  if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+    throw Object.assign(new Error(`outcome must be one of ${AUDIT_OUTCOMES.join('|')}`), { status: 400 });
+  }
+  for (const [k, v] of Object.entries({ from, to })) {
+    if (v && Number.isNaN(Date.parse(v))) throw Object.assign(new Error(`${k} must be an ISO date`), { status: 400 });
+  }
+  return {
+    scopeOrg: isSuperAdmin(req.user) ? org_id : req.user.org_key,
+    action, actor, targetId: target_id, requestId: request_id, outcome, from, to,
+    beforeId: parseInt(before_id, 10) || undefined
+  };
+}
+
+app.get('/audit', requireAuth, requirePermission('audit.read'), async (req, res) => {
+  try {
+    res.json({ entries: await queryAudit(auditFilters(req), { limit: req.query.limit }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Same filters as a CSV file; the export itself is audited too
+app.get('/audit/export', requireAuth, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const filters = auditFilters(req);
+    const { csv, rows, truncated } = await exportAuditCsv(filters);
+    await recordAudit(req, { action: 'audit.export', orgKey: filters.scopeOrg || null, details: { filters: req.query, rows, truncated } });
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`,
+      'X-Audit-Truncated': String(truncated)
+    });
+    res.send(csv);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- PII policy (admin) --------------------
+// What is redacted before prompts go to GROQ/OPENAI/MISTRAL, or whether they go to OLLAMA instead
+app.get('/pii/policy', requireAuth, requirePermission('pii.manage'), async (req, res) => {
+  try {
+    const { orgKey, status, error } = resolveOrgKey(req.user, req.query.org_id);
+    if (error) return res.status(status).json({ error });
+    res.json({ modes: PII_MODES, detectors: PII_DETECTORS, policy: await getPiiPolicy(orgKey) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// body: { org_id?, mode?, detectors?, patterns?: [{ type, pattern, flags }], names? } — omitted fields stay as they are
+app.put('/pii/policy', requireAuth, requirePermission('pii.manage'), async (req, res) => {
+  const { org_id, ...fields } = req.body || {};
+  const { orgKey, status, error } = resolveOrgKey(req.user, org_id);
+  try {
+    if (error) {
+      await recordAudit(req, { action: 'pii.policy.update', outcome: 'denied', orgKey: org_id || null, details: { reason: error } });
+      return res.status(status).json({ error });
+    }
+    if (!orgKey) return res.status(400).json({ error: 'org_id is required' });
+    const policy = await savePiiPolicy(orgKey, fields, req.user.sub);
+    await recordAudit(req, {
+      action: 'pii.policy.update', orgKey, targetType: 'pii_policy', targetId: orgKey,
+      details: { mode: policy.mode, detectors: policy.detectors, patterns: policy.patterns.length, names: policy.names.length }
+    });
+    res.json({ ok: true, policy });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Dry run of the org's policy on a piece of text: { redacted, found: [{ type, value }] }
+app.post('/pii/test', requireAuth, requirePermission('pii.manage'), async (req, res) => {
+  try {
+    const { org_id, text = '' } = req.body || {};
+    const { orgKey, status, error } = resolveOrgKey(req.user, org_id);
+    if (error) return res.status(status).json({ error });
+    const policy = await getPiiPolicy(orgKey);
+    const found = detectPII(String(text), policy).map(({ type, value }) => ({ type, value }));
+    res.json({ mode: policy.mode, redacted: createRedactor(policy).redact(String(text)).text, found });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Single sign-on config (super-admin) --------------------
+// The org's OIDC provider; client_secret is write-only. Redirect URI to register at the IdP: <APP_URL>/auth/oidc/callback
+app.get('/oidc/config', requireAuth, requirePermission('sso.manage'), async (req, res) => {
+  try {
+    const { orgKey, status, error } = resolveOrgKey(req.user, req.query.org_id);
+    if (error) return res.status(status).json({ error });
+    res.json({
+      roles: SSO_ROLES,
+      redirect_uri: process.env.APP_URL ? `${appUrl()}/auth/oidc/callback` : null,  // null: set APP_URL first
+      config: publicOidcConfig(await getOidcConfig(orgKey))
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// body: { org_id?, enabled?, issuer?, client_id?, client_secret?, scopes?, email_claim?, groups_claim?, role_map?, default_role?,
+//         link_existing? }; issuer, client and link_existing are super-admin only (they decide who may sign in as whom)
+app.put('/oidc/config', requireAuth, requirePermission('sso.manage'), async (req, res) => {
+  const { org_id, ...fields } = req.body || {};
+  const { orgKey, status, error } = resolveOrgKey(req.user, org_id);
+  try {
+    if (error) {
+      await recordAudit(req, { action: 'oidc.config.update', outcome: 'denied', orgKey: org_id || null, details: { reason: error } });
+      return res.status(status).json({ error });
+    }
+    if (!orgKey) return res.status(400).json({ error: 'org_id is required' });
+    const trust = OIDC_TRUST_FIELDS.filter(f => fields[f] !== undefined);
+    if (trust.length && !isSuperAdmin(req.user)) {
+      await recordAudit(req, { action: 'oidc.config.update', outcome: 'denied', orgKey, details: { reason: 'super-admin only', fields: trust } });
+      return res.status(403).json({ error: `only a super-admin can change ${trust.join(', ')}` });
+    }
+    const org = await getOrganization(orgKey);
+    if (!org) return res.status(404).json({ error: 'organization not found' });
+    if (fields.enabled === false && org.settings?.password_login === false) {
+      return res.status(409).json({ error: `password login is disabled for ${orgKey}; enable it before turning SSO off` });
+    }
+    const config = publicOidcConfig(await saveOidcConfig(orgKey, fields, req.user.sub));
+    const { updated_at, ...details } = config;
+    await recordAudit(req, {
+      action: 'oidc.config.update', orgKey, targetType: 'oidc_provider', targetId: orgKey,
+      details: { ...details, secret_changed: fields.client_secret !== undefined }
+    });
+    res.json({ ok: true, config });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.delete('/oidc/config', requireAuth, requirePermission('sso.manage'), async (req, res) => {
+  const { orgKey, status, error } = resolveOrgKey(req.user, req.query.org_id);
+  try {
+    if (error) return res.status(status).json({ error });
+    if ((await getOrganization(orgKey))?.settings?.password_login === false) {
+      return res.status(409).json({ error: `password login is disabled for ${orgKey}; enable it before removing SSO` });
+    }
+    if (!(await deleteOidcConfig(orgKey))) return res.status(404).json({ error: 'not found' });
+    await recordAudit(req, { action: 'oidc.config.delete', orgKey, targetType: 'oidc_provider', targetId: orgKey });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- LLM usage + limits (admin) --------------------
+// ?from&to (ISO dates)&group_by=org,user,provider,model,purpose,day,month&org_id (super-admins; admins see their own org)
+app.get('/usage', requireAuth, requirePermission('usage.read'), async (req, res) => {
+  try {
+    const { from, to, group_by, org_id } = req.query;
+    for (const [k, v] of Object.entries({ from, to })) {
+      if (v && Number.isNaN(Date.parse(v))) return res.status(400).json({ error: `${k} must be an ISO date` });
+    }
+    const groupBy = group_by ? String(group_by).split(',').map(g => g.trim()).filter(Boolean) : ['org', 'provider'];
+    const scopeOrg = isSuperAdmin(req.user) ? org_id : req.user.org_key;
+    res.json({ group_by: groupBy, groups: Object.keys(USAGE_GROUPS), rows: await usageReport({ scopeOrg, from, to, groupBy }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// The org's limits (0 = unlimited) and what it used this month
+app.get('/usage/limits', requireAuth, requirePermission('usage.read'), async (req, res) => {
+  try {
+    const { orgKey, status, error } = resolveOrgKey(req.user, req.query.org_id);
+    if (error) return res.status(status).json({ error });
+    const { requests, tokens, month } = await monthUsage(orgKey);
+    res.json({ org_id: orgKey, limits: await getUsageLimits(orgKey), month: { month, requests, tokens } });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// body: { org_id, user_per_minute?, org_per_minute?, monthly_requests?, monthly_tokens? } (null = env default).
+// Super-admin only: an org's admins can't raise their own quota.
+app.put('/usage/limits', requireAuth, requirePermission('usage.limits'), async (req, res) => {
+  try {
+    const { org_id, ...fields } = req.body || {};
+    if (!org_id) return res.status(400).json({ error: 'org_id is required' });
+    if (!await getOrganization(org_id)) return res.status(404).json({ error: 'organization not found' });
+    const limits = await saveUsageLimits(org_id, fields, req.user.sub);
+    await recordAudit(req, { action: 'usage.limits.update', orgKey: org_id, targetType: 'usage_limits', targetId: org_id, details: { limits } });
+    res.json({ ok: true, org_id, limits });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Embeddings (super-admin) --------------------
+// One collection (vector column) is searched; a re-embed fills a new one and switches over when done
+app.get('/embeddings', requireAuth, requirePermission('embeddings.manage'), async (_req, res) => {
+  try {
+    res.json({ providers: listEmbedProviders(), collections: await listCollections() });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.post('/embeddings/reembed', requireAuth, requirePermission('embeddings.manage'), async (req, res) => {
+  try {
+    const { provider, model } = req.body || {};
+    const collection = await startReembedding({ provider, model, createdBy: req.user.sub });
+    console.log(`[embeddings] re-embed to ${collection.provider}:${collection.model} (${collection.dimension}d) started by ${req.user.email}`);
+    res.status(202).json({ ok: true, collection });
+  } catch (e) {
+    console.error('[embeddings] re-embed FAILED:', e);
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.delete('/embeddings/collections/:id', requireAuth, requirePermission('embeddings.manage'), async (req, res) => {
+  try {
+    const collection = await dropCollection(parseInt(req.params.id, 10) || 0);
+    if (!collection) return res.status(404).json({ error: 'not found' });
+    console.log(`[embeddings] dropped collection ${collection.id} (${collection.column_name}) by ${req.user.email}`);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Evaluation (admin) --------------------
+// Golden question sets per org, run through the /ask pipeline in the background and scored;
+// compare runs (config + metrics) to see what a change to retrieval, chunking or model did.
+async function getManagedEvalSet(req, id = req.params.id) {
+  const set = await getEvalSet(id);
+  if (!set) return null;
+  if (set.org_key !== req.user.org_key && !isSuperAdmin(req.user)) return null;
+  return set;
+}
+
+app.get('/eval/sets', requireAuth, requirePermission('eval.manage'), async (req, res) => {
+  try {
+    res.json({ sets: await listEvalSets({ scopeOrg: isSuperAdmin(req.user) ? req.query.org_id : req.user.org_key }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// body: { org_id?, name, description?, questions: [{ question, expected_documents: [document id | filename], reference_answer? }] }
+app.post('/eval/sets', requireAuth, requirePermission('eval.manage'), async (req, res) => {
+  try {
+    const { orgKey, status, error } = resolveOrgKey(req.user, req.body?.org_id);
+    if (error) return res.status(status).json({ error });
+    const { name, description, questions = [] } = req.body || {};
+    const set = await saveEvalSet({ orgKey, name, description, questions, createdBy: req.user.sub });
+    res.json({ ok: true, set });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.get('/eval/sets/:id', requireAuth, requirePermission('eval.manage'), uuidParam, async (req, res) => {
+  try {
+    const set = await getManagedEvalSet(req);
+    if (!set) return res.status(404).json({ error: 'not found' });
+    res.json({ set });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// body: { name?, description?, questions? } (questions replaces the whole list)
+app.put('/eval/sets/:id', requireAuth, requirePermission('eval.manage'), uuidParam, async (req, res) => {
+  try {
+    const existing = await getManagedEvalSet(req);
+    if (!existing) return res.status(404).json({ error: 'not found' });
+    const { name, description, questions } = req.body || {};
+    const set = await saveEvalSet({ id: existing.id, name, description, questions });
+    res.json({ ok: true, set });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.delete('/eval/sets/:id', requireAuth, requirePermission('eval.manage'), uuidParam, async (req, res) => {
+  try {
+    const set = await getManagedEvalSet(req);
+    if (!set) return res.status(404).json({ error: 'not found' });
+    await deleteEvalSet(set.id);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get('/eval/sets/:id/runs', requireAuth, requirePermission('eval.manage'), uuidParam, async (req, res) => {
+  try {
+    const set = await getManagedEvalSet(req);
+    if (!set) return res.status(404).json({ error: 'not found' });
+    res.json({ runs: await listEvalRuns({ setId: set.id, limit: req.query.limit }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+// body: { label?, k1?, k2?, max_ctx?, retrieval?, reranker?, provider?, model?, judge?: { provider?, model? } }
+app.post('/eval/sets/:id/runs', requireAuth, requirePermission('eval.manage'), uuidParam, async (req, res) => {
+  try {
+    const set = await getManagedEvalSet(req);
+    if (!set) return res.status(404).json({ error: 'not found' });
+    if (!set.questions.length) return res.status(400).json({ error: 'the set has no questions' });
+    const config = await evalRunConfig(req.user, set, req.body || {});
+    const run = await createEvalRun({ set, config, label: req.body?.label || null, startedBy: req.user.sub });
+    await recordAudit(req, {
+      action: 'eval.run', orgKey: set.org_key, targetType: 'eval_run', targetId: run.id,
+      details: { set_id: set.id, name: set.name, questions: set.questions.length, config }
+    });
+    res.status(202).json({ ok: true, run });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.get('/eval/runs/:id', requireAuth, requirePermission('eval.manage'), uuidParam, async (req, res) => {
+  try {
+    const run = await getEvalRun(req.params.id);
+    if (!run || !(await getManagedEvalSet(req, run.set_id))) return res.status(404).json({ error: 'not found' });
+    res.json({ run, results: await getEvalResults(run.id) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// -------------------- Ask --------------------
+// Every question goes into the audit log, answered or not
+function auditAsk(req, { org_id, question, provider, model, conversationId, messageId, outcome = 'ok', details = {} }) {
+  return recordAudit(req, {
+    action: 'ask',
+    outcome,
+    orgKey: org_id || req.user.org_key,
+    targetType: messageId ? 'message' : conversationId ? 'conversation' : null,
+    targetId: messageId || conversationId,
+    details: { question: String(question || '').slice(0, 4000), provider, model, conversation_id: conversationId || null, ...details }
+  });
+}
+
+// Load the caller's conversation + recent turns; returns { status, error } when not allowed
+async function openConversation(req, conversation_id) {
+  if (!conversation_id) return { conversation: null, history: [] };
+  if (!UUID_RE.test(conversation_id)) return { status: 404, error: 'conversation not found' };
+  const conversation = await getConversation(conversation_id, req.user.sub);
+  if (!conversation) return { status: 404, error: 'conversation not found' };
+  return { conversation, history: await recentMessages(conversation.id) };
+}
+
+app.post('/ask', requireAuth, requirePermission('ask'), enforceUsageLimits, async (req, res) => {
+  const id = req.id;
+  const T0 = Date.now();
+
+  const {
+    provider: reqProvider,
+    model: reqModel,
+    llmOptions = {},
+    genTimeoutMs
+  } = req.body || {};
+
+  // request's choice, else the user's own provider/model, within the org's allow-list
+  let choice;
+  try {
+    choice = await resolveLLM(req.user, { provider: reqProvider, model: reqModel });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+  const { provider, model, allow, status: choiceStatus, error } = choice;
+  if (error) return res.status(choiceStatus).json({ error });
+
+  try {
+    const {
+      question, conversation_id, retrieval = DEFAULT_RETRIEVAL, reranker = RERANK_DEFAULTS.reranker
+    } = req.body || {};
+    if (!question) return res.status(400).json({ error: 'question is required' });
+    const { k1, k2, max_ctx } = retrievalCounts(req.body);
+    // kb_org is always searched for the caller's own org; org_id is a super-admin override
+    const { orgKey: org_id, status: orgStatus, error: orgError } = resolveOrgKey(req.user, req.body.org_id);
+    if (orgError) return res.status(orgStatus).json({ error: orgError });
+    if (!RETRIEVAL_MODES.includes(retrieval)) {
+      return res.status(400).json({ error: `retrieval must be one of ${RETRIEVAL_MODES.join('|')}` });
+    }
+    if (!listRerankers().includes(reranker)) {
+      return res.status(400).json({ error: `reranker must be one of ${listRerankers().join('|')}` });
+    }
+
+    const { conversation, history, status, error: convError } = await openConversation(req, conversation_id);
+    if (convError) return res.status(status).json({ error: convError });
+
+    console.log(`[ASK][${id}] question="${String(question).slice(0,120)}"${question.length>120?'…':''} org=${org_id || '-'} conv=${conversation?.id || '-'}`);
+
+    // one redactor per request, so condense + answer use the same placeholders
+    const redactor = createRedactor(await getPiiPolicy(org_id));
+    const { query: searchQuery, pii: condensePii, route: condenseRoute } = await condenseQuestion(id, { history, question, provider, model, allow, org_id, redactor });
+    await recordUsage(req, { route: condenseRoute, purpose: 'condense' });
+    const { orgSnips, domainSnips, contextSnippets, relevant, rerank: rerankInfo } = await retrieveContext(id, {
+      question: searchQuery, org_id, k1, k2, max_ctx, retrieval, reranker, charge: req
+    });
+
+    let answer = NOTHING_RELEVANT_ANSWER;
+    let citations = [];
+    let sent = { provider, model, pii: null };
+    const route = {};
+    if (relevant) {
+      const prompt = await withStep(
+        id,
+        'buildPrompt',
+        () => buildAnswerPrompt(req.user, { org_id, contextSnippets, question, history }),
+        TIMEOUTS.BUILD_PROMPT
+      );
+      const guarded = await guardPrompt({ orgKey: org_id, provider, model, prompt, redactor });
+
+      const generated = await withStep(
+        id,
+        `generate(${guarded.provider}:${guarded.model})`,
+        () => generateLLM({
+          provider: guarded.provider,
+          model: guarded.model,
+          prompt: guarded.prompt,
+          options: { ...fastDefaults, ...(llmOptions || {}) },
+          timeoutMs: genTimeoutMs || TIMEOUTS.GENERATE,
+          allowExternal: guarded.allowExternal,
+          allow,
+          route
+        }),
+        stepTimeout(genTimeoutMs || TIMEOUTS.GENERATE)
+      );
+      // the provider that answered, which may be a fallback
+      sent = { provider: route.provider, model: route.model, pii: guarded.pii };
+      await recordUsage(req, { route, purpose: 'answer' });
+      ({ answer, citations } = await citeAnswer(guarded.restore(generated), contextSnippets));
+    }
+
+    const context = contextForResponse(contextSnippets);
+    const used = {
+      provider: sent.provider, model: sent.model, org_id: org_id || null, org_hits: orgSnips.length, domain_hits: domainSnips.length,
+      search_query: searchQuery, retrieval, rerank: rerankInfo, pii: mergePiiReports(condensePii, sent.pii),
+      routing: { condense: condenseRoute || undefined, answer: relevant ? route : undefined }
+    };
+    const messageId = conversation ? await appendTurn(conversation.id, { question, answer, context, used, citations }) : null;
+    await auditAsk(req, {
+      org_id, question, provider: sent.provider, model: sent.model, conversationId: conversation?.id, messageId,
+      details: { nothing_relevant: !relevant, chunk_ids: context.map(c => c.id), cited: citations.map(c => c.id), pii: used.pii }
+    });
+
+    const total = Date.now() - T0;
+    console.log(`[ASK][${id}] DONE total=${total}ms hits{org=${orgSnips.length},dom=${domainSnips.length}} ctx=${contextSnippets.length}`);
+
+    return res.json({
+      answer,
+      conversation_id: conversation?.id || null,
+      message_id: messageId,
+      nothing_relevant: !relevant,
+      used,
+      context,
+      citations,
+      timings_ms: { total }
+    });
+
+  } catch (e) {
+    console.error(`[ASK][${id}] FAIL:`, e);
+    await auditAsk(req, {
+      org_id: resolveOrgKey(req.user, req.body?.org_id).orgKey, question: req.body?.question, provider, model,
+      conversationId: req.body?.conversation_id, outcome: 'failed',
+      details: { error: String(e?.message || e), ...(e.route ? { routing: e.route } : {}) }
+    });
+    // 503 when every provider in the fallback chain failed
+    return res.status(e.status || 500).json({ error: String(e?.message || e), ...(e.route ? { routing: e.route } : {}) });
+  }
+});
+
+// Same pipeline as /ask, streamed as Server-Sent Events:
+//   event: context  {conversation_id, nothing_relevant, used, context}  (once, before generation starts)
+//   event: token    {delta}                                             (many; one canned delta when nothing_relevant)
+//   event: done     {message_id, answer, citations, used, timings_ms}   (answer without invalid [n] markers;
+//                                                                        used.provider is who answered after fallbacks)
+//   event: error    {error}
+// Closing the connection aborts the upstream LLM request.
+app.post('/ask/stream', requireAuth, requirePermission('ask'), enforceUsageLimits, async (req, res) => {
+  const id = req.id;
+  const T0 = Date.now();
+
+  const {
+    provider: reqProvider,
+    model: reqModel,
+    llmOptions = {},
+    genTimeoutMs,
+    question, conversation_id, retrieval = DEFAULT_RETRIEVAL, reranker = RERANK_DEFAULTS.reranker
+  } = req.body || {};
+
+  let choice;
+  try {
+    choice = await resolveLLM(req.user, { provider: reqProvider, model: reqModel });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+  const { provider, model, allow, status: choiceStatus, error } = choice;
+  if (error) return res.status(choiceStatus).json({ error });
+  if (!question) return res.status(400).json({ error: 'question is required' });
+  let counts;
+  try {
+    counts = retrievalCounts(req.body);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+  const { k1, k2, max_ctx } = counts;
+  const { orgKey: org_id, status: orgStatus, error: orgError } = resolveOrgKey(req.user, req.body.org_id);
+  if (orgError) return res.status(orgStatus).json({ error: orgError });
+  if (!RETRIEVAL_MODES.includes(retrieval)) {
+    return res.status(400).json({ error: `retrieval must be one of ${RETRIEVAL_MODES.join('|')}` });
+  }
+  if (!listRerankers().includes(reranker)) {
+    return res.status(400).json({ error: `reranker must be one of ${listRerankers().join('|')}` });
+  }
+
+  let conversation, history;
+  try {
+    const opened = await openConversation(req, conversation_id);
+    if (opened.error) return res.status(opened.status).json({ error: opened.error });
+    ({ conversation, history } = opened);
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const controller = new AbortController();
+  let sent = { provider, model };
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    console.log(`[ASK][${id}] client disconnected, aborting`);
+    controller.abort();
+  });
+
+  try {
+    console.log(`[ASK][${id}] (stream) question="${String(question).slice(0,120)}"${question.length>120?'…':''} org=${org_id || '-'}`);
+
+    const redactor = createRedactor(await getPiiPolicy(org_id));
+    const { query: searchQuery, pii: condensePii, route: condenseRoute } = await condenseQuestion(id, { history, question, provider, model, allow, org_id, redactor });
+    await recordUsage(req, { route: condenseRoute, purpose: 'condense' });
+    const { orgSnips, domainSnips, contextSnippets, relevant, rerank: rerankInfo } = await retrieveContext(id, {
+      question: searchQuery, org_id, k1, k2, max_ctx, retrieval, reranker, charge: req
+    });
+    if (controller.signal.aborted) throw new Error('client disconnected');
+
+    // guarded before the context event, so `used` names the provider that really answers
+    let guarded = null;
+    if (relevant) {
+      const prompt = await withStep(
+        id,
+        'buildPrompt',
+        () => buildAnswerPrompt(req.user, { org_id, contextSnippets, question, history }),
+        TIMEOUTS.BUILD_PROMPT
+      );
+      guarded = await guardPrompt({ orgKey: org_id, provider, model, prompt, redactor });
+    }
+    sent = { provider: guarded?.provider || provider, model: guarded?.model || model };
+
+    const context = contextForResponse(contextSnippets);
+    const used = {
+      provider: sent.provider, model: sent.model, org_id: org_id || null, org_hits: orgSnips.length, domain_hits: domainSnips.length,
+      search_query: searchQuery, retrieval, rerank: rerankInfo, pii: mergePiiReports(condensePii, guarded?.pii),
+      routing: { condense: condenseRoute || undefined }
+    };
+    send('context', { conversation_id: conversation?.id || null, nothing_relevant: !relevant, used, context });
+
+    let answer = NOTHING_RELEVANT_ANSWER;
+    let citations = [];
+    if (relevant) {
+      // placeholders in the streamed tokens are restored before they reach the client
+      const restorer = guarded.restoreStream((delta) => send('token', { delta }));
+      const route = {};
+      const streamed = await withStep(
+        id,
+        `stream(${guarded.provider}:${guarded.model})`,
+        () => streamLLM({
+          provider: guarded.provider,
+          model: guarded.model,
+          prompt: guarded.prompt,
+          options: { ...fastDefaults, ...(llmOptions || {}) },
+          timeoutMs: genTimeoutMs || TIMEOUTS.GENERATE,
+          signal: controller.signal,
+          onToken: restorer.push,
+          allowExternal: guarded.allowExternal,
+          allow,
+          route
+        }),
+        stepTimeout(genTimeoutMs || TIMEOUTS.GENERATE)
+      );
+      restorer.flush();
+      // a fallback provider may have answered instead of the one announced in the context event
+      sent = { provider: route.provider, model: route.model };
+      Object.assign(used, sent, { routing: { ...used.routing, answer: route } });
+      await recordUsage(req, { route, purpose: 'answer' });
+      ({ answer, citations } = await citeAnswer(guarded.restore(streamed), contextSnippets));
+    } else {
+      send('token', { delta: answer });
+    }
+
+    const messageId = conversation ? await appendTurn(conversation.id, { question, answer, context, used, citations }) : null;
+    await auditAsk(req, {
+      org_id, question, provider: sent.provider, model: sent.model, conversationId: conversation?.id, messageId,
+      details: { nothing_relevant: !relevant, chunk_ids: context.map(c => c.id), cited: citations.map(c => c.id), stream: true, pii: used.pii }
+    });
+
+    const total = Date.now() - T0;
+    console.log(`[ASK][${id}] STREAM DONE total=${total}ms ctx=${contextSnippets.length}`);
+    send('done', { message_id: messageId, answer, citations, used, timings_ms: { total } });
+  } catch (e) {
+    const aborted = controller.signal.aborted;
+    await auditAsk(req, {
+      org_id, question, provider: sent.provider, model: sent.model, conversationId: conversation?.id, outcome: 'failed',
+      details: { stream: true, ...(aborted ? { aborted: true } : { error: String(e?.message || e) }), ...(e.route ? { routing: e.route } : {}) }
+    });
+    if (aborted) return;
+    console.error(`[ASK][${id}] STREAM FAIL:`, e);
+    send('error', { error: String(e?.message || e) });
+  } finally {
+    res.end();
+  }
+});
+
+// -------------------- Config for UI --------------------
+app.get('/llm/providers', (_req, res) => {
+  res.json({ providers: listProviders() });
+});
+// What the caller may pick in Lara: allowed providers with their models (Ollama: the local tags),
+// plus what /ask uses when the request names no provider/model
+app.get('/llm/models', requireAuth, requirePermission('ask'), async (req, res) => {
+  try {
+    const { provider, model, error } = await resolveLLM(req.user, {});
+    res.json({ providers: await llmCatalog(req.user.org_key), default: error ? null : { provider, model } });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Per-org allow-list: { providers: { PROVIDER: [models] } } ([] = any model), null = no restriction
+app.get('/llm/allowlist', requireAuth, requirePermission('llm.manage'), async (req, res) => {
+  try {
+    const { orgKey, status, error } = resolveOrgKey(req.user, req.query.org_id);
+    if (error) return res.status(status).json({ error });
+    res.json({ org_id: orgKey, providers: await getAllowlist(orgKey) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+app.put('/llm/allowlist', requireAuth, requirePermission('llm.manage'), async (req, res) => {
+  try {
+    const { org_id, providers = null } = req.body || {};
+    const { orgKey, status, error } = resolveOrgKey(req.user, org_id);
+    if (error) return res.status(status).json({ error });
+    const saved = await saveAllowlist(orgKey, providers, req.user.sub);
+    await recordAudit(req, {
+      action: 'llm.allowlist.update', orgKey, targetType: 'llm_allowlist', targetId: orgKey, details: { providers: saved }
+    });
+    res.json({ ok: true, org_id: orgKey, providers: saved });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Fallback order and circuit breaker state per provider (this backend instance only)
+app.get('/llm/status', requireAuth, requirePermission('llm.manage'), (_req, res) => {
+  res.json(llmStatus());
+});
+app.get('/config', requireAuth, requirePermission('self'), async (req, res) => {
+  try {
+    const stored = await getUserById(req.user.sub).catch(() => null);
+    res.json({
+      me: {
+        id: req.user.sub,
+        email: req.user.email,
+        role: req.user.role,
+        org_key: req.user.org_key,
+        provider: stored?.provider || req.user.provider,
+        model: stored?.model || null,
+        permissions: permissionsOf(req.user.role),
+      },
+      providers: listProviders(),
+      organizations: await listOrganizations(),
+    });
+  } catch (e) {
+    console.error('[config] FAILED:', e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
 });
 
 // ---- boot ----
-const port = process.env.PORT || 8080;
-Promise.resolve()
-  .then(() => ensureSchema())                   // KB + auth tables
-  .then(() => seedOrganizations(ORGANIZATIONS)) // seed orgs table
-  .then(() => {
-    app.listen(port, () => console.log(`KB server on :${port}`));
-  })
-  .catch(err => {
-    console.error('DB init failed:', err);
+// only when started as the server (node index.js); tests import `app` without a database
+function boot() {
+  const port = process.env.PORT || 8080;
+  try {
+    assertAuthConfig();
+  } catch (e) {
+    console.error(`Refusing to start: ${e.message}`);
     process.exit(1);
-  });
+  }
+  Promise.resolve()
+    .then(() => ensureSchema())                   // KB + auth tables
+    .then(() => seedOrganizations(DEFAULT_ORGANIZATIONS)) // first boot only
+    .then(() => {
+      startIngestWorkers();
+      startTicketDrafter();
+      startRetentionSweeper();
+      startSessionSweeper();
+      startEvalWorker();
+      resumeReembedding().catch(e => console.error('[embeddings] resume failed', e));
+      app.listen(port, () => console.log(`KB server on :${port}`));
+    })
+    .catch(err => {
+      console.error('DB init failed:', err);
+      process.exit(1);
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) boot();
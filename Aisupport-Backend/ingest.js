@@ -1,33 +1,279 @@
 import pdfParse from 'pdf-parse';
 import xlsx from 'xlsx';
 import { parseStringPromise } from 'xml2js';
+import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import { parse as parseHtml } from 'node-html-parser';
+import { simpleParser } from 'mailparser';
+import MsgReaderPkg from '@kenjiuno/msgreader';
 
-/** Extract plain-ish text from Buffer + mimetype + filename */
-export async function extractText({ buffer, mimetype, originalname }) {
+const MsgReader = MsgReaderPkg.default || MsgReaderPkg;
+const MAX_ATTACHMENT_DEPTH = parseInt(process.env.MAX_ATTACHMENT_DEPTH || '3', 10);
+
+/**
+ * Extract a file into a structure the chunkers understand (see chunk.js):
+ *   { kind: 'pages',  pages: [{ page, text }], unit? }                PDF ('page'), PPTX ('slide')
+ *   { kind: 'sheets', sheets: [{ name, rows: [[cell]], firstRow }] }  xlsx/xls/csv
+ *   { kind: 'xml',    root: { <rootElement>: {...} } }                 XML
+ *   { kind: 'bundle', parts: [{ name, doc }] }                         e-mail body + attachments
+ *   { kind: 'text',   text }                                           DOCX/HTML/MD (as '#' headings), everything else
+ * Any of them may carry a `title`.
+ */
+export async function extractDocument({ buffer, mimetype, originalname }, depth = 0) {
   const name = (originalname || '').toLowerCase();
+  mimetype = mimetype || '';
 
-  if (mimetype === 'application/pdf' || name.endsWith('.pdf')) {
-    const pdf = await pdfParse(buffer);
-    return pdf.text;
+  const extractor = EXTRACTORS.find(x => x.test(mimetype, name));
+  if (extractor) return extractor.extract(buffer, { name: originalname, depth });
+
+  // fallback: treat as utf8 text
+  return { kind: 'text', text: buffer.toString('utf8') };
+}
+
+/** Extract plain-ish text from Buffer + mimetype + filename */
+export async function extractText(file) {
+  return flatten(await extractDocument(file));
+}
+
+function flatten(doc) {
+  switch (doc.kind) {
+    case 'pages':  return doc.pages.map(p => p.text).join('\n\n');
+    case 'sheets': return doc.sheets.map(s => `# Sheet: ${s.name}\n${s.rows.map(r => r.join(',')).join('\n')}`).join('\n\n');
+    case 'xml':    return JSON.stringify(doc.root, null, 2);
+    case 'bundle': return doc.parts.map(p => flatten(p.doc)).join('\n\n');
+    default:       return doc.text;
   }
+}
+
+const ext = (...exts) => (name) => exts.some(e => name.endsWith(e));
+
+const EXTRACTORS = [
+  { test: (m, n) => m === 'application/pdf' || ext('.pdf')(n), extract: extractPdf },
+  { test: (m, n) => m.includes('wordprocessingml') || ext('.docx')(n), extract: extractDocx },
+  { test: (m, n) => m.includes('presentationml') || ext('.pptx')(n), extract: extractPptx },
+  { test: (m, n) => m.includes('spreadsheet') || ext('.xlsx', '.xls', '.csv')(n), extract: extractSheets },
+  { test: (m, n) => m === 'message/rfc822' || ext('.eml')(n), extract: extractEml },
+  { test: (m, n) => m === 'application/vnd.ms-outlook' || ext('.msg')(n), extract: extractMsg },
+  { test: (m, n) => m.includes('html') || ext('.html', '.htm')(n), extract: extractHtml },
+  { test: (m, n) => m === 'text/markdown' || ext('.md', '.markdown')(n), extract: extractMarkdown },
+  { test: (m, n) => m.includes('xml') || ext('.xml')(n), extract: extractXml },
+];
+
+// ----- PDF -----
+async function extractPdf(buffer) {
+  const pages = [];
+  await pdfParse(buffer, {
+    // same line joining as pdf-parse's default renderer, but kept per page
+    pagerender: (pageData) => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then((content) => {
+        let lastY, text = '';
+        for (const item of content.items) {
+          text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pages.push({ page: pageData.pageIndex + 1, text });
+        return text;
+      })
+  });
+  pages.sort((a, b) => a.page - b.page);
+  return { kind: 'pages', pages };
+}
+
+// ----- spreadsheets -----
+async function extractSheets(buffer) {
+  const wb = xlsx.read(buffer, { type: 'buffer' });
+  const sheets = wb.SheetNames.map((sheetName) => {
+    const ws = wb.Sheets[sheetName];
+    const firstRow = ws['!ref'] ? xlsx.utils.decode_range(ws['!ref']).s.r + 1 : 1;
+    const rows = xlsx.utils.sheet_to_json(ws, { header: 1, raw: false, defval: '', blankrows: true });
+    return { name: sheetName, rows, firstRow };
+  });
+  return { kind: 'sheets', sheets };
+}
+
+// ----- XML -----
+async function extractXml(buffer) {
+  const xml = buffer.toString('utf8');
+  const root = await parseStringPromise(xml, { explicitArray: false, mergeAttrs: true });
+  return { kind: 'xml', root };
+}
+
+// ----- HTML (and DOCX via mammoth) -> text with markdown '#' headings -----
+const SKIP_TAGS = new Set(['head', 'script', 'style', 'noscript', 'nav', 'header', 'footer', 'template', 'svg']);
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'aside', 'table', 'ul', 'ol', 'blockquote', 'pre', 'dl', 'figure']);
+
+export function htmlToText(html) {
+  const root = parseHtml(html || '');
+  const title = root.querySelector('title')?.text.trim() || null;
+  const out = [];
 
-  if (mimetype.includes('spreadsheet') || name.endsWith('.xlsx') || name.endsWith('.xls') || name.endsWith('.csv')) {
-    const wb = xlsx.read(buffer, { type: 'buffer' });
-    const texts = [];
-    for (const sheetName of wb.SheetNames) {
-      const ws = wb.Sheets[sheetName];
-      const csv = xlsx.utils.sheet_to_csv(ws);
-      texts.push(`# Sheet: ${sheetName}\n${csv}`);
+  const walk = (node) => {
+    if (node.nodeType === 3) { out.push(node.text.replace(/\s+/g, ' ')); return; }
+    if (node.nodeType !== 1) return;
+    const tag = (node.rawTagName || '').toLowerCase();
+    if (SKIP_TAGS.has(tag)) return;
+
+    const h = /^h([1-6])$/.exec(tag);
+    if (h) {
+      const text = node.text.replace(/\s+/g, ' ').trim();
+      if (text) out.push(`\n\n${'#'.repeat(Number(h[1]))} ${text}\n\n`);
+      return;
     }
-    return texts.join('\n\n');
+    if (tag === 'br') { out.push('\n'); return; }
+    if (tag === 'li') out.push('\n- ');
+    if (tag === 'tr') out.push('\n');
+    if (BLOCK_TAGS.has(tag)) out.push('\n\n');
+    node.childNodes.forEach(walk);
+    if (tag === 'td' || tag === 'th') out.push(' | ');
+    if (BLOCK_TAGS.has(tag)) out.push('\n\n');
+  };
+  walk(root);
+
+  const text = out.join('')
+    .split('\n').map(l => l.replace(/[ \t]+/g, ' ').replace(/ \|\s*$/, '').trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { title, text };
+}
+
+const firstHeading = (text) => /^#{1,6}\s+(.+)$/m.exec(text || '')?.[1].trim() || null;
+
+async function extractHtml(buffer) {
+  const { title, text } = htmlToText(buffer.toString('utf8'));
+  return { kind: 'text', title: title || firstHeading(text), text };
+}
+
+async function extractMarkdown(buffer) {
+  const text = buffer.toString('utf8');
+  return { kind: 'text', title: firstHeading(text), text };
+}
+
+// docProps/core.xml <dc:title> of an Office Open XML package
+async function officeTitle(zip) {
+  const core = await zip.file('docProps/core.xml')?.async('string');
+  const t = core && /<dc:title>([\s\S]*?)<\/dc:title>/.exec(core)?.[1];
+  return t ? decodeXml(t).trim() || null : null;
+}
+
+async function extractDocx(buffer) {
+  const [{ value: html }, zip] = await Promise.all([
+    mammoth.convertToHtml({ buffer }),
+    JSZip.loadAsync(buffer)
+  ]);
+  const { text } = htmlToText(html);
+  return { kind: 'text', title: (await officeTitle(zip)) || firstHeading(text), text };
+}
+
+// ----- PPTX: one "page" per slide, slide title as '#' heading -----
+function decodeXml(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function drawingParagraphs(xml) {
+  return (xml.match(/<a:p\b[\s\S]*?<\/a:p>/g) || [])
+    .map(p => decodeXml([...p.matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/g)].map(m => m[1]).join('')).trim())
+    .filter(Boolean);
+}
+
+async function extractPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slideFiles = Object.keys(zip.files)
+    .filter(f => /^ppt\/slides\/slide\d+\.xml$/.test(f))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10));
+
+  const pages = [];
+  for (const [i, f] of slideFiles.entries()) {
+    const xml = await zip.file(f).async('string');
+    const titleShape = (xml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || [])
+      .find(sp => /<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(sp));
+    const title = titleShape ? drawingParagraphs(titleShape).join(' ') : '';
+    const body = drawingParagraphs(titleShape ? xml.replace(titleShape, '') : xml);
+    const heading = `# ${title || `Slide ${i + 1}`}`;
+    pages.push({ page: i + 1, text: [heading, ...body].join('\n') });
   }
 
-  if (mimetype.includes('xml') || name.endsWith('.xml')) {
-    const xml = buffer.toString('utf8');
-    const obj = await parseStringPromise(xml, { explicitArray: false, mergeAttrs: true });
-    return JSON.stringify(obj, null, 2);
+  const firstTitle = /^# (.+)$/m.exec(pages[0]?.text || '')?.[1];
+  return { kind: 'pages', unit: 'slide', title: (await officeTitle(zip)) || firstTitle || null, pages };
+}
+
+// ----- e-mail: body + attachments, attachments extracted recursively -----
+function mailHeader({ subject, from, to, date }) {
+  return [
+    `# ${subject || '(geen onderwerp)'}`,
+    from ? `Van: ${from}` : null,
+    to ? `Aan: ${to}` : null,
+    date ? `Datum: ${date}` : null
+  ].filter(Boolean).join('\n');
+}
+
+async function attachmentParts(attachments, depth) {
+  const parts = [];
+  if (depth >= MAX_ATTACHMENT_DEPTH) return parts;
+  for (const a of attachments) {
+    const name = a.name || (a.mimetype === 'message/rfc822' ? 'bijlage.eml' : 'bijlage');
+    const supported = EXTRACTORS.some(x => x.test(a.mimetype || '', name.toLowerCase()))
+      || (a.mimetype || '').startsWith('text/') || name.toLowerCase().endsWith('.txt');
+    if (!supported) continue; // images, zip files, ...
+    try {
+      const doc = await extractDocument({ buffer: a.buffer, mimetype: a.mimetype, originalname: name }, depth + 1);
+      parts.push({ name, doc });
+    } catch (e) {
+      console.warn(`[ingest] attachment "${name}" skipped: ${e.message}`);
+    }
   }
+  return parts;
+}
 
-  // fallback: treat as utf8 text
-  return buffer.toString('utf8');
+async function extractEml(buffer, { depth }) {
+  const mail = await simpleParser(buffer);
+  const body = mail.text || htmlToText(mail.html || '').text;
+  const header = mailHeader({ subject: mail.subject, from: mail.from?.text, to: mail.to?.text, date: mail.date?.toISOString() });
+
+  const attachments = (mail.attachments || [])
+    .filter(a => !a.related) // inline images of the HTML body
+    .map(a => ({ name: a.filename, mimetype: a.contentType, buffer: a.content }));
+
+  return {
+    kind: 'bundle',
+    title: mail.subject || null,
+    parts: [
+      { name: null, doc: { kind: 'text', title: mail.subject || null, text: `${header}\n\n${body || ''}` } },
+      ...await attachmentParts(attachments, depth)
+    ]
+  };
+}
+
+async function extractMsg(buffer, { depth }) {
+  const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  const msg = reader.getFileData();
+  const body = msg.body || htmlToText(msg.bodyHtml || '').text;
+  const to = (msg.recipients || []).map(r => r.smtpAddress || r.email || r.name).filter(Boolean).join(', ');
+  const header = mailHeader({
+    subject: msg.subject,
+    from: msg.senderEmail ? `${msg.senderName || ''} <${msg.senderEmail}>`.trim() : msg.senderName,
+    to,
+    date: msg.clientSubmitTime || msg.messageDeliveryTime
+  });
+
+  const attachments = (msg.attachments || []).map((att) => {
+    const { fileName, content } = reader.getAttachment(att);
+    return {
+      name: fileName || (att.innerMsgContent ? 'bijlage.msg' : null),
+      mimetype: att.attachMimeTag || '',
+      buffer: Buffer.from(content)
+    };
+  });
+
+  return {
+    kind: 'bundle',
+    title: msg.subject || null,
+    parts: [
+      { name: null, doc: { kind: 'text', title: msg.subject || null, text: `${header}\n\n${body || ''}` } },
+      ...await attachmentParts(attachments, depth)
+    ]
+  };
 }
@@ -0,0 +1,211 @@
+// jobs.js — Postgres-backed ingestion queue, worked off inside the backend process
+import os from 'os';
+import { pool } from './db.js';
+import { contentHash, createDocument, getDocument, ingestDocument, discardChunks, findDocumentByHash } from './documents.js';
+
+const INGEST_WORKERS  = parseInt(process.env.INGEST_WORKERS || '1', 10);
+const POLL_MS         = parseInt(process.env.INGEST_POLL_MS || '2000', 10);
+const STALE_AFTER_SEC = parseInt(process.env.INGEST_STALE_SEC || '600', 10);  // running job without heartbeat
+const RETRY_BASE_SEC  = parseInt(process.env.INGEST_RETRY_BASE_SEC || '30', 10);
+const MAX_ATTEMPTS    = parseInt(process.env.INGEST_MAX_ATTEMPTS || '3', 10);
+
+// never SELECT the file column for status output
+const JOB_COLUMNS = `id, status, filename, mimetype, size_bytes, layer, org_id, uploaded_by, document_id, replace,
+                     chunks_done, chunks_total, attempts, max_attempts, error, run_after,
+                     created_at, started_at, finished_at`;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+let wakeUp = () => {};
+
+// ----- queue ops -----
+export async function enqueueIngestJob({ file, layer, orgId, uploadedBy = null, documentId = null, replace = false }) {
+  const { rows } = await pool.query(
+    `INSERT INTO ingest_jobs (filename, mimetype, size_bytes, content_hash, file, layer, org_id, uploaded_by, document_id, replace, max_attempts)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING ${JOB_COLUMNS}`,
+    [file.originalname, file.mimetype, file.size, contentHash(file.buffer), file.buffer,
+     layer, layer === 'org' ? orgId : null, uploadedBy, documentId, replace, MAX_ATTEMPTS]
+  );
+  wakeUp();
+  return rows[0];
+}
+
+// Same file already waiting in the queue for this layer/org (double-click, re-drop)
+export async function findPendingJob({ layer, orgId, hash }) {
+  const { rows } = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM ingest_jobs
+     WHERE content_hash=$1 AND layer=$2 AND org_id IS NOT DISTINCT FROM $3
+       AND status IN ('queued','running') AND NOT replace
+     LIMIT 1`,
+    [hash, layer, layer === 'org' ? orgId : null]
+  );
+  return rows[0] || null;
+}
+
+export async function getJob(id) {
+  const { rows } = await pool.query(`SELECT ${JOB_COLUMNS} FROM ingest_jobs WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+
+// `scopeOrg` = domain-layer jobs + that org's jobs; `uploadedBy` = only the caller's own
+export async function listJobs({ scopeOrg, uploadedBy, status, limit = 50 } = {}) {
+  const where = [];
+  const vals = [];
+  if (scopeOrg)   { vals.push(scopeOrg);   where.push(`(layer='domain' OR org_id=$${vals.length})`); }
+  if (uploadedBy) { vals.push(uploadedBy); where.push(`uploaded_by=$${vals.length}`); }
+  if (status)     { vals.push(status);     where.push(`status=$${vals.length}`); }
+  vals.push(Math.min(parseInt(limit, 10) || 50, 500));
+  const { rows } = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM ingest_jobs
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY created_at DESC
+     LIMIT $${vals.length}`,
+    vals
+  );
+  return rows;
+}
+
+// Put a failed job back in the queue with a fresh set of attempts
+export async function retryJob(id) {
+  const { rows } = await pool.query(
+    `UPDATE ingest_jobs
+     SET status='queued', attempts=0, error=NULL, run_after=now(), finished_at=NULL
+     WHERE id=$1 AND status='failed' AND file IS NOT NULL
+     RETURNING ${JOB_COLUMNS}`,
+    [id]
+  );
+  if (rows[0]) wakeUp();
+  return rows[0] || null;
+}
+
+async function claimJob() {
+  const { rows } = await pool.query(
+    `UPDATE ingest_jobs
+     SET status='running', attempts=attempts+1, started_at=COALESCE(started_at, now()), heartbeat_at=now()
+     WHERE id = (
+       SELECT id FROM ingest_jobs
+       WHERE (status='queued' AND run_after <= now())
+          OR (status='running' AND heartbeat_at < now() - make_interval(secs => $1))
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [STALE_AFTER_SEC]
+  );
+  return rows[0] || null;
+}
+
+// ----- running a job -----
+async function runJob(job) {
+  const file = {
+    buffer: job.file,
+    originalname: job.filename,
+    mimetype: job.mimetype || 'application/octet-stream',
+    size: job.size_bytes
+  };
+
+  let doc = job.document_id ? await getDocument(job.document_id) : null;
+  if (job.replace && !doc) throw Object.assign(new Error('document to replace no longer exists'), { permanent: true });
+  if (!doc) {
+    const existing = await findDocumentByHash({ layer: job.layer, orgId: job.org_id, hash: job.content_hash });
+    if (existing) return { document: existing, duplicate: true };
+    doc = await createDocument({ file, layer: job.layer, orgId: job.org_id, uploadedBy: job.uploaded_by });
+    await pool.query(`UPDATE ingest_jobs SET document_id=$2 WHERE id=$1`, [job.id, doc.id]);
+  }
+
+  let lastWrite = 0;
+  const onProgress = async (done, total) => {
+    // throttle progress writes; they double as the heartbeat
+    if (done !== total && done !== 0 && Date.now() - lastWrite < 1000) return;
+    lastWrite = Date.now();
+    await pool.query(
+      `UPDATE ingest_jobs SET chunks_done=$2, chunks_total=$3, heartbeat_at=now() WHERE id=$1`,
+      [job.id, done, total]
+    );
+  };
+
+  return ingestDocument({
+    file,
+    doc,
+    replace: job.replace,
+    uploadedBy: job.uploaded_by,
+    chunkIdPrefix: job.id,
+    onProgress
+  });
+}
+
+async function failJob(job, e) {
+  const error = String(e?.message || e);
+  const retry = !e?.permanent && job.attempts < job.max_attempts;
+  if (retry) {
+    const delay = RETRY_BASE_SEC * 2 ** (job.attempts - 1);
+    console.warn(`[jobs] ${job.id} attempt ${job.attempts}/${job.max_attempts} failed, retry in ${delay}s: ${error}`);
+    await pool.query(
+      `UPDATE ingest_jobs SET status='queued', error=$2, run_after=now() + make_interval(secs => $3) WHERE id=$1`,
+      [job.id, error, delay]
+    );
+    return;
+  }
+
+  console.error(`[jobs] ${job.id} FAILED after ${job.attempts} attempt(s): ${error}`);
+  // a brand new document that never completed is removed again; a replace keeps the old version
+  const doc = job.document_id ? await getDocument(job.document_id) : null;
+  if (doc && !job.replace && doc.chunk_count === 0) {
+    await pool.query(`DELETE FROM documents WHERE id=$1`, [doc.id]);
+  } else if (doc) {
+    await discardChunks(doc, job.id);
+  }
+  await pool.query(
+    `UPDATE ingest_jobs SET status='failed', error=$2, finished_at=now() WHERE id=$1`,
+    [job.id, error]
+  );
+}
+
+async function processNext() {
+  const job = await claimJob();
+  if (!job) return false;
+
+  console.log(`[jobs] ${WORKER_ID} picked ${job.id} "${job.filename}" attempt ${job.attempts}/${job.max_attempts}`);
+  const t0 = Date.now();
+  try {
+    const { document, duplicate } = await runJob(job);
+    await pool.query(
+      `UPDATE ingest_jobs
+       SET status='done', error=NULL, document_id=$2, chunks_done=COALESCE(chunks_total, $3), chunks_total=COALESCE(chunks_total, $3),
+           finished_at=now(), file=NULL
+       WHERE id=$1`,
+      [job.id, document.id, document.chunk_count]
+    );
+    console.log(`[jobs] ${job.id} done${duplicate ? ' (duplicate)' : ''} in ${Date.now() - t0}ms → document ${document.id}`);
+  } catch (e) {
+    await failJob(job, e).catch(err => console.error(`[jobs] ${job.id} could not record failure`, err));
+  }
+  return true;
+}
+
+// ----- workers -----
+export function startIngestWorkers({ workers = INGEST_WORKERS, pollMs = POLL_MS } = {}) {
+  const sleepers = new Set();
+  wakeUp = () => { for (const wake of sleepers) wake(); };
+
+  async function loop(n) {
+    for (;;) {
+      let worked = false;
+      try {
+        worked = await processNext();
+      } catch (e) {
+        console.error(`[jobs] worker ${n} poll failed`, e);
+      }
+      if (worked) continue;
+      await new Promise(resolve => {
+        const wake = () => { clearTimeout(timer); sleepers.delete(wake); resolve(); };
+        const timer = setTimeout(wake, pollMs);
+        sleepers.add(wake);
+      });
+    }
+  }
+
+  for (let n = 1; n <= workers; n++) loop(n);
+  console.log(`[jobs] ${workers} ingest worker(s) started (${WORKER_ID})`);
+}
@@ -1,5 +1,6 @@
 // llm.js
 import axios from 'axios';
+import { countTokens } from './tokens.js';
 
 const P = (k, d='') => process.env[k] ?? d;
 
@@ -23,6 +24,17 @@ export const PROVIDERS = {
   }
 };
 
+// OpenAI-compatible chat completion endpoints; <PROVIDER>_URL overrides one (e.g. a local stub server)
+const CHAT_APIS = {
+  GROQ:    { url: 'https://api.groq.com/openai/v1/chat/completions', keyEnv: 'GROQ_API_KEY' },
+  OPENAI:  { url: 'https://api.openai.com/v1/chat/completions',      keyEnv: 'OPENAI_API_KEY' },
+  MISTRAL: { url: 'https://api.mistral.ai/v1/chat/completions',      keyEnv: 'MISTRAL_API_KEY' },
+};
+const chatUrl = (provider) => P(`${provider}_URL`) || CHAT_APIS[provider].url;
+
+// Providers that run on our own infrastructure (prompts never leave the network)
+export const LOCAL_PROVIDERS = ['OLLAMA'];
+
 // (Optional) expose safe, non-secret info to the UI
 export function listProviders() {
   return Object.entries(PROVIDERS).map(([key, v]) => ({
@@ -30,62 +42,327 @@ export function listProviders() {
   }));
 }
 
+// ----- routing: fallback chain, retries with backoff, circuit breaker per provider -----
+// Read per call, so tests (and ops) can change them without a restart
+const routing = () => ({
+  chain: P('LLM_FALLBACK').split(',').map(s => s.trim().toUpperCase()).filter(Boolean), // e.g. GROQ,MISTRAL,OLLAMA
+  retries: parseInt(P('LLM_RETRIES', '2'), 10),
+  backoffMs: parseInt(P('LLM_RETRY_BASE_MS', '500'), 10),
+  backoffMaxMs: parseInt(P('LLM_RETRY_MAX_MS', '8000'), 10),
+  attemptTimeoutMs: parseInt(P('LLM_ATTEMPT_TIMEOUT_MS', '0'), 10), // 0 = the whole budget
+  breakerThreshold: parseInt(P('LLM_BREAKER_THRESHOLD', '5'), 10),
+  breakerCooldownMs: parseInt(P('LLM_BREAKER_COOLDOWN_MS', '30000'), 10),
+});
+
+const configured = (provider) => !CHAT_APIS[provider] || Boolean(P(CHAT_APIS[provider].keyEnv));
+
+// provider -> { failures, openUntil, probing }. Closed: openUntil 0. Open: skipped until
+// openUntil. Half-open after that: one trial request, which closes or re-opens it.
+const breakers = new Map();
+function breaker(provider) {
+  if (!breakers.has(provider)) breakers.set(provider, { failures: 0, openUntil: 0, probing: false });
+  return breakers.get(provider);
+}
+function breakerState(b, now = Date.now()) {
+  if (!b.openUntil) return 'closed';
+  return now < b.openUntil ? 'open' : 'half-open';
+}
+function breakerAllows(provider) {
+  const b = breaker(provider);
+  const state = breakerState(b);
+  if (state === 'closed') return true;
+  if (state === 'open' || b.probing) return false;
+  b.probing = true;
+  return true;
+}
+function breakerSucceeded(provider) {
+  Object.assign(breaker(provider), { failures: 0, openUntil: 0, probing: false });
+}
+function breakerFailed(provider) {
+  const b = breaker(provider);
+  b.failures++;
+  b.probing = false;
+  const { breakerThreshold, breakerCooldownMs } = routing();
+  if (b.failures >= breakerThreshold) b.openUntil = Date.now() + breakerCooldownMs;
+}
+
+// Per provider: configured?, breaker state — for the admin status endpoint
+export function llmStatus() {
+  const now = Date.now();
+  return {
+    fallback: routing().chain,
+    providers: Object.keys(PROVIDERS).map(key => {
+      const b = breaker(key);
+      return {
+        key, configured: configured(key), local: LOCAL_PROVIDERS.includes(key),
+        circuit: breakerState(b, now), failures: b.failures,
+        open_until: breakerState(b, now) === 'open' ? new Date(b.openUntil).toISOString() : null
+      };
+    })
+  };
+}
+
+// 429, 5xx and network errors are worth another try; other 4xx are about the request itself
+function classify(e) {
+  const status = e.response?.status || null;
+  return {
+    status,
+    retryable: !status || status === 429 || status >= 500,
+    error: e.timedOut ? e.message : status ? `HTTP ${status}` : String(e?.code || e?.message || e)
+  };
+}
+
+function backoff(n, e, { backoffMs, backoffMaxMs }) {
+  const retryAfter = parseFloat(e.response?.headers?.['retry-after']);
+  const ms = Number.isFinite(retryAfter) ? retryAfter * 1000 : backoffMs * 2 ** n * (0.5 + Math.random() / 2);
+  return Math.min(ms, backoffMaxMs);
+}
 
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+  });
+}
+
+/**
+ * Run `attempt(target, { timeoutMs })` against the requested provider, then the
+ * LLM_FALLBACK providers in order (with their default model). Each provider is
+ * retried on 429/5xx/network errors with exponential backoff (Retry-After wins);
+ * providers whose circuit is open or without an API key are skipped, and with
+ * `allowExternal` false only LOCAL_PROVIDERS are tried. `allow(provider, model)`
+ * (the org's allow-list) filters the fallbacks; the requested provider was already checked. `timeoutMs` is the budget
+ * for the whole chain. `attempt` resolves with { text, usage } (usage null when the
+ * provider didn't report it; it's then estimated). Fills `route` with what happened:
+ * { requested, provider, model, fallback, usage: { prompt_tokens, completion_tokens, estimated },
+ *   attempts: [{ provider, model, ok, status, error, ms, skipped }] }
+ * Throws (status 503) when every provider failed.
+ */
+async function withFallback({ provider, model, prompt, timeoutMs, signal, allowExternal, allow, route }, attempt) {
+  const cfg = routing();
+  const deadline = Date.now() + timeoutMs;
+  const attempts = [];
+  Object.assign(route, { requested: `${provider}:${model}`, provider: null, model: null, fallback: false, usage: null, attempts });
+
+  const targets = [provider, ...cfg.chain.filter(p => p !== provider && PROVIDERS[p])]
+    .map((p, i) => ({ provider: p, model: i === 0 ? model : PROVIDERS[p].defaultModel }));
+
+  let lastError = null;
+  for (const [i, target] of targets.entries()) {
+    const skip = (skipped) => attempts.push({ ...target, ok: false, skipped });
+    if (!allowExternal && !LOCAL_PROVIDERS.includes(target.provider)) { skip('prompt may not leave the network'); continue; }
+    if (i > 0 && !configured(target.provider)) { skip('not configured'); continue; }
+    if (i > 0 && allow && !allow(target.provider, target.model)) { skip('not allowed for the org'); continue; }
+    if (!breakerAllows(target.provider)) { skip('circuit open'); continue; }
+
+    for (let n = 0; ; n++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) break;
+      const t0 = Date.now();
+      try {
+        const { text, usage } = await attempt(target, { timeoutMs: cfg.attemptTimeoutMs ? Math.min(cfg.attemptTimeoutMs, remaining) : remaining });
+        breakerSucceeded(target.provider);
+        attempts.push({ ...target, ok: true, ms: Date.now() - t0 });
+        Object.assign(route, {
+          provider: target.provider, model: target.model, fallback: i > 0,
+          usage: usage || { prompt_tokens: countTokens(prompt), completion_tokens: countTokens(text), estimated: true }
+        });
+        return text;
+      } catch (e) {
+        if (signal?.aborted) {
+          breaker(target.provider).probing = false;
+          throw e;
+        }
+        const f = classify(e);
+        attempts.push({ ...target, ok: false, status: f.status, error: f.error, ms: Date.now() - t0 });
+        lastError = e;
+        if (f.retryable) breakerFailed(target.provider);
+        else breaker(target.provider).probing = false;
+        // tokens already reached the client: switching providers now would garble the answer
+        if (e.emitted) throw e;
+        if (!f.retryable || n >= cfg.retries || breakerState(breaker(target.provider)) !== 'closed') break;
+        const wait = backoff(n, e, cfg);
+        if (Date.now() + wait >= deadline) break;
+        await sleep(wait, signal);
+        if (signal?.aborted) throw e;
+      }
+    }
+  }
+
+  const tried = attempts.map(a => `${a.provider}: ${a.skipped || a.error}`).join('; ');
+  throw Object.assign(
+    new Error(`no LLM provider could answer (${tried || 'none available'})`),
+    { status: 503, route, cause: lastError }
+  );
+}
+
+// Token counts as the providers report them: OpenAI-style `usage` (Groq streams it as
+// `x_groq.usage`), Ollama's eval counts. Null when missing.
+function chatUsage(data) {
+  const u = data?.usage || data?.x_groq?.usage;
+  return u ? { prompt_tokens: u.prompt_tokens || 0, completion_tokens: u.completion_tokens || 0, estimated: false } : null;
+}
+function ollamaUsage(data) {
+  return data?.eval_count != null
+    ? { prompt_tokens: data.prompt_eval_count || 0, completion_tokens: data.eval_count, estimated: false }
+    : null;
+}
+
+// One request; aborts on its own timeout or on `signal`
+async function withTimeout(timeoutMs, signal, fn) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; controller.abort('timeout'); }, timeoutMs);
+  const cancel = () => controller.abort('cancelled');
+  if (signal?.aborted) cancel();
+  signal?.addEventListener('abort', cancel, { once: true });
+  try {
+    return await fn(controller.signal);
+  } catch (e) {
+    if (timedOut) throw Object.assign(new Error(`timed out after ${timeoutMs}ms`), { timedOut: true });
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Generate a completion; resolves with the text. Goes through the fallback chain
+ * (see withFallback); pass a `route` object to learn which provider answered.
+ */
 export async function generateLLM({
   provider = P('PROVIDER','OLLAMA'),
   model = P('GEN_MODEL'),
   prompt,
   options = {},
-  timeoutMs = parseInt(P('TIMEOUT_GENERATE') || '180000', 10) // 3m
+  timeoutMs = parseInt(P('TIMEOUT_GENERATE') || '180000', 10), // 3m
+  signal,
+  allowExternal = true,
+  allow = null,
+  route = {}
 }) {
   provider = provider.toUpperCase();
+  if (!PROVIDERS[provider]) throw Object.assign(new Error(`Unsupported provider: ${provider}`), { status: 400 });
 
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort('timeout'), timeoutMs);
   const common = {
     temperature: options.temperature ?? 0.2,
     max_tokens: options.num_predict ?? 256
   };
 
-  try {
-    if (provider === 'OLLAMA') {
-      const { data } = await axios.post(
-        `${P('OLLAMA_URL')}/api/generate`,
-        { model, prompt, options, stream: false },
-        { signal: controller.signal }
-      );
-      return typeof data === 'string' ? data : (data.response ?? data);
-    }
+  return withFallback({ provider, model, prompt, timeoutMs, signal, allowExternal, allow, route }, (target, { timeoutMs }) =>
+    withTimeout(timeoutMs, signal, async (abort) => {
+      if (target.provider === 'OLLAMA') {
+        const { data } = await axios.post(
+          `${P('OLLAMA_URL')}/api/generate`,
+          { model: target.model, prompt, options, stream: false },
+          { signal: abort }
+        );
+        return typeof data === 'string' ? { text: data, usage: null } : { text: data.response ?? data, usage: ollamaUsage(data) };
+      }
 
-    if (provider === 'GROQ') {
+      const api = CHAT_APIS[target.provider];
       const { data } = await axios.post(
-        'https://api.groq.com/openai/v1/chat/completions',
-        { model, messages: [{ role: 'user', content: prompt }], ...common },
-        { headers: { Authorization: `Bearer ${P('GROQ_API_KEY')}` }, signal: controller.signal }
+        chatUrl(target.provider),
+        { model: target.model, messages: [{ role: 'user', content: prompt }], ...common },
+        { headers: { Authorization: `Bearer ${P(api.keyEnv)}` }, signal: abort }
       );
-      return data.choices?.[0]?.message?.content ?? '';
-    }
+      return { text: data.choices?.[0]?.message?.content ?? '', usage: chatUsage(data) };
+    })
+  );
+}
 
-    if (provider === 'OPENAI') {
-      const { data } = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        { model, messages: [{ role: 'user', content: prompt }], ...common },
-        { headers: { Authorization: `Bearer ${P('OPENAI_API_KEY')}` }, signal: controller.signal }
-      );
-      return data.choices?.[0]?.message?.content ?? '';
+// Split a streamed HTTP body into trimmed, non-empty lines
+async function readLines(stream, onLine) {
+  stream.setEncoding?.('utf8');
+  let buf = '';
+  for await (const chunk of stream) {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) onLine(line);
     }
+  }
+  if (buf.trim()) onLine(buf.trim());
+}
 
-    if (provider === 'MISTRAL') {
-      const { data } = await axios.post(
-        'https://api.mistral.ai/v1/chat/completions',
-        { model, messages: [{ role: 'user', content: prompt }], ...common },
-        { headers: { Authorization: `Bearer ${P('MISTRAL_API_KEY')}` }, signal: controller.signal }
-      );
-      return data.choices?.[0]?.message?.content ?? '';
-    }
+/**
+ * Same as generateLLM(), but calls onToken(delta) for every generated piece of text.
+ * Resolves with the full answer; pass `signal` to abort the upstream request.
+ * Falls back to the next provider only while nothing has been streamed yet.
+ */
+export async function streamLLM({
+  provider = P('PROVIDER','OLLAMA'),
+  model = P('GEN_MODEL'),
+  prompt,
+  options = {},
+  timeoutMs = parseInt(P('TIMEOUT_GENERATE') || '180000', 10),
+  signal,
+  onToken = () => {},
+  allowExternal = true,
+  allow = null,
+  route = {}
+}) {
+  provider = provider.toUpperCase();
+  if (!PROVIDERS[provider]) throw Object.assign(new Error(`Unsupported provider: ${provider}`), { status: 400 });
 
-    throw new Error(`Unsupported provider: ${provider}`);
-  } finally {
-    clearTimeout(timer);
-  }
+  const common = {
+    temperature: options.temperature ?? 0.2,
+    max_tokens: options.num_predict ?? 256
+  };
+
+  return withFallback({ provider, model, prompt, timeoutMs, signal, allowExternal, allow, route }, async (target, { timeoutMs }) => {
+    let full = '';
+    let usage = null;
+    const emit = (delta) => {
+      if (!delta) return;
+      full += delta;
+      onToken(delta);
+    };
+
+    try {
+      return await withTimeout(timeoutMs, signal, async (abort) => {
+        if (target.provider === 'OLLAMA') {
+          // NDJSON: one {"response": "...", "done": false} object per line
+          const { data } = await axios.post(
+            `${P('OLLAMA_URL')}/api/generate`,
+            { model: target.model, prompt, options, stream: true },
+            { responseType: 'stream', signal: abort }
+          );
+          await readLines(data, (line) => {
+            const json = JSON.parse(line);
+            emit(json.response);
+            if (json.done) usage = ollamaUsage(json);
+          });
+          return { text: full, usage };
+        }
+
+        // SSE: "data: {choices:[{delta:{content}}]}" lines, terminated by "data: [DONE]"
+        const api = CHAT_APIS[target.provider];
+        const { data } = await axios.post(
+          chatUrl(target.provider),
+          {
+            model: target.model, messages: [{ role: 'user', content: prompt }], ...common, stream: true,
+            // only OpenAI needs asking for the usage chunk; Groq and Mistral send it anyway
+            ...(target.provider === 'OPENAI' ? { stream_options: { include_usage: true } } : {})
+          },
+          { headers: { Authorization: `Bearer ${P(api.keyEnv)}` }, responseType: 'stream', signal: abort }
+        );
+        await readLines(data, (line) => {
+          if (!line.startsWith('data:')) return;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return;
+          const json = JSON.parse(payload);
+          emit(json.choices?.[0]?.delta?.content);
+          usage = chatUsage(json) || usage;
+        });
+        return { text: full, usage };
+      });
+    } catch (e) {
+      if (full) e.emitted = true;
+      throw e;
+    }
+  });
 }
@@ -0,0 +1,45 @@
+// mail.js — outgoing e-mail (password resets) through a pluggable transport picked by MAIL_TRANSPORT
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const MAIL_FROM = P('MAIL_FROM', 'Knowsio <no-reply@knowsio.local>');
+
+// name -> async ({ from, to, subject, text }) => void
+const transports = {
+  // development: the whole message in the server log
+  console: async (msg) => {
+    console.log(`[mail] to=${msg.to} subject="${msg.subject}"\n${msg.text}`);
+  },
+  // development: one .eml file per message in MAIL_DIR
+  file: async (msg) => {
+    const dir = P('MAIL_DIR', './mail-out');
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${msg.to.replace(/[^\w.@-]/g, '_')}.eml`;
+    const eml = `From: ${msg.from}\r\nTo: ${msg.to}\r\nSubject: ${msg.subject}\r\nDate: ${new Date().toUTCString()}\r\n` +
+                `Content-Type: text/plain; charset=utf-8\r\n\r\n${msg.text}\r\n`;
+    await fs.writeFile(path.join(dir, name), eml);
+  },
+  // production: POST the message as JSON to a mail relay / provider API
+  webhook: async (msg) => {
+    const url = P('MAIL_WEBHOOK_URL');
+    if (!url) throw new Error('MAIL_WEBHOOK_URL is not set');
+    const headers = P('MAIL_WEBHOOK_TOKEN') ? { Authorization: `Bearer ${P('MAIL_WEBHOOK_TOKEN')}` } : {};
+    await axios.post(url, msg, { headers, timeout: 10000 });
+  },
+};
+
+// Plug in another transport (e.g. SMTP) before the first mail goes out; select it with MAIL_TRANSPORT=<name>
+export function registerMailTransport(name, send) {
+  if (typeof send !== 'function') throw new Error('a mail transport is an async function ({ from, to, subject, text })');
+  transports[name] = send;
+}
+
+export async function sendMail({ to, subject, text }) {
+  const name = P('MAIL_TRANSPORT', 'console');
+  const send = transports[name];
+  if (!send) throw new Error(`Unknown MAIL_TRANSPORT: ${name} (have: ${Object.keys(transports).join('|')})`);
+  await send({ from: MAIL_FROM, to, subject, text });
+}
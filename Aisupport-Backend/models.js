@@ -0,0 +1,143 @@
+// models.js — which LLM providers/models exist, which an org may use, and which one a user's question goes to
+import axios from 'axios';
+import { pool } from './db.js';
+import { PROVIDERS } from './llm.js';
+import { getUserById } from './auth.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const CACHE_MS = parseInt(P('LLM_ALLOWLIST_CACHE_MS', '15000'), 10);
+const TAGS_CACHE_MS = parseInt(P('OLLAMA_TAGS_CACHE_MS', '60000'), 10);
+
+// ----- catalogue -----
+let tags = { at: 0, models: null };
+
+// Models pulled into the local Ollama (GET /api/tags); the last good list while Ollama is unreachable
+export async function listOllamaModels() {
+  if (tags.models && Date.now() - tags.at <= TAGS_CACHE_MS) return tags.models;
+  try {
+    const { data } = await axios.get(`${P('OLLAMA_URL')}/api/tags`, { timeout: 5000 });
+    tags = { at: Date.now(), models: (data?.models || []).map(m => m.name).sort() };
+  } catch (e) {
+    console.warn(`[models] could not list Ollama tags: ${e?.message || e}`);
+    return tags.models || [PROVIDERS.OLLAMA.defaultModel];
+  }
+  return tags.models;
+}
+
+// External providers: <PROVIDER>_MODELS=a,b,c, else just the default model
+export async function providerModels(provider) {
+  if (provider === 'OLLAMA') return listOllamaModels();
+  const listed = P(`${provider}_MODELS`).split(',').map(s => s.trim()).filter(Boolean);
+  return listed.length ? listed : [PROVIDERS[provider].defaultModel];
+}
+
+// ----- per-org allow-lists -----
+// org_key -> { at, allowlist }. An allowlist is { PROVIDER: [models] } ([] = any model of
+// that provider), or null when the org has none and everything may be used.
+const cache = new Map();
+
+export async function getAllowlist(orgKey) {
+  const key = orgKey || '';
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at <= CACHE_MS) return hit.allowlist;
+  const { rows } = orgKey
+    ? await pool.query(`SELECT provider, models FROM llm_allowlists WHERE org_key=$1 ORDER BY provider`, [orgKey])
+    : { rows: [] };
+  const allowlist = rows.length ? Object.fromEntries(rows.map(r => [r.provider, r.models])) : null;
+  cache.set(key, { at: Date.now(), allowlist });
+  return allowlist;
+}
+
+export function isAllowed(allowlist, provider, model) {
+  if (!allowlist) return true;
+  const models = allowlist[provider];
+  return Boolean(models) && (!models.length || models.includes(model));
+}
+
+// (provider, model) => boolean for the org, e.g. for generateLLM's fallback chain
+export async function llmAllow(orgKey) {
+  const allowlist = await getAllowlist(orgKey);
+  return (provider, model) => isAllowed(allowlist, provider, model);
+}
+
+// `providers` = { PROVIDER: [models] } replaces the org's list; null removes it (everything allowed)
+export async function saveAllowlist(orgKey, providers, updatedBy = null) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const entries = providers == null ? [] : Object.entries(providers);
+  if (providers != null && (typeof providers !== 'object' || Array.isArray(providers) || !entries.length)) {
+    throw bad('providers must be an object like { "OLLAMA": [], "GROQ": ["llama-3.1-8b-instant"] }, or null');
+  }
+  for (const [provider, models] of entries) {
+    if (!PROVIDERS[provider]) throw bad(`Unsupported provider: ${provider}`);
+    if (!Array.isArray(models) || models.some(m => typeof m !== 'string' || !m.trim())) {
+      throw bad(`models for ${provider} must be a list of model names ([] = any)`);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM llm_allowlists WHERE org_key=$1`, [orgKey]);
+    for (const [provider, models] of entries) {
+      await client.query(
+        `INSERT INTO llm_allowlists (org_key, provider, models, updated_by) VALUES ($1, $2, $3, $4)`,
+        [orgKey, provider, [...new Set(models.map(m => m.trim()))], updatedBy]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+  cache.delete(orgKey);
+  return getAllowlist(orgKey);
+}
+
+// Providers with the models an org may pick from (what Lara's model picker shows)
+export async function llmCatalog(orgKey) {
+  const allowlist = await getAllowlist(orgKey);
+  const out = [];
+  for (const [key, v] of Object.entries(PROVIDERS)) {
+    if (allowlist && !allowlist[key]) continue;
+    const available = await providerModels(key);
+    const listed = allowlist?.[key]?.length ? allowlist[key] : available;
+    // allow-listed Ollama models that aren't pulled can't answer anything
+    const models = key === 'OLLAMA' && tags.models ? listed.filter(m => available.includes(m)) : listed;
+    out.push({ key, label: v.label, defaultModel: v.defaultModel, models });
+  }
+  return out;
+}
+
+// ----- choosing -----
+/**
+ * Provider + model for a question by `user`: what the request asks for, else the
+ * user's own provider (and model) from the users table, else PROVIDER. An explicit
+ * choice outside the org's allow-list is refused; a default outside it moves to the
+ * first allowed provider. Returns { provider, model, allow } or { status, error }.
+ */
+export async function resolveLLM(user, { provider: reqProvider, model: reqModel } = {}) {
+  const stored = await getUserById(user.sub).catch(() => null) || user;
+  const explicit = Boolean(reqProvider || reqModel);
+  const provider = String(reqProvider || stored.provider || P('PROVIDER', 'OLLAMA')).toUpperCase();
+  if (!PROVIDERS[provider]) return { status: 400, error: `Unsupported provider: ${provider}` };
+  const model = reqModel || (provider === stored.provider && stored.model) || PROVIDERS[provider].defaultModel;
+
+  const allowlist = await getAllowlist(user.org_key);
+  const allow = (p, m) => isAllowed(allowlist, p, m);
+  if (allow(provider, model)) return { provider, model, allow };
+  if (explicit) return { status: 403, error: `${provider}:${model} is not allowed for ${user.org_key}` };
+
+  const [first, models] = Object.entries(allowlist)[0];
+  return { provider: first, model: models[0] || PROVIDERS[first].defaultModel, allow };
+}
+
+// For user create/update: 400 with the reason when provider/model may not be used in that org, else null
+export async function checkUserLLM(orgKey, provider, model) {
+  if (!PROVIDERS[provider]) return `Unsupported provider: ${provider}`;
+  const allowlist = await getAllowlist(orgKey);
+  const effective = model || PROVIDERS[provider].defaultModel;
+  return isAllowed(allowlist, provider, effective) ? null : `${provider}:${effective} is not allowed for ${orgKey}`;
+}
@@ -0,0 +1,365 @@
+// oidc.js — single sign-on per org with OpenID Connect (authorization code + PKCE); users are provisioned on first login
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { pool } from './db.js';
+import { ROLES, normalizeRole } from './permissions.js';
+import { getOrganization } from './organizations.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const CACHE_MS = parseInt(P('OIDC_CACHE_MS', '15000'), 10);
+const DISCOVERY_CACHE_MS = parseInt(P('OIDC_DISCOVERY_CACHE_MS', String(60 * 60 * 1000)), 10);
+const LOGIN_TTL_MIN = parseInt(P('OIDC_LOGIN_TTL_MIN', '10'), 10);    // IdP round trip
+const HANDOFF_TTL_SEC = parseInt(P('OIDC_HANDOFF_TTL_SEC', '60'), 10); // callback -> /auth/oidc/exchange
+// http:// issuers are only accepted on localhost (a mock IdP) unless OIDC_ALLOW_HTTP=true
+const ALLOW_HTTP = P('OIDC_ALLOW_HTTP', 'false') === 'true';
+const ID_TOKEN_ALGS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// An IdP may hand out any role except the cross-org super-admin; later in the list = more rights
+export const SSO_ROLES = ROLES.filter(r => r !== 'super-admin');
+
+const OIDC_DEFAULTS = {
+  enabled: true,
+  scopes: 'openid profile email',
+  email_claim: 'email',          // Azure AD often only sends preferred_username / upn; those are tried next
+  groups_claim: 'groups',
+  role_map: {},                  // { "<group id or name>": "org-admin" }; most privileged match wins
+  default_role: 'agent',         // null = users in none of the mapped groups are refused
+  link_existing: false,          // first SSO login may take over an existing account with the same (verified) e-mail
+};
+
+// Which IdP an org trusts and whether it may take over existing accounts: super-admin only (see PUT /oidc/config)
+export const OIDC_TRUST_FIELDS = ['issuer', 'client_id', 'client_secret', 'link_existing'];
+
+const bad = (msg, status = 400) => Object.assign(new Error(msg), { status });
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+// ----- per-org configuration -----
+function validateConfig(fields) {
+  const out = {};
+  if (fields.enabled !== undefined) out.enabled = Boolean(fields.enabled);
+  if (fields.link_existing !== undefined) out.link_existing = fields.link_existing === true;
+  if (fields.issuer !== undefined) {
+    let url;
+    try { url = new URL(String(fields.issuer)); } catch { throw bad('issuer must be a URL'); }
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && (local || ALLOW_HTTP))) {
+      throw bad('issuer must use https (http only for a local mock provider, or with OIDC_ALLOW_HTTP=true)');
+    }
+    out.issuer = String(fields.issuer).replace(/\/+$/, '');
+  }
+  if (fields.client_id !== undefined) {
+    if (!String(fields.client_id || '').trim()) throw bad('client_id is required');
+    out.client_id = String(fields.client_id).trim();
+  }
+  if (fields.client_secret !== undefined) out.client_secret = fields.client_secret ? String(fields.client_secret) : null;
+  if (fields.scopes !== undefined) {
+    const scopes = String(fields.scopes || '').split(/\s+/).filter(Boolean);
+    if (!scopes.includes('openid')) throw bad('scopes must include openid');
+    out.scopes = [...new Set(scopes)].join(' ');
+  }
+  for (const k of ['email_claim', 'groups_claim']) {
+    if (fields[k] === undefined) continue;
+    if (!/^[\w:./-]{1,200}$/.test(String(fields[k] || ''))) throw bad(`${k} must be a claim name`);
+    out[k] = String(fields[k]);
+  }
+  if (fields.role_map !== undefined) {
+    const map = fields.role_map || {};
+    if (typeof map !== 'object' || Array.isArray(map)) throw bad('role_map must be an object like { "<group>": "org-admin" }');
+    out.role_map = {};
+    for (const [group, role] of Object.entries(map)) {
+      out.role_map[group] = normalizeRole(role);
+      if (!SSO_ROLES.includes(out.role_map[group])) throw bad(`role_map: ${group} -> ${role} is not one of ${SSO_ROLES.join('|')}`);
+    }
+  }
+  if (fields.default_role !== undefined) {
+    const role = fields.default_role === null ? null : normalizeRole(fields.default_role);
+    if (role !== null && !SSO_ROLES.includes(role)) throw bad(`default_role must be one of ${SSO_ROLES.join('|')}, or null`);
+    out.default_role = role;
+  }
+  return out;
+}
+
+// org_key -> { at, config }
+const cache = new Map();
+
+// The org's IdP settings, or null when it has none (password login only). Includes client_secret: not for responses.
+export async function getOidcConfig(orgKey) {
+  if (!orgKey) return null;
+  const hit = cache.get(orgKey);
+  if (hit && Date.now() - hit.at <= CACHE_MS) return hit.config;
+  const { rows } = await pool.query(
+    `SELECT org_key, enabled, issuer, client_id, client_secret, scopes, email_claim, groups_claim, role_map, default_role,
+            link_existing, updated_at
+     FROM oidc_providers WHERE org_key=$1`,
+    [orgKey]
+  );
+  cache.set(orgKey, { at: Date.now(), config: rows[0] || null });
+  return rows[0] || null;
+}
+
+// What admins get to see: the secret only as has_client_secret
+export function publicOidcConfig(config) {
+  if (!config) return null;
+  const { client_secret, ...rest } = config;
+  return { ...rest, has_client_secret: Boolean(client_secret) };
+}
+
+// Omitted fields stay as they are (client_secret too; null clears it)
+export async function saveOidcConfig(orgKey, fields, updatedBy = null) {
+  const current = await getOidcConfig(orgKey);
+  const next = { ...OIDC_DEFAULTS, ...(current || {}), ...validateConfig(fields) };
+  if (!next.issuer || !next.client_id) throw bad('issuer and client_id are required');
+  await pool.query(
+    `INSERT INTO oidc_providers (org_key, enabled, issuer, client_id, client_secret, scopes, email_claim, groups_claim, role_map, default_role,
+                                 link_existing, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, now())
+     ON CONFLICT (org_key) DO UPDATE
+       SET enabled=EXCLUDED.enabled, issuer=EXCLUDED.issuer, client_id=EXCLUDED.client_id, client_secret=EXCLUDED.client_secret,
+           scopes=EXCLUDED.scopes, email_claim=EXCLUDED.email_claim, groups_claim=EXCLUDED.groups_claim,
+           role_map=EXCLUDED.role_map, default_role=EXCLUDED.default_role, link_existing=EXCLUDED.link_existing,
+           updated_by=EXCLUDED.updated_by, updated_at=now()`,
+    [orgKey, next.enabled, next.issuer, next.client_id, next.client_secret || null, next.scopes, next.email_claim,
+     next.groups_claim, JSON.stringify(next.role_map), next.default_role, next.link_existing, updatedBy]
+  );
+  cache.delete(orgKey);
+  return getOidcConfig(orgKey);
+}
+
+export async function deleteOidcConfig(orgKey) {
+  const { rowCount } = await pool.query(`DELETE FROM oidc_providers WHERE org_key=$1`, [orgKey]);
+  cache.delete(orgKey);
+  return rowCount > 0;
+}
+
+// Orgs whose staff can sign in with SSO (login page buttons)
+export async function ssoOrganizations() {
+  const { rows } = await pool.query(
+    `SELECT o.key, o.label FROM oidc_providers p JOIN organizations o ON o.key = p.org_key
+     WHERE p.enabled AND o.active ORDER BY o.label`
+  );
+  return rows;
+}
+
+// ----- provider metadata -----
+// issuer -> { at, meta }; jwks_uri -> { at, keys }
+const discoveries = new Map();
+const jwksCache = new Map();
+
+async function discover(issuer) {
+  const hit = discoveries.get(issuer);
+  if (hit && Date.now() - hit.at <= DISCOVERY_CACHE_MS) return hit.meta;
+  const { data: meta } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+  if (String(meta?.issuer || '').replace(/\/+$/, '') !== issuer) {
+    throw bad(`discovery document of ${issuer} names a different issuer (${meta?.issuer})`, 502);
+  }
+  discoveries.set(issuer, { at: Date.now(), meta });
+  return meta;
+}
+
+// Public key for the id_token's `kid`; an unknown kid refetches the set once (the IdP rotated its keys)
+async function signingKey(jwksUri, kid) {
+  for (const fresh of [false, true]) {
+    let hit = jwksCache.get(jwksUri);
+    if (fresh || !hit || Date.now() - hit.at > DISCOVERY_CACHE_MS) {
+      const { data } = await axios.get(jwksUri, { timeout: 10000 });
+      hit = { at: Date.now(), keys: data?.keys || [] };
+      jwksCache.set(jwksUri, hit);
+    }
+    const jwk = hit.keys.find(k => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+  throw bad(`no signing key ${kid || ''} at ${jwksUri}`, 502);
+}
+
+// ----- login flow -----
+/**
+ * Start an SSO login for `orgKey`: stores state + PKCE verifier + nonce and returns
+ * the IdP authorization URL to redirect the browser to.
+ */
+export async function beginLogin(orgKey, redirectUri) {
+  const config = await getOidcConfig(orgKey);
+  const org = await getOrganization(orgKey);
+  if (!config?.enabled || !org?.active) throw bad(`single sign-on is not available for ${orgKey}`, 404);
+  const meta = await discover(config.issuer);
+
+  const state = b64url(crypto.randomBytes(24));
+  const nonce = b64url(crypto.randomBytes(24));
+  const verifier = b64url(crypto.randomBytes(32));
+  await pool.query(`DELETE FROM oidc_logins WHERE created_at < now() - make_interval(mins => $1)`, [LOGIN_TTL_MIN]);
+  await pool.query(
+    `INSERT INTO oidc_logins (state, org_key, code_verifier, nonce) VALUES ($1, $2, $3, $4)`,
+    [state, orgKey, verifier, nonce]
+  );
+
+  const url = new URL(meta.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.client_id,
+    redirect_uri: redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: b64url(crypto.createHash('sha256').update(verifier).digest()),
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+function claimList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return value ? [String(value)] : [];
+}
+
+// Most privileged SSO role among the user's mapped groups, else default_role (null = refused)
+export function mapRole(config, groups) {
+  const matched = groups.map(g => config.role_map?.[g]).filter(r => SSO_ROLES.includes(r));
+  if (!matched.length) return config.default_role || null;
+  return matched.sort((a, b) => SSO_ROLES.indexOf(b) - SSO_ROLES.indexOf(a))[0];
+}
+
+/**
+ * Callback: redeem the code (with the PKCE verifier), verify the id_token and
+ * provision the user. Returns { user, created, roleChange, handoff }: `handoff`
+ * is a one-time code the browser trades for tokens at /auth/oidc/exchange.
+ * Failures carry `orgKey` (when known) for the audit trail.
+ */
+export async function completeLogin({ state, code, redirectUri }) {
+  if (!state || !code) throw bad('missing code or state');
+  // claim the state: each login attempt can be completed once
+  const { rows } = await pool.query(
+    `UPDATE oidc_logins SET completed_at=now()
+     WHERE state=$1 AND completed_at IS NULL AND created_at > now() - make_interval(mins => $2)
+     RETURNING org_key, code_verifier, nonce`,
+    [state, LOGIN_TTL_MIN]
+  );
+  const login = rows[0];
+  if (!login) throw bad('login expired or already used, please try again');
+  try {
+    const config = await getOidcConfig(login.org_key);
+    if (!config?.enabled) throw bad(`single sign-on is not available for ${login.org_key}`, 404);
+    const meta = await discover(config.issuer);
+
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: config.client_id,
+      code_verifier: login.code_verifier,
+    });
+    if (config.client_secret) form.set('client_secret', config.client_secret);
+    let tokens;
+    try {
+      ({ data: tokens } = await axios.post(meta.token_endpoint, form.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 10000
+      }));
+    } catch (e) {
+      const reason = e.response?.data?.error_description || e.response?.data?.error || e.message;
+      throw bad(`token exchange failed: ${reason}`, 502);
+    }
+    if (!tokens?.id_token) throw bad('the identity provider returned no id_token', 502);
+
+    const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+    const key = await signingKey(meta.jwks_uri, header?.kid);
+    let claims;
+    try {
+      claims = jwt.verify(tokens.id_token, key, {
+        algorithms: ID_TOKEN_ALGS, issuer: meta.issuer, audience: config.client_id, clockTolerance: 60
+      });
+    } catch (e) {
+      throw bad(`invalid id_token: ${e.message}`, 401);
+    }
+    if (claims.nonce !== login.nonce) throw bad('invalid id_token: nonce mismatch', 401);
+
+    const email = String(claims[config.email_claim] || claims.email || claims.preferred_username || claims.upn || '').trim().toLowerCase();
+    if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw bad(`the identity provider sent no e-mail address (claim ${config.email_claim})`, 403);
+    const role = mapRole(config, claimList(claims[config.groups_claim]));
+    if (!role) throw bad('your account is not in any group that has access', 403);
+
+    const out = await provisionUser({
+      orgKey: login.org_key, issuer: meta.issuer, subject: claims.sub, email, role,
+      syncRole: Object.keys(config.role_map || {}).length > 0,
+      // only a verified address may take over an existing account, and only when a super-admin allowed it
+      mayLink: config.link_existing === true && claims.email_verified === true
+    });
+    const handoff = b64url(crypto.randomBytes(32));
+    await pool.query(`UPDATE oidc_logins SET user_id=$2, handoff_hash=$3 WHERE state=$1`, [state, out.user.id, sha256(handoff)]);
+    return { ...out, handoff };
+  } catch (e) {
+    await pool.query(`DELETE FROM oidc_logins WHERE state=$1`, [state]).catch(() => {});
+    throw Object.assign(e, { orgKey: login.org_key });
+  }
+}
+
+/**
+ * Find or create the user behind an IdP identity (issuer + sub). An existing account
+ * with the same e-mail is refused unless `mayLink` (then it is linked, if it is in the
+ * org); super-admins never sign in through an org's IdP. With a role_map the role
+ * follows the IdP groups on every login.
+ */
+async function provisionUser({ orgKey, issuer, subject, email, role, syncRole, mayLink = false }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: ids } = await client.query(
+      `SELECT u.* FROM user_identities i JOIN users u ON u.id = i.user_id WHERE i.issuer=$1 AND i.subject=$2`,
+      [issuer, subject]
+    );
+    let user = ids[0];
+    let created = false;
+    if (!user) {
+      const { rows } = await client.query(`SELECT * FROM users WHERE lower(email)=$1 FOR UPDATE`, [email]);
+      user = rows[0];
+      if (user && user.org_key === orgKey && user.role !== 'super-admin' && !mayLink) {
+        throw bad(`${email} already has an account; sign in with your password, or ask an administrator to enable account linking`, 409);
+      }
+    }
+    if (user?.role === 'super-admin') throw bad('super-admins cannot sign in with single sign-on', 403);
+    if (user && user.org_key !== orgKey) throw bad(`${email} already has an account in another organization`, 409);
+    if (!user) {
+      const org = await getOrganization(orgKey);
+      const provider = org?.settings?.default_provider || P('PROVIDER', 'OLLAMA');
+      // no password_hash: SSO-only until someone sets a password
+      const { rows } = await client.query(
+        `INSERT INTO users (id, email, password_hash, role, org_key, provider)
+         VALUES (gen_random_uuid(), $1, NULL, $2, $3, $4) RETURNING *`,
+        [email, role, orgKey, provider]
+      );
+      user = rows[0];
+      created = true;
+    }
+    let roleChange = null;
+    if (!created && syncRole && user.role !== role) {
+      roleChange = { from: user.role, to: role };
+      const { rows } = await client.query(`UPDATE users SET role=$2, updated_at=now() WHERE id=$1 RETURNING *`, [user.id, role]);
+      user = rows[0];
+    }
+    await client.query(
+      `INSERT INTO user_identities (issuer, subject, user_id) VALUES ($1, $2, $3)
+       ON CONFLICT (issuer, subject) DO UPDATE SET last_login_at=now()`,
+      [issuer, subject, user.id]
+    );
+    await client.query('COMMIT');
+    const { password_hash, ...safe } = user;
+    return { user: safe, created, roleChange };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// One-time code from the callback redirect -> user id (the caller starts the session), or null
+export async function exchangeHandoff(code) {
+  if (!code) return null;
+  const { rows } = await pool.query(
+    `DELETE FROM oidc_logins
+     WHERE handoff_hash=$1 AND completed_at > now() - make_interval(secs => $2)
+     RETURNING user_id`,
+    [sha256(code), HANDOFF_TTL_SEC]
+  );
+  return rows[0]?.user_id || null;
+}
@@ -1,11 +1,188 @@
-export const ORGANIZATIONS = {
+// organizations.js — tenants live in the organizations table; admins create, rename, deactivate and delete them
+import { pool } from './db.js';
+import { PROVIDERS } from './llm.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const CACHE_MS = parseInt(P('ORGANIZATIONS_CACHE_MS', '15000'), 10);
+const RETENTION_SWEEP_MS = parseInt(P('RETENTION_SWEEP_MS', String(60 * 60 * 1000)), 10); // hourly
+
+// Only seeded into an empty table (first boot); after that the table is the source of truth
+export const DEFAULT_ORGANIZATIONS = {
   MMM:{label : "Menader medisch centrum"},
   RZH:{label : "Rijnstate ziekenhuis"}
 }
 
-// (Optional) expose safe, non-secret info to the UI
-export function listOrganizations() {
-  return Object.entries(ORGANIZATIONS).map(([key, v]) => ({
-    key, label: v.label
-  }));
-}
\ No newline at end of file
+// default_provider: for new users without one; languages: answer languages ({{org.languages}});
+// retention_days: chat history older than this is deleted (null = kept);
+// password_login: false = staff sign in through the org's SSO only (oidc.js)
+export const ORG_SETTINGS = ['default_provider', 'languages', 'retention_days', 'password_login'];
+
+const ORG_COLUMNS = `key, label, active, settings, created_at, updated_at`;
+
+// ----- validation -----
+const bad = (msg, status = 400) => Object.assign(new Error(msg), { status });
+
+function validateSettings(settings) {
+  if (settings == null) return {};
+  if (typeof settings !== 'object' || Array.isArray(settings)) throw bad('settings must be an object');
+  const unknown = Object.keys(settings).filter(k => !ORG_SETTINGS.includes(k));
+  if (unknown.length) throw bad(`unknown settings: ${unknown.join(', ')} (allowed: ${ORG_SETTINGS.join(', ')})`);
+  const out = {};
+  if (settings.default_provider !== undefined) {
+    const p = settings.default_provider && String(settings.default_provider).toUpperCase();
+    if (p && !PROVIDERS[p]) throw bad(`default_provider must be one of ${Object.keys(PROVIDERS).join('|')}`);
+    out.default_provider = p || null;
+  }
+  if (settings.languages !== undefined) {
+    const langs = settings.languages || [];
+    if (!Array.isArray(langs) || langs.some(l => !/^[a-z]{2}(-[A-Z]{2})?$/.test(l))) {
+      throw bad('languages must be a list of language codes like "nl" or "en-GB"');
+    }
+    out.languages = [...new Set(langs)];
+  }
+  if (settings.retention_days !== undefined) {
+    const d = settings.retention_days;
+    if (d !== null && !(Number.isInteger(d) && d >= 1)) throw bad('retention_days must be a whole number of days >= 1, or null');
+    out.retention_days = d;
+  }
+  if (settings.password_login !== undefined) {
+    if (settings.password_login !== null && typeof settings.password_login !== 'boolean') throw bad('password_login must be true, false or null');
+    out.password_login = settings.password_login;
+  }
+  return out;
+}
+
+// ----- queries -----
+// key -> { at, org }
+const cache = new Map();
+
+export async function listOrganizations({ includeInactive = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${ORG_COLUMNS} FROM organizations ${includeInactive ? '' : 'WHERE active'} ORDER BY key`
+  );
+  return rows;
+}
+
+export async function getOrganization(key) {
+  if (!key) return null;
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at <= CACHE_MS) return hit.org;
+  const { rows } = await pool.query(`SELECT ${ORG_COLUMNS} FROM organizations WHERE key=$1`, [key]);
+  cache.set(key, { at: Date.now(), org: rows[0] || null });
+  return rows[0] || null;
+}
+
+// ----- admin ops -----
+export async function createOrganization({ key, label, settings }) {
+  key = String(key || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{2,20}$/.test(key)) throw bad('key must be 2-20 characters: A-Z, 0-9, _ or -');
+  if (!String(label || '').trim()) throw bad('label is required');
+  const { rows } = await pool.query(
+    `INSERT INTO organizations (key, label, settings) VALUES ($1, $2, $3)
+     ON CONFLICT (key) DO NOTHING
+     RETURNING ${ORG_COLUMNS}`,
+    [key, String(label).trim(), JSON.stringify(validateSettings(settings))]
+  );
+  if (!rows[0]) throw bad(`organization ${key} already exists`, 409);
+  cache.delete(key);
+  return rows[0];
+}
+
+// Rename, (de)activate and/or merge settings (a setting set to null is cleared)
+export async function updateOrganization(key, { label, active, settings }) {
+  const sets = [];
+  const vals = [key];
+  if (label !== undefined) {
+    if (!String(label || '').trim()) throw bad('label must not be empty');
+    vals.push(String(label).trim());
+    sets.push(`label=$${vals.length}`);
+  }
+  if (active !== undefined) {
+    vals.push(Boolean(active));
+    sets.push(`active=$${vals.length}`);
+  }
+  if (settings !== undefined) {
+    vals.push(JSON.stringify(validateSettings(settings)));
+    sets.push(`settings=jsonb_strip_nulls(settings || $${vals.length}::jsonb)`);
+  }
+  const { rows } = await pool.query(
+    sets.length
+      ? `UPDATE organizations SET ${sets.join(', ')}, updated_at=now() WHERE key=$1 RETURNING ${ORG_COLUMNS}`
+      : `SELECT ${ORG_COLUMNS} FROM organizations WHERE key=$1`,
+    vals
+  );
+  cache.delete(key);
+  return rows[0] || null;
+}
+
+// What still points at an org: { users, documents, kb_chunks, tickets } (only non-zero counts)
+export async function organizationReferences(key, db = pool) {
+  const { rows } = await db.query(
+    `SELECT (SELECT count(*) FROM users WHERE org_key=$1)::int AS users,
+            (SELECT count(*) FROM documents WHERE org_id=$1)::int AS documents,
+            (SELECT count(*) FROM kb_org WHERE org_id=$1)::int AS kb_chunks,
+            (SELECT count(*) FROM tickets WHERE org_key=$1)::int AS tickets`,
+    [key]
+  );
+  return Object.fromEntries(Object.entries(rows[0]).filter(([, n]) => n > 0));
+}
+
+/**
+ * Delete an org and its own configuration (prompt templates, PII policy, limits,
+ * allow-list, evaluation sets). Refused with 409 while users, documents, KB chunks or tickets
+ * still reference it; deactivate it instead. Returns false when it didn't exist.
+ */
+export async function deleteOrganization(key) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // no new users/documents for this org while we check and delete
+    const { rows } = await client.query(`SELECT key FROM organizations WHERE key=$1 FOR UPDATE`, [key]);
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    const refs = await organizationReferences(key, client);
+    if (Object.keys(refs).length) {
+      const list = Object.entries(refs).map(([what, n]) => `${n} ${what}`).join(', ');
+      throw Object.assign(bad(`organization ${key} is still referenced by ${list}; deactivate it instead`, 409), { references: refs });
+    }
+    for (const table of ['prompt_templates', 'pii_policies', 'usage_limits', 'llm_allowlists', 'eval_sets']) {
+      await client.query(`DELETE FROM ${table} WHERE org_key=$1`, [key]);
+    }
+    await client.query(`DELETE FROM organizations WHERE key=$1`, [key]);
+    await client.query('COMMIT');
+    cache.delete(key);
+    return true;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// ----- retention -----
+// Conversations (and their messages) untouched for longer than the org's retention_days
+export async function purgeExpiredConversations() {
+  const { rows } = await pool.query(
+    `WITH expired AS (
+       DELETE FROM conversations c
+       USING organizations o
+       WHERE c.org_key = o.key
+         AND (o.settings->>'retention_days') IS NOT NULL
+         AND c.updated_at < now() - make_interval(days => (o.settings->>'retention_days')::int)
+       RETURNING c.org_key
+     )
+     SELECT org_key, count(*)::int AS n FROM expired GROUP BY org_key`
+  );
+  for (const r of rows) console.log(`[retention] ${r.org_key}: deleted ${r.n} expired conversation(s)`);
+  return rows;
+}
+
+export function startRetentionSweeper() {
+  const sweep = () => purgeExpiredConversations().catch(e => console.error('[retention] sweep failed', e));
+  sweep();
+  setInterval(sweep, RETENTION_SWEEP_MS).unref();
+}
@@ -0,0 +1,79 @@
+// permissions.js — roles and what they may do; routes check a permission, never a role name
+// Least to most privileged. Everyone but super-admin works inside their own org_key.
+export const ROLES = ['viewer', 'agent', 'kb-editor', 'org-admin', 'super-admin'];
+
+// Names from before the RBAC split, still accepted on input (API, OIDC role maps)
+export const LEGACY_ROLES = { user: 'agent', admin: 'org-admin' };
+
+export const PERMISSIONS = {
+  'self':             'own profile, settings and sessions',
+  'ask':              'ask Lara questions; own conversations; open cited documents',
+  'feedback.give':    'rate own answers',
+  'tickets.read':     "see the org's tickets",
+  'tickets.write':    'add tickets, redraft replies, accept suggested tasks',
+  'tasks.read':       "see the org's tasks",
+  'tasks.write':      'create, update, comment on and delete own tasks',
+  'tasks.manage':     "delete other people's tasks",
+  'kb.write':         "upload, replace and delete the org's documents; follow ingest jobs",
+  'kb.domain':        'write to the shared domain layer (seen by every org)',
+  'feedback.review':  'review answer feedback and curate corrections into the KB',
+  'users.manage':     "create and update the org's users, end their sessions",
+  'org.settings':     "change the org's settings",
+  'prompts.manage':   "manage the org's prompt templates",
+  'pii.manage':       "manage the org's PII policy",
+  'llm.manage':       "manage the org's LLM allow-list, see provider status",
+  'usage.read':       "see the org's LLM usage and limits",
+  'audit.read':       "read the org's audit log",
+  'eval.manage':      "manage the org's golden question sets and run evaluations",
+  'orgs.manage':      'create, rename, (de)activate and delete organizations',
+  'sso.manage':       "configure an org's single sign-on (the IdP decides who signs in as whom)",
+  'usage.limits':     'set usage limits and quotas',
+  'embeddings.manage':'switch embedding models, re-embed',
+  'orgs.all':         'act on any org (org_id parameters)',
+};
+
+const VIEWER = ['self', 'ask', 'feedback.give', 'tickets.read', 'tasks.read'];
+const AGENT = [...VIEWER, 'tickets.write', 'tasks.write'];
+const KB_EDITOR = ['self', 'ask', 'feedback.give', 'kb.write'];
+const ORG_ADMIN = [...new Set([...AGENT, ...KB_EDITOR,
+  'tasks.manage', 'feedback.review', 'users.manage', 'org.settings', 'prompts.manage', 'pii.manage',
+  'llm.manage', 'usage.read', 'audit.read', 'eval.manage'])];
+
+export const ROLE_PERMISSIONS = {
+  'viewer': VIEWER,
+  'agent': AGENT,
+  'kb-editor': KB_EDITOR,
+  'org-admin': ORG_ADMIN,
+  'super-admin': Object.keys(PERMISSIONS),
+};
+
+// 'admin' -> 'org-admin' etc.; unknown names are returned as given (and fail validation)
+export function normalizeRole(role) {
+  return LEGACY_ROLES[role] || role;
+}
+
+export function permissionsOf(role) {
+  return ROLE_PERMISSIONS[normalizeRole(role)] || [];
+}
+
+export function can(user, permission) {
+  return permissionsOf(user?.role).includes(permission);
+}
+
+// Roles `user` may hand out: never above their own (only a super-admin makes super-admins)
+export function canGrantRole(user, role) {
+  const mine = ROLES.indexOf(normalizeRole(user?.role));
+  const wanted = ROLES.indexOf(normalizeRole(role));
+  return wanted >= 0 && mine >= 0 && wanted <= mine;
+}
+
+// Express middleware (after requireAuth): 403 unless the caller's role has every listed permission
+export function requirePermission(...permissions) {
+  for (const p of permissions) if (!PERMISSIONS[p]) throw new Error(`unknown permission: ${p}`);
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'unauthorized' });
+    const missing = permissions.filter(p => !can(req.user, p));
+    if (missing.length) return res.status(403).json({ error: 'forbidden', missing });
+    next();
+  };
+}
@@ -0,0 +1,261 @@
+// pii.js — find personal data in prompts before they go to an external LLM; redact it or keep the call on-prem
+import safeRegex from 'safe-regex2';
+import { pool } from './db.js';
+import { PROVIDERS, LOCAL_PROVIDERS } from './llm.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const CACHE_MS        = parseInt(P('PII_POLICY_CACHE_MS', '15000'), 10);
+const MAX_PATTERNS    = 20;
+const MAX_PATTERN_LEN = 300;
+
+// 'redact': placeholders out, originals back in the answer; 'local': the call goes to OLLAMA instead
+export const PII_MODES = ['redact', 'local'];
+
+// ----- detectors -----
+// Dutch BSN: 8-9 digits (dots/spaces allowed) that pass the "elfproef"
+function isBsn(raw) {
+  const digits = raw.replace(/\D/g, '').padStart(9, '0');
+  if (digits.length !== 9 || /^0+$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += Number(digits[i]) * (9 - i);
+  return (sum - Number(digits[8])) % 11 === 0;
+}
+
+// "collega Ramdhani", "mevr. de Vries", "dr. Jansen": a cue word followed by capitalised words
+const NAME_CUES = [
+  'collega', 'dhr.', 'dhr', 'mevr.', 'mevr', 'mw.', 'meneer', 'mevrouw', 'de heer', 'dokter', 'dr.',
+  'teamleider', 'leidinggevende', 'manager', 'patiënt', 'patient', 'verpleegkundige', 'mijn naam is', 'ik heet'
+];
+const cue = (w) => `[${w[0].toUpperCase()}${w[0]}]${w.slice(1).replace(/\./g, '\\.')}`;
+const PARTICLE = `(?:van|de|der|den|ter|ten|het|'t|op)`;
+const CAPITALISED = `\\p{Lu}[\\p{Ll}'-]+`;
+const CUED_NAME = new RegExp(
+  `\\b(?:${NAME_CUES.map(cue).join('|')})\\s+((?:${PARTICLE}\\s+)*${CAPITALISED}(?:\\s+(?:${PARTICLE}\\s+)*${CAPITALISED}){0,3})`,
+  'gud'
+);
+
+// type -> (text, policy) => [{ start, end }]
+const BUILTIN_DETECTORS = {
+  BSN: (text) => matchAll(text, /\b\d{3,4}[ .]?\d{2}[ .]?\d{3}\b|\b\d{8,9}\b/g).filter(m => isBsn(m.value)),
+  EMAIL: (text) => matchAll(text, /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g),
+  PHONE: (text) => matchAll(text, /(?:\+31|0031|\b0)[\s-]?(?:\d[\s-]?){8}\d\b/g),
+  EMPLOYEE_ID: (text) => matchAll(text, new RegExp(P('PII_EMPLOYEE_ID_PATTERN', '\\b[A-Z]?\\d{5,7}[A-Z]\\b'), 'g')),
+  NAME: (text, policy) => [
+    ...[...text.matchAll(CUED_NAME)].map(m => ({ start: m.indices[1][0], end: m.indices[1][1], value: m[1] })),
+    ...(policy.names.length ? matchAll(text, namesPattern(policy.names)) : [])
+  ],
+};
+export const PII_DETECTORS = Object.keys(BUILTIN_DETECTORS);
+
+function matchAll(text, re) {
+  return [...text.matchAll(re)].map(m => ({ start: m.index, end: m.index + m[0].length, value: m[0] }));
+}
+
+function namesPattern(names) {
+  const escaped = names.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}])(?:${escaped.join('|')})(?![\\p{L}])`, 'giu');
+}
+
+// ----- per-org policy -----
+const DEFAULT_POLICY = { mode: P('PII_MODE', 'redact'), detectors: PII_DETECTORS, patterns: [], names: [] };
+
+// org_key -> { at, policy }
+const cache = new Map();
+
+// Custom patterns run over every prompt: nested quantifiers like (a+)+ or backreferences can
+// backtrack for minutes on a crafted question and block the event loop, so they are refused
+function isSafePattern(pattern) {
+  return safeRegex(pattern) && !/\\[1-9]|\\k</.test(pattern);
+}
+
+// Custom patterns are { type, pattern, flags } — checked here so a bad one can't break /ask later
+export function validatePolicy({ mode, detectors, patterns, names } = {}) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const out = {};
+  if (mode !== undefined) {
+    if (!PII_MODES.includes(mode)) throw bad(`mode must be one of ${PII_MODES.join('|')}`);
+    out.mode = mode;
+  }
+  if (detectors !== undefined) {
+    if (!Array.isArray(detectors) || detectors.some(d => !PII_DETECTORS.includes(d))) {
+      throw bad(`detectors must be a list of ${PII_DETECTORS.join('|')}`);
+    }
+    out.detectors = detectors;
+  }
+  if (patterns !== undefined) {
+    if (!Array.isArray(patterns) || patterns.length > MAX_PATTERNS) throw bad(`patterns must be a list of at most ${MAX_PATTERNS}`);
+    out.patterns = patterns.map(({ type, pattern, flags = '' }) => {
+      if (!/^[A-Z][A-Z0-9_]{1,30}$/.test(type || '')) throw bad('pattern type must be UPPER_SNAKE_CASE');
+      if (!pattern || String(pattern).length > MAX_PATTERN_LEN) throw bad(`pattern must be 1-${MAX_PATTERN_LEN} characters`);
+      if (!/^[iu]*$/.test(flags)) throw bad('pattern flags may only be i and u');
+      try { new RegExp(pattern, `g${flags}`); } catch (e) { throw bad(`invalid pattern for ${type}: ${e.message}`); }
+      if (!isSafePattern(String(pattern))) {
+        throw bad(`pattern for ${type} is too expensive to match (nested quantifiers or backreferences); simplify it`);
+      }
+      return { type, pattern: String(pattern), flags };
+    });
+  }
+  if (names !== undefined) {
+    if (!Array.isArray(names)) throw bad('names must be a list');
+    out.names = [...new Set(names.map(n => String(n).trim()).filter(n => n.length >= 2))].slice(0, 5000);
+  }
+  return out;
+}
+
+export async function getPiiPolicy(orgKey) {
+  const key = orgKey || '';
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at <= CACHE_MS) return hit.policy;
+  const { rows } = orgKey
+    ? await pool.query(`SELECT mode, detectors, patterns, names FROM pii_policies WHERE org_key=$1`, [orgKey])
+    : { rows: [] };
+  const policy = { ...DEFAULT_POLICY, ...(rows[0] || {}), org_key: orgKey || null, custom: Boolean(rows[0]) };
+  // saved before patterns were checked for backtracking: skipped until an admin fixes them
+  policy.patterns = policy.patterns.filter(({ type, pattern }) => {
+    if (isSafePattern(pattern)) return true;
+    console.warn(`[pii] ${orgKey}: skipping unsafe pattern ${type}`);
+    return false;
+  });
+  cache.set(key, { at: Date.now(), policy });
+  return policy;
+}
+
+export async function savePiiPolicy(orgKey, fields, updatedBy = null) {
+  const current = await getPiiPolicy(orgKey);
+  const next = { ...current, ...validatePolicy(fields) };
+  await pool.query(
+    `INSERT INTO pii_policies (org_key, mode, detectors, patterns, names, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, now())
+     ON CONFLICT (org_key) DO UPDATE
+       SET mode=EXCLUDED.mode, detectors=EXCLUDED.detectors, patterns=EXCLUDED.patterns,
+           names=EXCLUDED.names, updated_by=EXCLUDED.updated_by, updated_at=now()`,
+    [orgKey, next.mode, next.detectors, JSON.stringify(next.patterns), next.names, updatedBy]
+  );
+  cache.delete(orgKey);
+  return getPiiPolicy(orgKey);
+}
+
+// ----- detection + redaction -----
+/**
+ * All PII spans in `text` under `policy`, left to right, without overlaps
+ * (the earlier, then longer match wins). [{ type, start, end, value }]
+ */
+export function detectPII(text, policy = DEFAULT_POLICY) {
+  const found = [];
+  for (const type of policy.detectors) {
+    for (const m of BUILTIN_DETECTORS[type](text, policy)) found.push({ type, ...m });
+  }
+  for (const { type, pattern, flags } of policy.patterns) {
+    for (const m of matchAll(text, new RegExp(pattern, `g${flags}`))) if (m.value) found.push({ type, ...m });
+  }
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const spans = [];
+  for (const f of found) if (!spans.length || f.start >= spans[spans.length - 1].end) spans.push(f);
+  return spans;
+}
+
+const PLACEHOLDER = /\[([A-Z][A-Z0-9_]*?)_(\d+)\]/g;
+
+/**
+ * One redactor per request: the same value always gets the same placeholder
+ * ([NAME_1], [EMAIL_2], ...), so an answer can be restored across several prompts.
+ */
+export function createRedactor(policy = DEFAULT_POLICY) {
+  const byValue = new Map();   // `${type}\0${value}` -> placeholder
+  const byPlaceholder = new Map();
+  const counts = {};
+
+  function placeholderFor(type, value) {
+    const key = `${type}\0${value}`;
+    if (!byValue.has(key)) {
+      counts[type] = (counts[type] || 0) + 1;
+      const ph = `[${type}_${counts[type]}]`;
+      byValue.set(key, ph);
+      byPlaceholder.set(ph, value);
+    }
+    return byValue.get(key);
+  }
+
+  function redact(text) {
+    const spans = detectPII(String(text || ''), policy);
+    let out = '';
+    let last = 0;
+    for (const s of spans) {
+      out += text.slice(last, s.start) + placeholderFor(s.type, s.value);
+      last = s.end;
+    }
+    return { text: out + String(text || '').slice(last), found: spans.length };
+  }
+
+  const restore = (text) => String(text || '').replace(PLACEHOLDER, (ph) => byPlaceholder.get(ph) ?? ph);
+
+  // Streaming: hold back a trailing "[NAME_" until the placeholder is complete
+  function restoreStream(onToken) {
+    let buf = '';
+    return {
+      push(delta) {
+        buf += delta || '';
+        const open = buf.lastIndexOf('[');
+        const pending = open >= 0 && !buf.includes(']', open) && /^\[[A-Z0-9_]{0,40}$/.test(buf.slice(open));
+        const ready = pending ? buf.slice(0, open) : buf;
+        buf = pending ? buf.slice(open) : '';
+        if (ready) onToken(restore(ready));
+      },
+      flush() {
+        if (buf) onToken(restore(buf));
+        buf = '';
+      }
+    };
+  }
+
+  return { redact, restore, restoreStream, counts };
+}
+
+/**
+ * Decide how one prompt may be sent. Local providers get it unchanged. For an
+ * external provider, PII in the prompt is either replaced by placeholders
+ * (mode 'redact') or the call is moved to OLLAMA (mode 'local').
+ * Pass the same `redactor` for every prompt of one request.
+ * Returns { provider, model, prompt, allowExternal, restore, restoreStream, pii: { action, detected } };
+ * `allowExternal` is false for a prompt with PII in it that stays local, so the
+ * LLM fallback chain doesn't carry it to an external provider after all.
+ */
+export async function guardPrompt({ orgKey, provider, model, prompt, redactor }) {
+  const policy = await getPiiPolicy(orgKey);
+  const spans = detectPII(prompt, policy);
+  const detected = {};
+  for (const s of spans) detected[s.type] = (detected[s.type] || 0) + 1;
+  const passthrough = (action) => ({
+    provider, model, prompt,
+    allowExternal: !spans.length,
+    restore: (t) => t,
+    restoreStream: (onToken) => ({ push: onToken, flush() {} }),
+    pii: { action, detected }
+  });
+  if (!spans.length || LOCAL_PROVIDERS.includes(String(provider).toUpperCase())) return passthrough('none');
+
+  if (policy.mode === 'local') {
+    return { ...passthrough('local'), provider: 'OLLAMA', model: PROVIDERS.OLLAMA.defaultModel };
+  }
+  const r = redactor || createRedactor(policy);
+  return {
+    provider, model,
+    prompt: r.redact(prompt).text,
+    allowExternal: true,
+    restore: r.restore,
+    restoreStream: r.restoreStream,
+    pii: { action: 'redacted', detected }
+  };
+}
+
+// Combine the pii reports of several prompts of one request (condense + generate)
+export function mergePiiReports(...reports) {
+  const rank = { none: 0, redacted: 1, local: 2 };
+  const out = { action: 'none', detected: {} };
+  for (const r of reports.filter(Boolean)) {
+    if (rank[r.action] > rank[out.action]) out.action = r.action;
+    for (const [type, n] of Object.entries(r.detected)) out.detected[type] = Math.max(out.detected[type] || 0, n);
+  }
+  return out;
+}
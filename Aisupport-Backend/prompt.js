@@ -1,21 +1,162 @@
-export function renderPrompt({ contextSnippets, question }) {
-  const context = (contextSnippets || []).map((s, i) => {
-    const src = s.metadata?.source || s.id || `doc#${i+1}`;
+function renderHistory(history) {
+  return (history || [])
+    .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${(m.content || '').replace(/\s+/g, ' ').trim()}`)
+    .join('\n');
+}
+
+// Where in the original a chunk came from, e.g. "p. 3-4, Installatie > Printers"
+export function chunkLocation(metadata = {}) {
+  const range = (unit, label) => metadata[unit] == null ? null
+    : `${label} ${metadata[unit]}${metadata[`${unit}_end`] && metadata[`${unit}_end`] !== metadata[unit] ? `-${metadata[`${unit}_end`]}` : ''}`;
+  return [
+    range('page', 'p.'),
+    range('slide', 'slide'),
+    metadata.sheet && `${metadata.sheet}${metadata.rows ? ` rows ${metadata.rows}` : ''}`,
+    metadata.section,
+    metadata.xml_path
+  ].filter(Boolean).join(', ');
+}
+
+// Passages are numbered [1], [2], ... in context order; answers cite them by that number (see citations.js)
+function renderContext(contextSnippets) {
+  return (contextSnippets || []).map((s, i) => {
+    const src = [s.metadata?.source || s.id || `doc#${i+1}`, chunkLocation(s.metadata)].filter(Boolean).join(', ');
     const body = (s.text || '').replace(/\s+/g, ' ').trim();
-    return `- (${src}) ${body}`;
+    return `[${i + 1}] (${src}) ${body}`;
   }).join('\n');
+}
 
-  return `
+// ----- answer prompt (templated per org, see templates.js) -----
+// {{name}} placeholders an answer template may use
+export const PROMPT_VARIABLES = {
+  context:      'retrieved passages, one per line, numbered [1], [2], ... with their source',
+  question:     'the question as asked',
+  history:      'earlier turns of the conversation (empty block when there are none)',
+  'user.email': 'e-mail of the asking user',
+  'user.role':  'role of the asking user',
+  'org.key':    'organization key, e.g. RZH',
+  'org.name':   'organization name',
+  'org.languages': 'answer languages from the org settings, e.g. "nl, en" (empty when not set)',
+  date:         "today's date (YYYY-MM-DD)",
+};
+
+export const DEFAULT_PROMPT_TEMPLATE = `
 You are a helpful assistant. Use ONLY the provided context. If information is missing, say what is missing and ask for it.
 
+[CONTEXT]
+{{context}}
+{{history}}
+[QUESTION]
+{{question}}
+
+[INSTRUCTIONS]
+- Cite the passages you use by their number in square brackets, e.g. [1] or [2][3]. Only cite numbers that appear in the context.
+- Prefer concise step-by-step answers.
+`.trim();
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Placeholder names used in a template body (unknown ones included)
+export function templateVariables(body) {
+  return [...new Set([...String(body || '').matchAll(PLACEHOLDER)].map(m => m[1]))];
+}
+
+// Values are substituted in one pass, so "{{...}}" inside a document or question stays literal
+export function renderPrompt({ contextSnippets, question, history = [], template = DEFAULT_PROMPT_TEMPLATE, user = {}, org = {} }) {
+  const conversation = history.length ? `
+[CONVERSATION SO FAR]
+${renderHistory(history)}
+` : '';
+
+  const values = {
+    context: renderContext(contextSnippets),
+    question,
+    history: conversation,
+    'user.email': user.email || '',
+    'user.role': user.role || '',
+    'org.key': org.key || '',
+    'org.name': org.label || org.key || '',
+    'org.languages': (org.settings?.languages || []).join(', '),
+    date: new Date().toISOString().slice(0, 10),
+  };
+  return template.replace(PLACEHOLDER, (_, name) => values[name] ?? '').trim();
+}
+
+// Rewrite a follow-up ("and for the ICU?") into a standalone search query
+export function renderCondensePrompt({ history, question }) {
+  return `
+Given the conversation below and a follow-up question, rewrite the follow-up as ONE standalone question that can be understood without the conversation. Keep the language of the follow-up. Output ONLY the rewritten question.
+
+[CONVERSATION]
+${renderHistory(history)}
+
+[FOLLOW-UP]
+${question}
+`.trim();
+}
+
+// Relevance judge for reranking: one passage, answer is a single 0-10 score
+export function renderRerankPrompt({ question, passage }) {
+  return `
+Rate how useful the PASSAGE is for answering the QUESTION, on a scale from 0 (unrelated) to 10 (directly answers it). Output ONLY the number.
+
+[QUESTION]
+${question}
+
+[PASSAGE]
+${(passage || '').replace(/\s+/g, ' ').trim()}
+`.trim();
+}
+
+// Support ticket -> reply draft + follow-up tasks, in two marked sections (see parseTicketDraft)
+export function renderTicketPrompt({ contextSnippets, ticket }) {
+  const context = renderContext(contextSnippets);
+
+  return `
+You are a service desk agent drafting a reply to the ticket below. Use ONLY the provided context for facts and procedures. If information is missing, say in the reply what is missing and ask for it. Write the reply in the language of the ticket.
+
 [CONTEXT]
 ${context}
 
+[TICKET]
+From: ${ticket.from_name || ticket.from_address || 'unknown'}
+Subject: ${ticket.subject}
+
+${String(ticket.body || '').slice(0, 6000)}
+
+[INSTRUCTIONS]
+Answer in exactly this format:
+REPLY:
+<the reply to send to the requester>
+TASKS:
+- <one concrete follow-up task for the service desk per line, or "- none">
+Do not put passage numbers like [1] in the reply.
+`.trim();
+}
+
+// Evaluation judge (evaluation.js): scores a generated answer against its passages and the reference answer
+export function renderJudgePrompt({ contextSnippets, question, answer, reference }) {
+  return `
+You are grading an answer produced by a support assistant. Judge two things, each on a scale from 0 to 10:
+- FAITHFULNESS: every statement in the ANSWER is supported by the CONTEXT (10 = nothing made up, 0 = mostly unsupported).
+- CORRECTNESS: the ANSWER agrees with the REFERENCE answer in substance (10 = same facts and advice, 0 = contradicts it or misses the point).${reference ? '' : ' There is no reference answer: output "CORRECTNESS: -".'}
+
+[CONTEXT]
+${renderContext(contextSnippets)}
+
 [QUESTION]
 ${question}
 
+[REFERENCE]
+${reference || '-'}
+
+[ANSWER]
+${answer}
+
 [INSTRUCTIONS]
-- Cite sources with their 'source' field in parentheses when relevant.
-- Prefer concise step-by-step answers.
+Answer in exactly this format:
+FAITHFULNESS: <0-10>
+CORRECTNESS: <0-10 or ->
+REASON: <one sentence>
 `.trim();
 }
@@ -0,0 +1,184 @@
+// rag.js — retrieval pipeline shared by /ask, /ask/stream, ticket drafting and evaluation runs
+import { searchOrg, searchDomain, searchOrgLexical, searchDomainLexical } from './db.js';
+import { embedQuery } from './embeddings.js';
+import { rerank, RERANK_DEFAULTS } from './rerank.js';
+import { generateLLM } from './llm.js';
+import { renderPrompt, renderCondensePrompt } from './prompt.js';
+import { guardPrompt } from './pii.js';
+import { getActiveTemplate } from './templates.js';
+import { getOrganization } from './organizations.js';
+
+// ----- timeouts + step logging -----
+export const TIMEOUTS = {
+  EMBED: parseInt(process.env.TIMEOUT_EMBED || '15000', 10),              // 15s
+  SEARCH: parseInt(process.env.TIMEOUT_SEARCH || '15000', 10),            // 15s
+  BUILD_PROMPT: parseInt(process.env.TIMEOUT_BUILD_PROMPT || '2000', 10), // 2s
+  GENERATE: parseInt(process.env.TIMEOUT_GENERATE || '540000', 10),       // 9 min
+  CONDENSE: parseInt(process.env.TIMEOUT_CONDENSE || '60000', 10),        // 1 min
+};
+const STEP_MARGIN = 5000;
+export function stepTimeout(ms) { return ms + STEP_MARGIN; }
+
+// Helpers
+export function rid() { return Math.random().toString(36).slice(2, 10); }
+export async function withStep(id, label, fn, timeoutMs = TIMEOUTS.GENERATE) {
+  const t0 = Date.now();
+  console.log(`[STEP][${id}] ${label} start`);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Step "${label}" timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  try {
+    const result = await Promise.race([Promise.resolve().then(fn), timeout]);
+    console.log(`[STEP][${id}] ${label} ok ${Date.now() - t0}ms`);
+    return result;
+  } catch (e) {
+    console.error(`[STEP][${id}] ${label} FAIL ${Date.now() - t0}ms`, e);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ----- retrieval -----
+export const fastDefaults = { num_ctx: 1024, num_predict: 256, temperature: 0.2, top_p: 0.9, top_k: 40 };
+
+export const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid'];
+export const DEFAULT_RETRIEVAL = (process.env.RETRIEVAL_MODE || 'hybrid').toLowerCase();
+const RRF_K = parseInt(process.env.RRF_K || '60', 10);
+
+// Reciprocal rank fusion: score = sum over rankings of 1 / (RRF_K + rank)
+function reciprocalRankFusion(rankings) {
+  const byId = new Map();
+  for (const list of rankings) {
+    list.forEach((s, idx) => {
+      const hit = byId.get(s.id) || { ...s, score: 0 };
+      hit.score += 1 / (RRF_K + idx + 1);
+      if (s.distance !== undefined) hit.distance = s.distance;
+      if (s.rank !== undefined) hit.rank = s.rank;
+      byId.set(s.id, hit);
+    });
+  }
+  return [...byId.values()].sort((a, b) => b.score - a.score);
+}
+
+// k1, k2, max_ctx as callers send them -> whole numbers from 1 to 50 (400 otherwise); they end
+// up in LIMIT clauses and, times the over-fetch, in the number of LLM reranker calls
+export function retrievalCounts({ k1 = 3, k2 = 3, max_ctx = 4 } = {}) {
+  const count = (name, value) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > 50) {
+      throw Object.assign(new Error(`${name} must be a whole number from 1 to 50`), { status: 400 });
+    }
+    return n;
+  };
+  return { k1: count('k1', k1), k2: count('k2', k2), max_ctx: count('max_ctx', max_ctx) };
+}
+
+// search org + domain layers (vector, lexical or both fused), over-fetch, then rerank
+// -> best max_ctx snippets; `relevant` is false when nothing passed the reranker's threshold.
+// `charge` (req or { id, user }) is billed for the reranker's LLM calls.
+export async function retrieveContext(id, { question, org_id, retrieval = DEFAULT_RETRIEVAL, reranker = RERANK_DEFAULTS.reranker, charge = null, ...counts }) {
+  const { k1, k2, max_ctx } = retrievalCounts(counts);
+  const useVector = retrieval !== 'lexical';
+  const useLexical = retrieval !== 'vector';
+  const overfetch = reranker === 'none' ? 1 : RERANK_DEFAULTS.overfetch;
+  const n1 = k1 * overfetch;
+  const n2 = k2 * overfetch;
+
+  // the query is embedded with the active collection's model and searched in its column
+  const { vector: qvec, collection } = useVector
+    ? await withStep(id, 'embed', () => embedQuery(question), TIMEOUTS.EMBED)
+    : {};
+  const column = collection?.column_name;
+  const none = Promise.resolve([]);
+
+  const [orgVec, domainVec, orgLex, domainLex] = await Promise.all([
+    useVector && org_id ? withStep(id, 'searchOrg', () => searchOrg({ orgId: org_id, queryEmbedding: qvec, limit: n1, column }), TIMEOUTS.SEARCH) : none,
+    useVector ? withStep(id, 'searchDomain', () => searchDomain({ queryEmbedding: qvec, limit: n2, column }), TIMEOUTS.SEARCH) : none,
+    useLexical && org_id ? withStep(id, 'searchOrgLexical', () => searchOrgLexical({ orgId: org_id, query: question, limit: n1 }), TIMEOUTS.SEARCH) : none,
+    useLexical ? withStep(id, 'searchDomainLexical', () => searchDomainLexical({ query: question, limit: n2 }), TIMEOUTS.SEARCH) : none
+  ]);
+  const tag = (layer) => (s) => ({ ...s, layer });
+
+  let orgSnips, domainSnips, candidates;
+  if (retrieval === 'vector') {
+    orgSnips = orgVec.map(tag('org'));
+    domainSnips = domainVec.map(tag('domain'));
+    candidates = [...orgSnips, ...domainSnips].sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0));
+  } else {
+    // rank positions are comparable across tables, raw distances are not
+    orgSnips = reciprocalRankFusion([orgVec, orgLex]).map(tag('org'));
+    domainSnips = reciprocalRankFusion([domainVec, domainLex]).map(tag('domain'));
+    candidates = [...orgSnips, ...domainSnips].sort((a, b) => b.score - a.score);
+  }
+
+  // the reranker scores org and domain on one scale; it falls back to this order on failure
+  const ranked = await withStep(
+    id,
+    `rerank(${reranker})`,
+    () => rerank(question, candidates, { reranker, maxCtx: max_ctx, orgKey: org_id, charge }),
+    stepTimeout(RERANK_DEFAULTS.timeoutMs)
+  );
+
+  return {
+    orgSnips,
+    domainSnips,
+    contextSnippets: ranked.snippets,
+    relevant: ranked.relevant,
+    rerank: { reranker: ranked.reranker, candidates: candidates.length, kept: ranked.snippets.length }
+  };
+}
+
+// Answer when retrieval found nothing that passed the reranker; the LLM is not called
+export const NOTHING_RELEVANT_ANSWER = process.env.NOTHING_RELEVANT_ANSWER
+  || 'Ik heb in de kennisbank niets gevonden dat relevant is voor deze vraag. Kun je de vraag anders formuleren of meer details geven?';
+
+// Follow-ups are condensed with the history into a standalone query before embedding.
+// The history goes through the org's PII policy first; the query comes back restored,
+// since retrieval itself stays on our side. Returns { query, pii, route } (route: see generateLLM).
+export async function condenseQuestion(id, { history, question, provider, model, allow, org_id, redactor }) {
+  if (!history.length) return { query: question, pii: null, route: null };
+  const guarded = await guardPrompt({
+    orgKey: org_id, provider, model, redactor, prompt: renderCondensePrompt({ history, question })
+  });
+  const route = {};
+  const condensed = await withStep(
+    id,
+    `condense(${guarded.provider}:${guarded.model})`,
+    () => generateLLM({
+      provider: guarded.provider,
+      model: guarded.model,
+      prompt: guarded.prompt,
+      options: { ...fastDefaults, num_predict: 96, temperature: 0 },
+      timeoutMs: TIMEOUTS.CONDENSE,
+      allowExternal: guarded.allowExternal,
+      allow,
+      route
+    }),
+    stepTimeout(TIMEOUTS.CONDENSE)
+  );
+  return { query: guarded.restore(String(condensed || '').trim()) || question, pii: guarded.pii, route };
+}
+
+// Answer prompt from the org's template (falls back to the domain default / built-in one)
+export async function buildAnswerPrompt(user, { org_id, contextSnippets, question, history }) {
+  const orgKey = org_id || user.org_key;
+  const template = await getActiveTemplate(orgKey);
+  return renderPrompt({
+    contextSnippets,
+    question,
+    history,
+    template: template.body,
+    user,
+    org: { key: orgKey, ...(await getOrganization(orgKey)) }
+  });
+}
+
+// `n` is the passage's number in the prompt, i.e. what an [n] citation refers to
+export function contextForResponse(contextSnippets) {
+  return contextSnippets.map((s, i) => ({
+    n: i + 1, id: s.id, source: s.metadata?.source, document_id: s.document_id || null,
+    layer: s.layer, distance: s.distance, score: s.score, relevance: s.relevance
+  }));
+}
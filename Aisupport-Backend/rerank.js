@@ -0,0 +1,129 @@
+// rerank.js — relevance scoring between retrieval and prompt building
+import axios from 'axios';
+import { generateLLM } from './llm.js';
+import { guardPrompt } from './pii.js';
+import { renderRerankPrompt } from './prompt.js';
+import { recordUsage } from './usage.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+export const RERANK_DEFAULTS = {
+  reranker:    P('RERANKER', 'llm'),
+  overfetch:   parseInt(P('RERANK_OVERFETCH', '3'), 10),       // candidates per layer = k * overfetch
+  orgBoost:    parseFloat(P('RERANK_ORG_BOOST', '1.2')),       // org relevance multiplier
+  threshold:   parseFloat(P('RERANK_THRESHOLD', '0.4')),       // on the boosted 0..1 relevance
+  concurrency: parseInt(P('RERANK_CONCURRENCY', '4'), 10),
+  timeoutMs:   parseInt(P('TIMEOUT_RERANK_STEP', '60000'), 10), // whole stage; falls back when exceeded
+};
+
+// name -> async (question, candidates, opts) => relevance in 0..1 per candidate (same order)
+const RERANKERS = {};
+
+export function registerReranker(name, fn) {
+  RERANKERS[name] = fn;
+}
+
+export function listRerankers() {
+  return Object.keys(RERANKERS);
+}
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      out[idx] = await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+// ----- built-in rerankers -----
+// 'none': keep retrieval order; no relevance, so no threshold either
+registerReranker('none', async () => null);
+
+// 'llm': a (small, local) model judges each passage 0-10
+// (an external RERANK_PROVIDER only sees passages after the org's PII policy is applied);
+// every call is recorded as 'rerank' usage of `charge` (the request, see usage.js)
+registerReranker('llm', async (question, candidates, { concurrency, orgKey, charge }) => {
+  const provider = P('RERANK_PROVIDER', 'OLLAMA');
+  const model = P('RERANK_MODEL') || P('GEN_MODEL');
+  const timeoutMs = parseInt(P('TIMEOUT_RERANK', '30000'), 10);
+  return mapLimit(candidates, concurrency, async (c) => {
+    const guarded = await guardPrompt({
+      orgKey, provider, model, prompt: renderRerankPrompt({ question, passage: c.text })
+    });
+    const route = {};
+    const out = await generateLLM({
+      provider: guarded.provider,
+      model: guarded.model,
+      prompt: guarded.prompt,
+      options: { temperature: 0, num_predict: 4, num_ctx: 2048 },
+      timeoutMs,
+      allowExternal: guarded.allowExternal,
+      route
+    });
+    if (charge) await recordUsage(charge, { route, purpose: 'rerank' });
+    const n = parseFloat(/\d+(?:\.\d+)?/.exec(String(out))?.[0]);
+    return Number.isFinite(n) ? Math.min(Math.max(n / 10, 0), 1) : 0;
+  });
+});
+
+// 'http': cross-encoder service with a TEI-style API: POST { query, texts } -> [{ index, score }]
+registerReranker('http', async (question, candidates) => {
+  const { data } = await axios.post(
+    P('RERANK_URL'),
+    { query: question, texts: candidates.map(c => c.text), truncate: true },
+    { timeout: parseInt(P('TIMEOUT_RERANK', '30000'), 10) }
+  );
+  const scores = new Array(candidates.length).fill(0);
+  for (const r of data) scores[r.index] = Math.min(Math.max(Number(r.score) || 0, 0), 1);
+  return scores;
+});
+
+/**
+ * Score org + domain candidates together, boost org hits and keep the best
+ * `maxCtx` at or above the threshold. Candidates carry `layer` ('org'|'domain').
+ * Returns { snippets, relevant, reranker, scored } — `relevant` is false when
+ * candidates existed but none passed the threshold. `orgKey` selects the PII
+ * policy for rerankers that call an LLM, `charge` (req or { id, user }) who
+ * pays for those calls. A failing reranker falls back to the incoming order
+ * rather than failing the question.
+ */
+export async function rerank(question, candidates, {
+  reranker = RERANK_DEFAULTS.reranker,
+  orgBoost = RERANK_DEFAULTS.orgBoost,
+  threshold = RERANK_DEFAULTS.threshold,
+  concurrency = RERANK_DEFAULTS.concurrency,
+  timeoutMs = RERANK_DEFAULTS.timeoutMs,
+  maxCtx = 4,
+  orgKey = null,
+  charge = null
+} = {}) {
+  const fn = RERANKERS[reranker];
+  if (!fn) throw Object.assign(new Error(`reranker must be one of ${listRerankers().join('|')}`), { status: 400 });
+  if (!candidates.length) return { snippets: [], relevant: false, reranker, scored: 0 };
+
+  let scores = null;
+  let timer;
+  try {
+    scores = await Promise.race([
+      fn(question, candidates, { concurrency, orgKey, charge }),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs); })
+    ]);
+  } catch (e) {
+    console.warn(`[rerank] ${reranker} failed, keeping retrieval order: ${e?.message || e}`);
+    reranker = 'none';
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!scores) return { snippets: candidates.slice(0, maxCtx), relevant: true, reranker, scored: 0 };
+
+  const ranked = candidates
+    .map((c, i) => ({ ...c, relevance: scores[i] * (c.layer === 'org' ? orgBoost : 1) }))
+    .sort((a, b) => b.relevance - a.relevance);
+  const snippets = ranked.filter(c => c.relevance >= threshold).slice(0, maxCtx);
+  return { snippets, relevant: snippets.length > 0, reranker, scored: ranked.length };
+}
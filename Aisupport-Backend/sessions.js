@@ -0,0 +1,235 @@
+// sessions.js — login sessions: short-lived access tokens, rotating refresh tokens (stored hashed), revocation, password resets
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { pool } from './db.js';
+import { issueToken, hashPassword, getUserById, getUserByEmail } from './auth.js';
+import { getOrganization } from './organizations.js';
+import { clientIp } from './audit.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const REFRESH_TTL_DAYS = parseInt(P('REFRESH_TOKEN_DAYS', '30'), 10);   // sliding: every refresh extends it
+const RESET_TTL_MIN = parseInt(P('PASSWORD_RESET_TTL_MIN', '30'), 10);
+const PASSWORD_MIN_LENGTH = parseInt(P('PASSWORD_MIN_LENGTH', '8'), 10);
+const CACHE_MS = parseInt(P('SESSION_CACHE_MS', '15000'), 10);
+const SWEEP_MS = parseInt(P('SESSION_SWEEP_MS', String(24 * 60 * 60 * 1000)), 10); // daily
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+const fail = (msg, status = 401, extra = {}) => Object.assign(new Error(msg), { status, ...extra });
+
+// ----- tokens -----
+// New refresh token for a session; only its hash is stored
+async function issueRefreshToken(db, sessionId) {
+  const refresh = newSecret();
+  await db.query(`INSERT INTO refresh_tokens (token_hash, session_id) VALUES ($1, $2)`, [sha256(refresh), sessionId]);
+  return refresh;
+}
+
+function tokenPair(user, sessionId, refresh) {
+  const token = issueToken({ ...user, sid: sessionId });
+  const { exp, iat } = jwt.decode(token);
+  return { token, refresh_token: refresh, expires_in: exp - iat, session_id: sessionId };
+}
+
+// ----- sessions -----
+// sid -> { at, active }. A revocation on another backend instance is seen here within CACHE_MS.
+const cache = new Map();
+
+export async function startSession(user, req) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO auth_sessions (user_id, expires_at, ip, user_agent)
+       VALUES ($1, now() + make_interval(days => $2), $3, $4) RETURNING id`,
+      [user.id, REFRESH_TTL_DAYS, clientIp(req), String(req?.headers?.['user-agent'] || '').slice(0, 300) || null]
+    );
+    const refresh = await issueRefreshToken(client, rows[0].id);
+    await client.query('COMMIT');
+    return tokenPair(user, rows[0].id, refresh);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Trade a refresh token for a new access + refresh token (rotation). A refresh
+ * token that was already rotated is a sign it leaked: the whole session is
+ * revoked and the error carries `reuse: true`. Returns { ...tokens, user }.
+ */
+export async function refreshSession(refreshToken) {
+  if (!refreshToken) throw fail('refresh_token is required', 400);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT rt.used_at, s.id AS session_id, s.user_id, s.revoked_at, s.expires_at < now() AS expired
+       FROM refresh_tokens rt JOIN auth_sessions s ON s.id = rt.session_id
+       WHERE rt.token_hash=$1
+       FOR UPDATE OF rt, s`,
+      [sha256(refreshToken)]
+    );
+    const row = rows[0];
+    if (!row) throw fail('invalid refresh token');
+    if (row.revoked_at || row.expired) throw fail('session has ended, please log in again', 401, { sessionId: row.session_id, userId: row.user_id });
+    if (row.used_at) {
+      await revokeWhere(client, `id=$1`, [row.session_id], 'refresh token reused');
+      await client.query('COMMIT');
+      throw fail('refresh token was already used; session revoked', 401, { reuse: true, sessionId: row.session_id, userId: row.user_id });
+    }
+
+    const user = await getUserById(row.user_id);
+    const org = user && await getOrganization(user.org_key);
+    if (!org?.active) {
+      await revokeWhere(client, `id=$1`, [row.session_id], 'organization deactivated');
+      await client.query('COMMIT');
+      throw fail('organization is deactivated', 403, { sessionId: row.session_id, userId: row.user_id });
+    }
+
+    await client.query(`UPDATE refresh_tokens SET used_at=now() WHERE token_hash=$1`, [sha256(refreshToken)]);
+    await client.query(
+      `UPDATE auth_sessions SET last_used_at=now(), expires_at=now() + make_interval(days => $2) WHERE id=$1`,
+      [row.session_id, REFRESH_TTL_DAYS]
+    );
+    const refresh = await issueRefreshToken(client, row.session_id);
+    await client.query('COMMIT');
+    return { ...tokenPair(user, row.session_id, refresh), user };
+  } catch (e) {
+    await client.query('ROLLBACK'); // only a warning after the revoking COMMITs above
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Whether the session an access token belongs to is still open (requireAuth)
+export async function isSessionActive(sid) {
+  if (!sid) return false;
+  const hit = cache.get(sid);
+  if (hit && Date.now() - hit.at <= CACHE_MS) return hit.active;
+  const { rows } = await pool.query(
+    `SELECT revoked_at IS NULL AND expires_at > now() AS active FROM auth_sessions WHERE id=$1`, [sid]
+  );
+  const active = Boolean(rows[0]?.active);
+  cache.set(sid, { at: Date.now(), active });
+  return active;
+}
+
+async function revokeWhere(db, where, vals, reason) {
+  const { rows } = await db.query(
+    `UPDATE auth_sessions SET revoked_at=now(), revoked_reason=$${vals.length + 1}
+     WHERE ${where} AND revoked_at IS NULL RETURNING id, user_id`,
+    [...vals, reason]
+  );
+  for (const r of rows) cache.delete(r.id);
+  return rows;
+}
+
+// Logout: end the session of a refresh token (and with `all`, every session of its user). Returns { userId, sessionId } or null.
+export async function endSession(refreshToken, { all = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT s.id, s.user_id FROM refresh_tokens rt JOIN auth_sessions s ON s.id = rt.session_id WHERE rt.token_hash=$1`,
+    [sha256(refreshToken)]
+  );
+  if (!rows[0]) return null;
+  if (all) await revokeWhere(pool, `user_id=$1`, [rows[0].user_id], 'logout (all sessions)');
+  else await revokeWhere(pool, `id=$1`, [rows[0].id], 'logout');
+  return { userId: rows[0].user_id, sessionId: rows[0].id };
+}
+
+export async function revokeSession(sessionId, userId, reason) {
+  const rows = await revokeWhere(pool, `id=$1 AND user_id=$2`, [sessionId, userId], reason);
+  return rows.length > 0;
+}
+
+// Admin session kill, password change/reset: every open session of a user; returns how many were closed
+export async function revokeUserSessions(userId, reason) {
+  const rows = await revokeWhere(pool, `user_id=$1`, [userId], reason);
+  return rows.length;
+}
+
+export async function listSessions(userId) {
+  const { rows } = await pool.query(
+    `SELECT id, created_at, last_used_at, expires_at, ip, user_agent
+     FROM auth_sessions
+     WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > now()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+// ----- password reset -----
+/**
+ * Single-use reset token for `email`, valid RESET_TTL_MIN minutes; earlier unused
+ * tokens of that user stop working. Returns { user, token, expires_at }, or null
+ * when there is no (active) account or the org is SSO-only — callers must not reveal which.
+ */
+export async function createPasswordReset(email, req) {
+  const user = await getUserByEmail(email);
+  const org = user && await getOrganization(user.org_key);
+  if (!org?.active || org.settings?.password_login === false) return null;
+  const token = newSecret();
+  await pool.query(`DELETE FROM password_resets WHERE user_id=$1 AND used_at IS NULL`, [user.id]);
+  const { rows } = await pool.query(
+    `INSERT INTO password_resets (token_hash, user_id, expires_at, ip)
+     VALUES ($1, $2, now() + make_interval(mins => $3), $4) RETURNING expires_at`,
+    [sha256(token), user.id, RESET_TTL_MIN, clientIp(req)]
+  );
+  return { user, token, expires_at: rows[0].expires_at };
+}
+
+// Set the new password and close all of the user's sessions; returns the user
+export async function consumePasswordReset(token, password) {
+  if (!token) throw fail('token is required', 400);
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw fail(`password must be at least ${PASSWORD_MIN_LENGTH} characters`, 400);
+  }
+  const passwordHash = await hashPassword(password);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE password_resets SET used_at=now()
+       WHERE token_hash=$1 AND used_at IS NULL AND expires_at > now()
+       RETURNING user_id`,
+      [sha256(token)]
+    );
+    if (!rows[0]) throw fail('invalid or expired reset token', 400);
+    const { rows: users } = await client.query(
+      `UPDATE users SET password_hash=$2, updated_at=now() WHERE id=$1 RETURNING id, email, role, org_key`,
+      [rows[0].user_id, passwordHash]
+    );
+    await revokeWhere(client, `user_id=$1`, [rows[0].user_id], 'password reset');
+    await client.query('COMMIT');
+    return users[0];
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// ----- cleanup -----
+// Sessions ended more than REFRESH_TTL_DAYS ago (with their refresh tokens) and old reset tokens
+export async function purgeEndedSessions() {
+  const { rowCount } = await pool.query(
+    `DELETE FROM auth_sessions
+     WHERE COALESCE(revoked_at, expires_at) < now() - make_interval(days => $1)`,
+    [REFRESH_TTL_DAYS]
+  );
+  await pool.query(`DELETE FROM password_resets WHERE expires_at < now() - interval '1 day'`);
+  if (rowCount) console.log(`[sessions] purged ${rowCount} ended session(s)`);
+  return rowCount;
+}
+
+export function startSessionSweeper() {
+  const sweep = () => purgeEndedSessions().catch(e => console.error('[sessions] sweep failed', e));
+  sweep();
+  setInterval(sweep, SWEEP_MS).unref();
+}
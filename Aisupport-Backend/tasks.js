@@ -0,0 +1,134 @@
+// tasks.js — follow-up tasks for the service desk (Takenlijst), linked to tickets, users and orgs
+import { pool } from './db.js';
+import { getUserById } from './auth.js';
+
+export const TASK_STATUSES = ['open', 'in_progress', 'done'];
+
+const TASK_SELECT = `
+  SELECT t.id, t.org_key, t.ticket_id, t.title, t.description, t.status, t.assignee_id, t.due_date,
+         t.created_by, t.created_at, t.updated_at, t.completed_at,
+         u.email AS assignee_email, tk.subject AS ticket_subject,
+         (SELECT count(*)::int FROM task_comments c WHERE c.task_id = t.id) AS comment_count
+  FROM tasks t
+  LEFT JOIN users u ON u.id = t.assignee_id
+  LEFT JOIN tickets tk ON tk.id = t.ticket_id`;
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+/**
+ * Check user-supplied task fields; returns the normalised subset that was given.
+ * An assignee has to belong to the task's org.
+ */
+export async function validateTaskFields(fields, orgKey) {
+  const out = {};
+  if (fields.title !== undefined) {
+    out.title = String(fields.title || '').trim().slice(0, 500);
+    if (!out.title) throw badRequest('title is required');
+  }
+  if (fields.description !== undefined) out.description = fields.description ? String(fields.description) : null;
+  if (fields.status !== undefined) {
+    if (!TASK_STATUSES.includes(fields.status)) throw badRequest(`status must be one of ${TASK_STATUSES.join('|')}`);
+    out.status = fields.status;
+  }
+  if (fields.due_date !== undefined) {
+    if (fields.due_date && !/^\d{4}-\d{2}-\d{2}$/.test(fields.due_date)) throw badRequest('due_date must be YYYY-MM-DD');
+    out.due_date = fields.due_date || null;
+  }
+  if (fields.assignee_id !== undefined) {
+    if (fields.assignee_id) {
+      const user = await getUserById(fields.assignee_id).catch(() => null);
+      if (!user || user.org_key !== orgKey) throw badRequest('assignee must be a user of the same organization');
+    }
+    out.assignee_id = fields.assignee_id || null;
+  }
+  return out;
+}
+
+// ----- queries -----
+// `scopeOrg` = that org's tasks; `assigneeId` = tasks of one user; `unassigned` = nobody's yet
+export async function listTasks({ scopeOrg, assigneeId, unassigned, status, ticketId, limit = 200 } = {}) {
+  const where = [];
+  const vals = [];
+  if (scopeOrg)   { vals.push(scopeOrg);   where.push(`t.org_key=$${vals.length}`); }
+  if (assigneeId) { vals.push(assigneeId); where.push(`t.assignee_id=$${vals.length}`); }
+  if (unassigned) where.push(`t.assignee_id IS NULL`);
+  if (status)     { vals.push(status);     where.push(`t.status=$${vals.length}`); }
+  if (ticketId)   { vals.push(ticketId);   where.push(`t.ticket_id=$${vals.length}`); }
+  vals.push(Math.min(parseInt(limit, 10) || 200, 1000));
+  const { rows } = await pool.query(
+    `${TASK_SELECT}
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY (t.status = 'done'), t.due_date NULLS LAST, t.created_at DESC
+     LIMIT $${vals.length}`,
+    vals
+  );
+  return rows;
+}
+
+export async function getTask(id) {
+  const { rows } = await pool.query(`${TASK_SELECT} WHERE t.id=$1`, [id]);
+  return rows[0] || null;
+}
+
+export async function getTaskComments(taskId) {
+  const { rows } = await pool.query(
+    `SELECT c.id, c.user_id, u.email AS user_email, c.body, c.created_at
+     FROM task_comments c LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.task_id=$1
+     ORDER BY c.created_at`,
+    [taskId]
+  );
+  return rows;
+}
+
+// ----- changes -----
+export async function createTask({ orgKey, ticketId = null, title, description = null, status = 'open', assigneeId = null, dueDate = null, createdBy = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO tasks (org_key, ticket_id, title, description, status, assignee_id, due_date, created_by, completed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $5 = 'done' THEN now() END)
+     RETURNING id`,
+    [orgKey, ticketId, title, description, status, assigneeId, dueDate, createdBy]
+  );
+  return getTask(rows[0].id);
+}
+
+// `fields` comes from validateTaskFields(); completed_at follows the status
+export async function updateTask(id, fields) {
+  const cols = Object.keys(fields);
+  if (!cols.length) return getTask(id);
+  const sets = cols.map((c, i) => `${c}=$${i + 2}`);
+  if (fields.status) sets.push(`completed_at = CASE WHEN $${cols.indexOf('status') + 2} = 'done' THEN COALESCE(completed_at, now()) END`);
+  const { rowCount } = await pool.query(
+    `UPDATE tasks SET ${sets.join(', ')}, updated_at=now() WHERE id=$1`,
+    [id, ...cols.map(c => fields[c])]
+  );
+  return rowCount ? getTask(id) : null;
+}
+
+export async function deleteTask(id) {
+  const { rowCount } = await pool.query(`DELETE FROM tasks WHERE id=$1`, [id]);
+  return rowCount > 0;
+}
+
+export async function addTaskComment(taskId, { userId, body }) {
+  const { rows } = await pool.query(
+    `INSERT INTO task_comments (task_id, user_id, body) VALUES ($1, $2, $3) RETURNING id, task_id, user_id, body, created_at`,
+    [taskId, userId, body]
+  );
+  await pool.query(`UPDATE tasks SET updated_at=now() WHERE id=$1`, [taskId]);
+  return rows[0];
+}
+
+// "Accepteer alle taken": one task per suggestion; suggestions that already became a task are skipped
+export async function createTasksFromTicket(ticket, { assigneeId = null, dueDate = null, createdBy = null } = {}) {
+  const titles = [...new Set((ticket.suggested_tasks || []).map(t => String(t).trim().slice(0, 500)).filter(Boolean))];
+  if (titles.length) {
+    await pool.query(
+      `INSERT INTO tasks (org_key, ticket_id, title, assignee_id, due_date, created_by)
+       SELECT $1, $2, title, $4, $5, $6 FROM unnest($3::text[]) AS title
+       ON CONFLICT (ticket_id, title) WHERE ticket_id IS NOT NULL DO NOTHING`,
+      [ticket.org_key, ticket.id, titles, assigneeId, dueDate, createdBy]
+    );
+  }
+  return listTasks({ ticketId: ticket.id });
+}
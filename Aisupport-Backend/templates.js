@@ -0,0 +1,127 @@
+// templates.js — versioned answer prompt templates per org, with a domain default
+import { pool } from './db.js';
+import { DEFAULT_PROMPT_TEMPLATE, PROMPT_VARIABLES, templateVariables } from './prompt.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const CACHE_MS      = parseInt(P('PROMPT_TEMPLATE_CACHE_MS', '15000'), 10);
+const MAX_BODY_SIZE = 20000;
+
+const TEMPLATE_COLUMNS = `id, org_key, version, body, note, active, created_by, created_at, activated_at`;
+
+// org_key ('' = domain default) -> { at, template }
+const cache = new Map();
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+// A template has to place the context and the question somewhere, and may only use known variables
+export function validateTemplateBody(body) {
+  const text = String(body || '').trim();
+  if (!text) throw badRequest('body is required');
+  if (text.length > MAX_BODY_SIZE) throw badRequest(`body is longer than ${MAX_BODY_SIZE} characters`);
+  const used = templateVariables(text);
+  const unknown = used.filter(v => !PROMPT_VARIABLES[v]);
+  if (unknown.length) throw badRequest(`unknown variable(s): ${unknown.map(v => `{{${v}}}`).join(', ')}`);
+  for (const required of ['context', 'question']) {
+    if (!used.includes(required)) throw badRequest(`template must contain {{${required}}}`);
+  }
+  return text;
+}
+
+// ----- queries -----
+/**
+ * The template /ask uses for `orgKey`: the org's active version, else the active
+ * domain default, else the built-in one. `source` says which ('org'|'domain'|'builtin').
+ */
+export async function getActiveTemplate(orgKey) {
+  const key = orgKey || '';
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at <= CACHE_MS) return hit.template;
+
+  const { rows } = await pool.query(
+    `SELECT ${TEMPLATE_COLUMNS} FROM prompt_templates
+     WHERE active AND (org_key = $1 OR org_key IS NULL)
+     ORDER BY org_key NULLS LAST
+     LIMIT 1`,
+    [orgKey || null]
+  );
+  const template = rows[0]
+    ? { ...rows[0], source: rows[0].org_key ? 'org' : 'domain' }
+    : { id: null, org_key: null, version: 0, body: DEFAULT_PROMPT_TEMPLATE, source: 'builtin' };
+  cache.set(key, { at: Date.now(), template });
+  return template;
+}
+
+// All versions of one org's templates (orgKey null = the domain default), newest first
+export async function listTemplates(orgKey) {
+  const { rows } = await pool.query(
+    `SELECT t.${TEMPLATE_COLUMNS.split(',').map(c => c.trim()).join(', t.')}, u.email AS created_by_email
+     FROM prompt_templates t LEFT JOIN users u ON u.id = t.created_by
+     WHERE t.org_key IS NOT DISTINCT FROM $1
+     ORDER BY t.version DESC`,
+    [orgKey || null]
+  );
+  return rows;
+}
+
+export async function getTemplate(id) {
+  const { rows } = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM prompt_templates WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+
+// ----- changes -----
+// Switch the live version of the template's org; used for publishing and for rollback
+async function activateIn(client, orgKey, id) {
+  await client.query(
+    `UPDATE prompt_templates SET active=false WHERE active AND org_key IS NOT DISTINCT FROM $1`,
+    [orgKey]
+  );
+  if (id) await client.query(`UPDATE prompt_templates SET active=true, activated_at=now() WHERE id=$1`, [id]);
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    return out;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+    cache.clear();
+  }
+}
+
+// New version for `orgKey` (null = domain default); live right away unless activate=false
+export async function createTemplate({ orgKey = null, body, note = null, createdBy = null, activate = true }) {
+  const text = validateTemplateBody(body);
+  const id = await inTransaction(async (client) => {
+    // serialise version numbering per org
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('prompt_templates:' || $1))`, [orgKey || '']);
+    const { rows } = await client.query(
+      `INSERT INTO prompt_templates (org_key, version, body, note, created_by)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4
+       FROM prompt_templates WHERE org_key IS NOT DISTINCT FROM $1
+       RETURNING id`,
+      [orgKey, text, note ? String(note).slice(0, 500) : null, createdBy]
+    );
+    if (activate) await activateIn(client, orgKey, rows[0].id);
+    return rows[0].id;
+  });
+  return getTemplate(id);
+}
+
+export async function activateTemplate(id) {
+  const template = await getTemplate(id);
+  if (!template) return null;
+  await inTransaction(client => activateIn(client, template.org_key, template.id));
+  return getTemplate(id);
+}
+
+// No live org version any more: the org falls back to the domain default (or the built-in one)
+export async function deactivateTemplates(orgKey) {
+  await inTransaction(client => activateIn(client, orgKey || null, null));
+}
@@ -0,0 +1,46 @@
+// helpers.js — shared by the route tests: a fake database behind pool.query and signed-in users
+import { randomUUID } from 'crypto';
+import { mock } from 'node:test';
+import { pool } from '../db.js';
+import { issueToken } from '../auth.js';
+
+/**
+ * Replace pool.query (and pool.connect, for transactions) for the rest of the test file.
+ * `handlers` is a list of [regex on the SQL, (params, sql) => rows]; the first match answers,
+ * anything else gets no rows. Every query is recorded in the returned `calls`.
+ */
+export function fakeDatabase(handlers = []) {
+  const calls = [];
+  const query = async (sql, params = []) => {
+    const text = typeof sql === 'string' ? sql : sql.text;
+    calls.push({ sql: text, params });
+    for (const [re, fn] of [...handlers, ...BASE_HANDLERS]) {
+      if (re.test(text)) {
+        const rows = (await fn(params, text)) || [];
+        return { rows, rowCount: rows.length };
+      }
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  mock.method(pool, 'query', query);
+  mock.method(pool, 'connect', async () => ({ query, release() {} }));
+  return calls;
+}
+
+// what every authenticated request needs: a live session and an empty usage month
+const BASE_HANDLERS = [
+  [/FROM auth_sessions WHERE id=/, () => [{ active: true }]],
+  [/FROM llm_usage/, () => [{ requests: 0, tokens: 0 }]],
+];
+
+export function userToken({ role = 'agent', org_key = 'RZH', email = `${role}@${org_key.toLowerCase()}.test` } = {}) {
+  const user = { id: randomUUID(), email, role, org_key, provider: 'OLLAMA', sid: randomUUID() };
+  return { user, token: issueToken(user) };
+}
+
+// `app` on a free port -> { url, close }
+export async function listen(app) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
@@ -0,0 +1,148 @@
+// llm.test.js — fallback chain, Retry-After and the circuit breaker against a stub provider server
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { generateLLM, llmStatus } from '../llm.js';
+
+// path -> (req, res, body) => void; every provider points at its own path of one server
+let handlers = {};
+let hits = {};
+let server;
+
+function reply(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+const chatAnswer = (content) => ({ choices: [{ message: { content } }], usage: { prompt_tokens: 7, completion_tokens: 3 } });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const handler = handlers[req.url];
+    if (!handler) return reply(res, 404, { error: 'no handler' });
+    handler(req, res, JSON.parse(raw || '{}'));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    OLLAMA_URL: `${base}/ollama`,
+    GROQ_URL: `${base}/groq`, GROQ_API_KEY: 'test',
+    OPENAI_URL: `${base}/openai`, OPENAI_API_KEY: 'test',
+    MISTRAL_URL: `${base}/mistral`, MISTRAL_API_KEY: 'test',
+  });
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  handlers = {};
+  hits = {};
+  Object.assign(process.env, {
+    LLM_FALLBACK: '',
+    LLM_RETRIES: '0',
+    LLM_RETRY_BASE_MS: '10',
+    LLM_RETRY_MAX_MS: '5000',
+    LLM_BREAKER_THRESHOLD: '5',
+    LLM_BREAKER_COOLDOWN_MS: '30000',
+  });
+});
+
+const ask = (provider, route = {}) => generateLLM({ provider, model: 'm', prompt: 'hallo', timeoutMs: 5000, route });
+const circuit = (key) => llmStatus().providers.find(p => p.key === key).circuit;
+
+test('falls back to the next provider in LLM_FALLBACK when the requested one fails', async () => {
+  process.env.LLM_FALLBACK = 'GROQ,OPENAI';
+  handlers['/mistral'] = (req, res) => reply(res, 503, { error: 'overloaded' });
+  handlers['/groq'] = (req, res) => reply(res, 500, { error: 'boom' });
+  handlers['/openai'] = (req, res, body) => {
+    assert.equal(body.model, 'gpt-4o-mini'); // a fallback runs with its own default model
+    reply(res, 200, chatAnswer('van openai'));
+  };
+
+  const route = {};
+  assert.equal(await ask('MISTRAL', route), 'van openai');
+  assert.equal(route.provider, 'OPENAI');
+  assert.equal(route.fallback, true);
+  assert.deepEqual(route.usage, { prompt_tokens: 7, completion_tokens: 3, estimated: false });
+  assert.deepEqual(route.attempts.map(a => [a.provider, a.ok, a.status]), [['MISTRAL', false, 503], ['GROQ', false, 500], ['OPENAI', true, undefined]]);
+});
+
+test('does not retry a 4xx about the request itself, but still falls back', async () => {
+  process.env.LLM_FALLBACK = 'OPENAI';
+  process.env.LLM_RETRIES = '2';
+  handlers['/groq'] = (req, res) => reply(res, 400, { error: 'bad request' });
+  handlers['/openai'] = (req, res) => reply(res, 200, chatAnswer('van openai'));
+
+  assert.equal(await ask('GROQ'), 'van openai');
+  assert.equal(hits['/groq'], 1);
+});
+
+test('waits for Retry-After before retrying a 429', async () => {
+  process.env.LLM_RETRIES = '1';
+  let calls = 0;
+  handlers['/groq'] = (req, res) => (++calls === 1
+    ? reply(res, 429, { error: 'slow down' }, { 'Retry-After': '0.4' })
+    : reply(res, 200, chatAnswer('na het wachten')));
+
+  const t0 = Date.now();
+  const route = {};
+  assert.equal(await ask('GROQ', route), 'na het wachten');
+  assert.ok(Date.now() - t0 >= 380, `retried after ${Date.now() - t0}ms, Retry-After asked for 400ms`);
+  assert.equal(hits['/groq'], 2);
+  assert.equal(route.fallback, false);
+});
+
+test('Retry-After is capped at LLM_RETRY_MAX_MS', async () => {
+  process.env.LLM_RETRIES = '1';
+  process.env.LLM_RETRY_MAX_MS = '50';
+  let calls = 0;
+  handlers['/groq'] = (req, res) => (++calls === 1
+    ? reply(res, 429, {}, { 'Retry-After': '60' })
+    : reply(res, 200, chatAnswer('ok')));
+
+  const t0 = Date.now();
+  assert.equal(await ask('GROQ'), 'ok');
+  assert.ok(Date.now() - t0 < 2000);
+});
+
+test('the circuit opens after LLM_BREAKER_THRESHOLD failures and skips the provider', async () => {
+  process.env.LLM_BREAKER_THRESHOLD = '2';
+  handlers['/ollama/api/generate'] = (req, res) => reply(res, 500, { error: 'down' });
+
+  for (let i = 0; i < 2; i++) await assert.rejects(ask('OLLAMA'), { status: 503 });
+  assert.equal(circuit('OLLAMA'), 'open');
+
+  const route = {};
+  await assert.rejects(ask('OLLAMA', route), { status: 503 });
+  assert.equal(hits['/ollama/api/generate'], 2); // the third call never reached the provider
+  assert.equal(route.attempts[0].skipped, 'circuit open');
+});
+
+test('half-open: one trial request; a failure re-opens, a success closes the circuit', async () => {
+  process.env.LLM_BREAKER_THRESHOLD = '1';
+  process.env.LLM_BREAKER_COOLDOWN_MS = '150';
+  handlers['/openai'] = (req, res) => reply(res, 502, { error: 'bad gateway' });
+
+  await assert.rejects(ask('OPENAI'), { status: 503 });
+  assert.equal(circuit('OPENAI'), 'open');
+  await sleep(200);
+  assert.equal(circuit('OPENAI'), 'half-open');
+
+  // failed trial: straight back to open
+  await assert.rejects(ask('OPENAI'), { status: 503 });
+  assert.equal(hits['/openai'], 2);
+  assert.equal(circuit('OPENAI'), 'open');
+  await sleep(200);
+
+  // successful trial: only one request goes through while it runs, then the circuit closes
+  handlers['/openai'] = (req, res) => setTimeout(() => reply(res, 200, chatAnswer('weer op')), 100);
+  const [trial, other] = await Promise.allSettled([ask('OPENAI'), ask('OPENAI')]);
+  assert.equal(trial.value, 'weer op');
+  assert.equal(other.status, 'rejected');
+  assert.equal(other.reason.route.attempts[0].skipped, 'circuit open');
+  assert.equal(hits['/openai'], 3);
+  assert.equal(circuit('OPENAI'), 'closed');
+  assert.equal(await ask('OPENAI'), 'weer op');
+});
@@ -0,0 +1,241 @@
+// oidc.test.js — SSO login against a mock identity provider: PKCE, state, nonce, JIT provisioning, group roles
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import { beginLogin, completeLogin, mapRole } from '../oidc.js';
+import { fakeDatabase } from './helpers.js';
+
+const REDIRECT_URI = 'https://lara.test/auth/oidc/callback';
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+// ----- mock identity provider: discovery, JWKS, token endpoint -----
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map(); // code -> { challenge, nonce, redirect_uri, client_id, claims }
+let idp;
+let issuer;
+
+function idToken(claims, { key = privateKey, ...opts } = {}) {
+  return jwt.sign(claims, key, { algorithm: 'RS256', keyid: 'k1', issuer, audience: 'lara', expiresIn: '5m', ...opts });
+}
+
+before(async () => {
+  idp = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const json = (status, body) => { res.writeHead(status, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(body)); };
+    if (req.url === '/.well-known/openid-configuration') {
+      return json(200, { issuer, authorization_endpoint: `${issuer}/authorize`, token_endpoint: `${issuer}/token`, jwks_uri: `${issuer}/jwks` });
+    }
+    if (req.url === '/jwks') return json(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig', alg: 'RS256' }] });
+    if (req.url === '/token') {
+      const form = new URLSearchParams(raw);
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+      if (!grant || form.get('grant_type') !== 'authorization_code' || form.get('redirect_uri') !== grant.redirect_uri) {
+        return json(400, { error: 'invalid_grant' });
+      }
+      if (form.get('client_id') !== 'lara' || form.get('client_secret') !== 'geheim') return json(401, { error: 'invalid_client' });
+      const challenge = b64url(crypto.createHash('sha256').update(form.get('code_verifier') || '').digest());
+      if (challenge !== grant.challenge) return json(400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      return json(200, { access_token: 'at', token_type: 'Bearer', id_token: grant.idToken || idToken({ nonce: grant.nonce, ...grant.claims }) });
+    }
+    json(404, {});
+  });
+  await new Promise(resolve => idp.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${idp.address().port}`;
+});
+after(() => new Promise(resolve => idp.close(resolve)));
+
+// The browser's trip to the IdP: the user signs in and the IdP hands out a code for these claims
+function authorize(authUrl, claims, { nonce, idToken } = {}) {
+  const params = new URL(authUrl).searchParams;
+  const code = b64url(crypto.randomBytes(16));
+  codes.set(code, {
+    challenge: params.get('code_challenge'), nonce: nonce ?? params.get('nonce'), redirect_uri: params.get('redirect_uri'),
+    claims: { sub: crypto.randomUUID(), email_verified: true, ...claims }, idToken
+  });
+  return { code, state: params.get('state') };
+}
+
+// ----- the database behind oidc.js, as plain objects -----
+// returned as the same object every time, so oidc.js's config cache sees the changes of a test
+const config = {};
+let logins, users, identities, calls;
+
+beforeEach(() => {
+  Object.assign(config, {
+    org_key: 'RZH', enabled: true, issuer, client_id: 'lara', client_secret: 'geheim', scopes: 'openid email profile',
+    email_claim: 'email', groups_claim: 'groups', role_map: {}, default_role: 'agent', link_existing: false
+  });
+  logins = new Map();
+  users = [];
+  identities = new Map();
+  calls = fakeDatabase([
+    [/FROM oidc_providers WHERE org_key=/, () => [config]],
+    [/FROM organizations WHERE key=/, ([key]) => [{ key, label: key, active: true, settings: {} }]],
+    [/INSERT INTO oidc_logins/, ([state, org_key, code_verifier, nonce]) => { logins.set(state, { org_key, code_verifier, nonce }); }],
+    [/UPDATE oidc_logins SET completed_at/, ([state]) => {
+      const login = logins.get(state);
+      if (!login || login.completed) return [];
+      login.completed = true;
+      return [login];
+    }],
+    [/UPDATE oidc_logins SET user_id/, ([state, userId]) => { logins.get(state).user_id = userId; }],
+    [/DELETE FROM oidc_logins WHERE state=/, ([state]) => { logins.delete(state); }],
+    [/FROM user_identities i JOIN users/, ([iss, sub]) => users.filter(u => u.id === identities.get(`${iss}|${sub}`))],
+    [/FROM users WHERE lower\(email\)/, ([email]) => users.filter(u => u.email.toLowerCase() === email)],
+    [/INSERT INTO users/, ([email, role, org_key, provider]) => {
+      const user = { id: crypto.randomUUID(), email, password_hash: null, role, org_key, provider };
+      users.push(user);
+      return [user];
+    }],
+    [/UPDATE users SET role=/, ([id, role]) => {
+      const user = users.find(u => u.id === id);
+      user.role = role;
+      return [user];
+    }],
+    [/INSERT INTO user_identities/, ([iss, sub, userId]) => { identities.set(`${iss}|${sub}`, userId); }],
+  ]);
+});
+
+async function login(claims, opts) {
+  const url = await beginLogin('RZH', REDIRECT_URI);
+  const { code, state } = authorize(url, claims, opts);
+  return completeLogin({ state, code, redirectUri: REDIRECT_URI });
+}
+const passwordUser = (fields) => {
+  const user = { id: crypto.randomUUID(), password_hash: 'bcrypt', provider: 'OLLAMA', org_key: 'RZH', ...fields };
+  users.push(user);
+  return user;
+};
+
+test('beginLogin sends an S256 PKCE challenge, state and nonce to the IdP', async () => {
+  const url = new URL(await beginLogin('RZH', REDIRECT_URI));
+  const p = url.searchParams;
+  assert.equal(`${url.origin}${url.pathname}`, `${issuer}/authorize`);
+  assert.equal(p.get('client_id'), 'lara');
+  assert.equal(p.get('redirect_uri'), REDIRECT_URI);
+  assert.equal(p.get('code_challenge_method'), 'S256');
+
+  const stored = logins.get(p.get('state'));
+  assert.equal(stored.nonce, p.get('nonce'));
+  assert.equal(p.get('code_challenge'), b64url(crypto.createHash('sha256').update(stored.code_verifier).digest()));
+  assert.ok(!url.toString().includes(stored.code_verifier), 'the verifier never leaves the server');
+});
+
+test('first login provisions the user just in time, without a password', async () => {
+  const { user, created, handoff } = await login({ email: 'Anna@RZH.test' });
+  assert.equal(created, true);
+  assert.equal(user.email, 'anna@rzh.test');
+  assert.equal(user.org_key, 'RZH');
+  assert.equal(user.role, 'agent'); // default_role
+  assert.equal(user.password_hash, undefined);
+  assert.equal(users[0].password_hash, null);
+  assert.ok(handoff);
+
+  // the next login finds the same user through the identity, not the e-mail
+  const [identity] = identities.keys();
+  const [, sub] = identity.split('|');
+  const again = await login({ sub, email: 'anna.renamed@rzh.test' });
+  assert.equal(again.created, false);
+  assert.equal(again.user.id, user.id);
+});
+
+test('groups map to the most privileged role; role_map changes follow on the next login', async () => {
+  config.role_map = { 'lara-admins': 'org-admin', 'lara-editors': 'kb-editor', 'everyone': 'viewer', 'root': 'super-admin' };
+  const sub = crypto.randomUUID();
+
+  const first = await login({ sub, email: 'bo@rzh.test', groups: ['everyone', 'lara-admins', 'lara-editors'] });
+  assert.equal(first.user.role, 'org-admin');
+
+  const second = await login({ sub, email: 'bo@rzh.test', groups: ['everyone'] });
+  assert.equal(second.user.role, 'viewer');
+  assert.deepEqual(second.roleChange, { from: 'org-admin', to: 'viewer' });
+
+  // an IdP group can never make someone a super-admin
+  assert.equal(mapRole(config, ['root']), 'agent');
+});
+
+test('users in no mapped group are refused when there is no default role', async () => {
+  config.role_map = { 'lara-admins': 'org-admin' };
+  config.default_role = null;
+  await assert.rejects(login({ email: 'cor@rzh.test', groups: ['sales'] }), { status: 403 });
+  assert.equal(users.length, 0);
+});
+
+test('a code redeemed without the matching PKCE verifier is refused', async () => {
+  const url = await beginLogin('RZH', REDIRECT_URI);
+  const { code, state } = authorize(url, { email: 'dirk@rzh.test' });
+  logins.get(state).code_verifier = b64url(crypto.randomBytes(32)); // someone else's login attempt
+
+  await assert.rejects(completeLogin({ state, code, redirectUri: REDIRECT_URI }), { status: 502, message: /PKCE verification failed/ });
+  assert.equal(users.length, 0);
+});
+
+test('an unknown or already used state is refused', async () => {
+  const url = await beginLogin('RZH', REDIRECT_URI);
+  const { code, state } = authorize(url, { email: 'eva@rzh.test' });
+
+  await assert.rejects(completeLogin({ state: 'forged', code, redirectUri: REDIRECT_URI }), { status: 400 });
+  await completeLogin({ state, code, redirectUri: REDIRECT_URI });
+  await assert.rejects(completeLogin({ state, code, redirectUri: REDIRECT_URI }), { status: 400, message: /already used/ });
+});
+
+test('an id_token with another nonce is refused', async () => {
+  await assert.rejects(login({ email: 'fien@rzh.test' }, { nonce: 'replayed-nonce' }), { status: 401, message: /nonce mismatch/ });
+  assert.equal(users.length, 0);
+});
+
+test('an id_token not signed by the IdP or for another client is refused', async () => {
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const forge = (claims, opts) => ({ idToken: idToken({ sub: 'x', email: 'gijs@rzh.test', ...claims }, opts) });
+
+  const url = await beginLogin('RZH', REDIRECT_URI);
+  const nonce = new URL(url).searchParams.get('nonce');
+  const signedElsewhere = authorize(url, {}, forge({ nonce }, { key: otherKey }));
+  await assert.rejects(completeLogin({ ...signedElsewhere, redirectUri: REDIRECT_URI }), { status: 401 });
+
+  const url2 = await beginLogin('RZH', REDIRECT_URI);
+  const nonce2 = new URL(url2).searchParams.get('nonce');
+  const otherClient = authorize(url2, {}, forge({ nonce: nonce2 }, { audience: 'another-app' }));
+  await assert.rejects(completeLogin({ ...otherClient, redirectUri: REDIRECT_URI }), { status: 401 });
+});
+
+test('an existing password account is not taken over by default', async () => {
+  const existing = passwordUser({ email: 'hans@rzh.test', role: 'org-admin' });
+  await assert.rejects(login({ email: 'hans@rzh.test' }), { status: 409 });
+  assert.equal(identities.size, 0);
+  assert.equal(existing.role, 'org-admin');
+});
+
+test('with link_existing, only a verified e-mail links an existing account', async () => {
+  config.link_existing = true;
+  const existing = passwordUser({ email: 'ida@rzh.test', role: 'agent' });
+
+  await assert.rejects(login({ email: 'ida@rzh.test', email_verified: false }), { status: 409 });
+  await assert.rejects(login({ email: 'ida@rzh.test', email_verified: 'true' }), { status: 409 });
+  assert.equal(identities.size, 0);
+
+  const { user, created } = await login({ email: 'ida@rzh.test', email_verified: true });
+  assert.equal(created, false);
+  assert.equal(user.id, existing.id);
+});
+
+test('super-admins never sign in through an org IdP', async () => {
+  config.link_existing = true;
+  const admin = passwordUser({ email: 'root@rzh.test', role: 'super-admin' });
+  await assert.rejects(login({ email: 'root@rzh.test' }), { status: 403 });
+
+  // not even with an identity that was linked before
+  identities.set(`${issuer}|known-sub`, admin.id);
+  await assert.rejects(login({ sub: 'known-sub', email: 'root@rzh.test' }), { status: 403 });
+  assert.equal(calls.filter(c => /UPDATE oidc_logins SET user_id/.test(c.sql)).length, 0);
+});
+
+test('an account in another org is refused', async () => {
+  config.link_existing = true;
+  passwordUser({ email: 'jan@mmm.test', org_key: 'MMM', role: 'agent' });
+  await assert.rejects(login({ email: 'jan@mmm.test' }), { status: 409, message: /another organization/ });
+});
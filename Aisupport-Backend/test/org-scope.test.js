@@ -0,0 +1,160 @@
+// org-scope.test.js — tenants only ever search and write their own org's knowledge base
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOrgKey } from '../auth.js';
+import { can } from '../permissions.js';
+import { app } from '../index.js';
+import { fakeDatabase, userToken, listen } from './helpers.js';
+
+const QUESTION = 'Hoe reset ik het wachtwoord van de printer K22332A?';
+
+// every kb_org search of the request, as the org ids it was filtered on
+const orgSearches = (calls) => calls.filter(c => /FROM kb_org/.test(c.sql)).map(c => c.params.find(p => p === 'RZH' || p === 'MMM'));
+
+let server;
+before(async () => { server = await listen(app); });
+after(() => server.close());
+
+async function post(path, { token, body, headers = {} }) {
+  const res = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, ...(body instanceof FormData ? {} : { 'Content-Type': 'application/json' }), ...headers },
+    body: body instanceof FormData ? body : JSON.stringify(body)
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+test('resolveOrgKey keeps everyone but super-admins in their own org', () => {
+  const agent = { role: 'agent', org_key: 'RZH' };
+  const orgAdmin = { role: 'org-admin', org_key: 'RZH' };
+  const superAdmin = { role: 'super-admin', org_key: 'MMM' };
+
+  assert.deepEqual(resolveOrgKey(agent, undefined), { orgKey: 'RZH' });
+  assert.deepEqual(resolveOrgKey(agent, 'RZH'), { orgKey: 'RZH' });
+  assert.equal(resolveOrgKey(agent, 'MMM').status, 403);
+  assert.equal(resolveOrgKey(orgAdmin, 'MMM').status, 403);
+  assert.equal(resolveOrgKey({ role: 'admin', org_key: 'RZH' }, 'MMM').status, 403); // legacy role name
+
+  assert.deepEqual(resolveOrgKey(superAdmin, undefined), { orgKey: 'MMM' });
+  assert.deepEqual(resolveOrgKey(superAdmin, 'RZH'), { orgKey: 'RZH' });
+});
+
+test('/ask searches only the caller\'s org', async () => {
+  const calls = fakeDatabase();
+  const { token } = userToken({ role: 'agent', org_key: 'RZH' });
+
+  const res = await post('/ask', { token, body: { question: QUESTION, retrieval: 'lexical', reranker: 'none' } });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(orgSearches(calls), ['RZH']);
+});
+
+test('/ask refuses another org\'s org_id without searching', async () => {
+  const calls = fakeDatabase();
+  const { token } = userToken({ role: 'org-admin', org_key: 'RZH' });
+
+  const res = await post('/ask', { token, body: { question: QUESTION, org_id: 'MMM', retrieval: 'lexical', reranker: 'none' } });
+  assert.equal(res.status, 403);
+  assert.deepEqual(orgSearches(calls), []);
+});
+
+test('/ask lets a super-admin search another org', async () => {
+  const calls = fakeDatabase();
+  const { token } = userToken({ role: 'super-admin', org_key: 'RZH' });
+
+  const res = await post('/ask', { token, body: { question: QUESTION, org_id: 'MMM', retrieval: 'lexical', reranker: 'none' } });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(orgSearches(calls), ['MMM']);
+});
+
+test('/ask/stream searches only the caller\'s org', async () => {
+  const calls = fakeDatabase();
+  const { token } = userToken({ role: 'agent', org_key: 'RZH' });
+
+  const res = await post('/ask/stream', { token, body: { question: QUESTION, retrieval: 'lexical', reranker: 'none' } });
+  assert.equal(res.status, 200);
+  assert.match(res.text, /event: done/);
+  assert.deepEqual(orgSearches(calls), ['RZH']);
+});
+
+test('/ask/stream refuses another org\'s org_id before streaming', async () => {
+  const calls = fakeDatabase();
+  const { token } = userToken({ role: 'agent', org_key: 'RZH' });
+
+  const res = await post('/ask/stream', { token, body: { question: QUESTION, org_id: 'MMM', retrieval: 'lexical', reranker: 'none' } });
+  assert.equal(res.status, 403);
+  assert.deepEqual(orgSearches(calls), []);
+});
+
+function pdfUpload() {
+  const form = new FormData();
+  form.append('file', new Blob(['%PDF-1.4 handleiding'], { type: 'application/pdf' }), 'handleiding.pdf');
+  return form;
+}
+const queuedFor = (calls) => calls.filter(c => /INSERT INTO ingest_jobs/.test(c.sql)).map(c => c.params[6]);
+const jobRow = (params) => [{ id: '00000000-0000-4000-8000-000000000001', status: 'queued', layer: params[5], org_id: params[6] }];
+
+test('/upload files org documents under the caller\'s org', async () => {
+  const calls = fakeDatabase([[/INSERT INTO ingest_jobs/, jobRow]]);
+  const { token } = userToken({ role: 'kb-editor', org_key: 'RZH' });
+
+  const res = await post('/upload?layer=org', { token, body: pdfUpload() });
+  assert.equal(res.status, 202, res.text);
+  assert.deepEqual(queuedFor(calls), ['RZH']);
+});
+
+test('/upload refuses another org\'s org_id', async () => {
+  const calls = fakeDatabase([[/INSERT INTO ingest_jobs/, jobRow]]);
+  const { token } = userToken({ role: 'org-admin', org_key: 'RZH' });
+
+  const res = await post('/upload?layer=org&org_id=MMM', { token, body: pdfUpload() });
+  assert.equal(res.status, 403);
+  assert.deepEqual(queuedFor(calls), []);
+});
+
+test('/upload lets a super-admin upload for another org', async () => {
+  const calls = fakeDatabase([[/INSERT INTO ingest_jobs/, jobRow]]);
+  const { token } = userToken({ role: 'super-admin', org_key: 'RZH' });
+
+  const res = await post('/upload?layer=org&org_id=MMM', { token, body: pdfUpload() });
+  assert.equal(res.status, 202, res.text);
+  assert.deepEqual(queuedFor(calls), ['MMM']);
+});
+
+const FEEDBACK_ID = '00000000-0000-4000-8000-000000000004';
+const feedbackRow = () => [{ id: FEEDBACK_ID, org_key: 'RZH', question: 'Printer?', answer: 'Herstart.', correction: 'Houd de resetknop 10 s ingedrukt.', chunk_ids: [], status: 'open' }];
+
+test('/feedback/:id/curate keeps org-admins out of the shared domain layer', async () => {
+  const calls = fakeDatabase([[/FROM feedback WHERE id=/, feedbackRow], [/INSERT INTO ingest_jobs/, jobRow]]);
+  const { token } = userToken({ role: 'org-admin', org_key: 'RZH' });
+
+  const res = await post(`/feedback/${FEEDBACK_ID}/curate`, { token, body: { layer: 'domain' } });
+  assert.equal(res.status, 403);
+  assert.deepEqual(queuedFor(calls), []);
+
+  const own = await post(`/feedback/${FEEDBACK_ID}/curate`, { token, body: { layer: 'org' } });
+  assert.equal(own.status, 202, own.text);
+  assert.deepEqual(queuedFor(calls), ['RZH']);
+});
+
+test('/auth/bootstrap-admin is closed once a user exists', async () => {
+  const calls = fakeDatabase([[/SELECT 1 FROM users LIMIT 1/, () => [{ '?column?': 1 }]]]);
+
+  const res = await post('/auth/bootstrap-admin', { token: '', body: { email: 'eve@example.test', password: 'x'.repeat(12), org_key: 'MMM' } });
+  assert.equal(res.status, 403);
+  assert.equal(calls.filter(c => /INSERT INTO users/.test(c.sql)).length, 0);
+});
+
+test('/auth/bootstrap-admin creates the first user as super-admin', async () => {
+  const calls = fakeDatabase([
+    [/FROM organizations WHERE key=/, () => [{ key: 'MMM', label: 'MMM', active: true, settings: {} }]],
+    [/INSERT INTO users/, (p) => [{ id: '00000000-0000-4000-8000-000000000002', email: p[0], role: p[2], org_key: p[3], provider: p[4] }]],
+    [/INSERT INTO auth_sessions/, () => [{ id: '00000000-0000-4000-8000-000000000003' }]],
+  ]);
+
+  const res = await post('/auth/bootstrap-admin', { token: '', body: { email: 'first@example.test', password: 'x'.repeat(12), org_key: 'MMM' } });
+  assert.equal(res.status, 200, res.text);
+  const { user } = JSON.parse(res.text);
+  assert.equal(user.role, 'super-admin');
+  assert.ok(['orgs.manage', 'sso.manage', 'usage.limits', 'embeddings.manage', 'kb.domain'].every(p => can(user, p)));
+  assert.equal(calls.filter(c => /INSERT INTO users/.test(c.sql)).length, 1);
+});
@@ -0,0 +1,80 @@
+// usage.test.js — the monthly request quota counts questions, not the LLM calls made for them
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { app } from '../index.js';
+import { fakeDatabase, userToken, listen } from './helpers.js';
+
+const QUESTION = 'Hoe reset ik het wachtwoord van de printer K22332A?';
+
+let server;
+let ollama;
+let generated = 0;
+before(async () => {
+  // a local model that rates every passage 8/10, so each one passes the reranker
+  ollama = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    generated += 1;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ response: '8', prompt_eval_count: 40, eval_count: 1 }));
+  });
+  await new Promise(resolve => ollama.listen(0, '127.0.0.1', resolve));
+  process.env.OLLAMA_URL = `http://127.0.0.1:${ollama.address().port}`;
+  server = await listen(app);
+});
+after(async () => {
+  await server.close();
+  await new Promise(resolve => ollama.close(resolve));
+});
+
+const passages = (prefix) => () => [1, 2, 3].map(n => ({
+  id: `${prefix}-${n}`, document_id: `doc-${prefix}`, text: `Printer K22332A, stap ${n}`, metadata: { filename: `${prefix}.pdf` }, rank: 1 / n
+}));
+
+test('monthly_requests counts each /ask once, not each rerank call it made', async () => {
+  const usage = [];
+  fakeDatabase([
+    [/FROM usage_limits WHERE org_key=/, () => [{ monthly_requests: 2 }]],
+    [/INSERT INTO llm_usage/, ([request_id, , org_key, provider, , purpose]) => { usage.push({ request_id, org_key, provider, purpose }); }],
+    [/FROM kb_org/, passages('org')],
+    [/FROM kb_domain/, passages('domain')],
+  ]);
+  const { token } = userToken({ role: 'agent', org_key: 'RZH' });
+  const ask = () => fetch(`${server.url}/ask`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ question: QUESTION, retrieval: 'lexical', reranker: 'llm' })
+  });
+
+  const first = await ask();
+  assert.equal(first.status, 200, await first.text());
+  const purposes = usage.map(u => u.purpose);
+  assert.equal(purposes.filter(p => p === 'rerank').length, 6);
+  assert.ok(purposes.includes('answer'));
+  assert.equal(generated, usage.length);
+
+  const second = await ask();
+  assert.equal(second.status, 200, await second.text());
+
+  const third = await ask();
+  assert.equal(third.status, 429);
+  assert.equal((await third.json()).limit, 'monthly_requests');
+  assert.equal(new Set(usage.map(u => u.request_id)).size, 2);
+});
+
+test('PUT /usage/limits refuses an org that does not exist', async () => {
+  const calls = fakeDatabase([[/FROM organizations WHERE key=/, ([key]) => (key === 'MMM' ? [{ key, label: key, active: true, settings: {} }] : [])]]);
+  const { token } = userToken({ role: 'super-admin', org_key: 'RZH' });
+  const put = (org_id) => fetch(`${server.url}/usage/limits`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ org_id, monthly_requests: 100 })
+  });
+
+  assert.equal((await put('NOPE')).status, 404);
+  assert.equal(calls.filter(c => /INSERT INTO usage_limits/.test(c.sql)).length, 0);
+  const res = await put('MMM');
+  assert.equal(res.status, 200, await res.text());
+  assert.equal(calls.filter(c => /INSERT INTO usage_limits/.test(c.sql)).length, 1);
+});
@@ -0,0 +1,240 @@
+// tickets.js — ticket intake (JSON or raw e-mail) and background reply drafting for Lotte
+import os from 'os';
+import { simpleParser } from 'mailparser';
+import { pool } from './db.js';
+import { htmlToText } from './ingest.js';
+import { generateLLM } from './llm.js';
+import { renderTicketPrompt } from './prompt.js';
+import { guardPrompt } from './pii.js';
+import { resolveLLM } from './models.js';
+import { recordUsage } from './usage.js';
+import { TIMEOUTS, rid, withStep, stepTimeout, retrieveContext, contextForResponse } from './rag.js';
+
+const DRAFT_WORKERS   = parseInt(process.env.TICKET_DRAFT_WORKERS || '1', 10);
+const POLL_MS         = parseInt(process.env.TICKET_DRAFT_POLL_MS || '3000', 10);
+const STALE_AFTER_SEC = parseInt(process.env.TICKET_DRAFT_STALE_SEC || '900', 10);
+const RETRY_BASE_SEC  = parseInt(process.env.TICKET_DRAFT_RETRY_BASE_SEC || '60', 10);
+const MAX_ATTEMPTS    = parseInt(process.env.TICKET_DRAFT_MAX_ATTEMPTS || '3', 10);
+
+const TICKET_COLUMNS = `id, org_key, subject, from_address, from_name, body, source, message_id, attachments,
+                        status, received_at, created_by, draft_status, draft_reply, suggested_tasks,
+                        draft_context, draft_used, draft_error, draft_attempts, drafted_at, created_at, updated_at`;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+let wakeUp = () => {};
+
+// ----- intake -----
+// Raw RFC 822 message -> ticket fields (attachments are listed, not stored)
+export async function parseEmailTicket(buffer) {
+  const mail = await simpleParser(buffer);
+  const from = mail.from?.value?.[0];
+  return {
+    subject: (mail.subject || '').trim() || '(geen onderwerp)',
+    fromAddress: from?.address || null,
+    fromName: from?.name || null,
+    body: (mail.text || htmlToText(mail.html || '').text || '').trim(),
+    messageId: mail.messageId || null,
+    receivedAt: mail.date || null,
+    attachments: (mail.attachments || [])
+      .filter(a => !a.related)
+      .map(a => ({ filename: a.filename || null, mimetype: a.contentType, size: a.size }))
+  };
+}
+
+/**
+ * Store a ticket and queue its draft. An e-mail whose Message-ID is already
+ * known for this org returns the existing ticket with `duplicate: true`.
+ */
+export async function createTicket({
+  orgKey, subject, fromAddress = null, fromName = null, body, source = 'api',
+  messageId = null, attachments = [], receivedAt = null, createdBy = null
+}) {
+  const { rows } = await pool.query(
+    `INSERT INTO tickets (org_key, subject, from_address, from_name, body, source, message_id, attachments, received_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, now()), $10)
+     ON CONFLICT (org_key, message_id) WHERE message_id IS NOT NULL DO NOTHING
+     RETURNING ${TICKET_COLUMNS}`,
+    [orgKey, subject, fromAddress, fromName, body, source, messageId, JSON.stringify(attachments), receivedAt, createdBy]
+  );
+  if (rows[0]) {
+    wakeUp();
+    return { ticket: rows[0], duplicate: false };
+  }
+  const { rows: existing } = await pool.query(
+    `SELECT ${TICKET_COLUMNS} FROM tickets WHERE org_key=$1 AND message_id=$2`,
+    [orgKey, messageId]
+  );
+  return { ticket: existing[0], duplicate: true };
+}
+
+// ----- queries -----
+// `scopeOrg` = only that org's tickets
+export async function listTickets({ scopeOrg, status, limit = 100 } = {}) {
+  const where = [];
+  const vals = [];
+  if (scopeOrg) { vals.push(scopeOrg); where.push(`org_key=$${vals.length}`); }
+  if (status)   { vals.push(status);   where.push(`status=$${vals.length}`); }
+  vals.push(Math.min(parseInt(limit, 10) || 100, 500));
+  const { rows } = await pool.query(
+    `SELECT ${TICKET_COLUMNS} FROM tickets
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY received_at DESC
+     LIMIT $${vals.length}`,
+    vals
+  );
+  return rows;
+}
+
+export async function getTicket(id) {
+  const { rows } = await pool.query(`SELECT ${TICKET_COLUMNS} FROM tickets WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+
+// Queue a fresh draft (e.g. after the knowledge base was updated)
+export async function redraftTicket(id) {
+  const { rows } = await pool.query(
+    `UPDATE tickets
+     SET draft_status='queued', draft_attempts=0, draft_error=NULL, draft_run_after=now(), updated_at=now()
+     WHERE id=$1 AND draft_status IN ('done','failed')
+     RETURNING ${TICKET_COLUMNS}`,
+    [id]
+  );
+  if (rows[0]) wakeUp();
+  return rows[0] || null;
+}
+
+// ----- drafting -----
+// "REPLY: ... TASKS: - a - b" -> { reply, tasks }; without the markers the whole text is the reply
+export function parseTicketDraft(text) {
+  const raw = String(text || '').trim();
+  const m = /^\s*TASKS\s*:?\s*$/im.exec(raw);
+  const replyPart = m ? raw.slice(0, m.index) : raw;
+  const taskPart = m ? raw.slice(m.index + m[0].length) : '';
+  const reply = replyPart.replace(/^\s*REPLY\s*:\s*/i, '').trim();
+  const tasks = taskPart
+    .split('\n')
+    .map(l => l.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(t => t && !/^(none|geen)\.?$/i.test(t));
+  return { reply, tasks };
+}
+
+async function draftTicket(ticket) {
+  const id = rid();
+  // the LLM as /ask would pick it for whoever filed the ticket (TICKET_PROVIDER overrides),
+  // within the org's allow-list; the calls are charged to them
+  const user = { sub: ticket.created_by, org_key: ticket.org_key };
+  const choice = await resolveLLM(user, { provider: process.env.TICKET_PROVIDER });
+  if (choice.error) throw Object.assign(new Error(choice.error), { permanent: true });
+  const { provider, model, allow } = choice;
+  const charge = { id: `ticket:${ticket.id}`, user };
+
+  const question = `${ticket.subject}\n${ticket.body}`.slice(0, 2000);
+  const { contextSnippets, relevant, rerank } = await retrieveContext(id, { question, org_id: ticket.org_key, charge });
+
+  // ticket mails are full of names and addresses; the org's PII policy applies before any external call
+  const guarded = await guardPrompt({
+    orgKey: ticket.org_key, provider, model, prompt: renderTicketPrompt({ contextSnippets, ticket })
+  });
+  const route = {};
+  const output = await withStep(
+    id,
+    `draftTicket(${guarded.provider}:${guarded.model})`,
+    () => generateLLM({
+      provider: guarded.provider,
+      model: guarded.model,
+      prompt: guarded.prompt,
+      options: { num_ctx: 4096, num_predict: 600, temperature: 0.2 },
+      timeoutMs: TIMEOUTS.GENERATE,
+      allowExternal: guarded.allowExternal,
+      allow,
+      route
+    }),
+    stepTimeout(TIMEOUTS.GENERATE)
+  );
+  await recordUsage(charge, { route, purpose: 'ticket' });
+  const { reply, tasks } = parseTicketDraft(guarded.restore(output));
+  if (!reply) throw new Error('model returned an empty draft');
+
+  return {
+    reply,
+    tasks,
+    context: contextForResponse(contextSnippets),
+    used: {
+      provider: route.provider, model: route.model, org_id: ticket.org_key, nothing_relevant: !relevant,
+      rerank, pii: guarded.pii, routing: route
+    }
+  };
+}
+
+async function claimDraft() {
+  const { rows } = await pool.query(
+    `UPDATE tickets
+     SET draft_status='running', draft_attempts=draft_attempts+1, draft_heartbeat_at=now()
+     WHERE id = (
+       SELECT id FROM tickets
+       WHERE (draft_status='queued' AND draft_run_after <= now())
+          OR (draft_status='running' AND draft_heartbeat_at < now() - make_interval(secs => $1))
+       ORDER BY received_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING ${TICKET_COLUMNS}`,
+    [STALE_AFTER_SEC]
+  );
+  return rows[0] || null;
+}
+
+async function processNext() {
+  const ticket = await claimDraft();
+  if (!ticket) return false;
+
+  console.log(`[tickets] ${WORKER_ID} drafting ${ticket.id} "${ticket.subject}" attempt ${ticket.draft_attempts}/${MAX_ATTEMPTS}`);
+  try {
+    const draft = await draftTicket(ticket);
+    await pool.query(
+      `UPDATE tickets
+       SET draft_status='done', draft_reply=$2, suggested_tasks=$3, draft_context=$4, draft_used=$5,
+           draft_error=NULL, drafted_at=now(), updated_at=now()
+       WHERE id=$1`,
+      [ticket.id, draft.reply, JSON.stringify(draft.tasks), JSON.stringify(draft.context), JSON.stringify(draft.used)]
+    );
+    console.log(`[tickets] ${ticket.id} drafted, ${draft.tasks.length} task(s) suggested`);
+  } catch (e) {
+    const error = String(e?.message || e);
+    const retry = !e?.permanent && ticket.draft_attempts < MAX_ATTEMPTS;
+    const delay = RETRY_BASE_SEC * 2 ** (ticket.draft_attempts - 1);
+    console.warn(`[tickets] ${ticket.id} draft failed${retry ? `, retry in ${delay}s` : ''}: ${error}`);
+    await pool.query(
+      `UPDATE tickets
+       SET draft_status=$2, draft_error=$3, draft_run_after=now() + make_interval(secs => $4), updated_at=now()
+       WHERE id=$1`,
+      [ticket.id, retry ? 'queued' : 'failed', error, retry ? delay : 0]
+    ).catch(err => console.error(`[tickets] ${ticket.id} could not record failure`, err));
+  }
+  return true;
+}
+
+export function startTicketDrafter({ workers = DRAFT_WORKERS, pollMs = POLL_MS } = {}) {
+  const sleepers = new Set();
+  wakeUp = () => { for (const wake of sleepers) wake(); };
+
+  async function loop(n) {
+    for (;;) {
+      let worked = false;
+      try {
+        worked = await processNext();
+      } catch (e) {
+        console.error(`[tickets] drafter ${n} poll failed`, e);
+      }
+      if (worked) continue;
+      await new Promise(resolve => {
+        const wake = () => { clearTimeout(timer); sleepers.delete(wake); resolve(); };
+        const timer = setTimeout(wake, pollMs);
+        sleepers.add(wake);
+      });
+    }
+  }
+
+  for (let n = 1; n <= workers; n++) loop(n);
+  console.log(`[tickets] ${workers} draft worker(s) started (${WORKER_ID})`);
+}
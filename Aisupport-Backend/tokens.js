@@ -0,0 +1,40 @@
+// tokens.js — token counting for the configured embedding model
+import fs from 'fs';
+import path from 'path';
+import { getEncoding } from 'js-tiktoken';
+import { Tokenizer } from '@huggingface/tokenizers';
+
+// EMBED_TOKENIZER=/models/nomic-embed-text/tokenizer.json gives exact counts for
+// Hugging Face models (tokenizer_config.json next to it is picked up too).
+// Without it, OpenAI-style models are counted with tiktoken's cl100k_base, which
+// is also the stand-in for anything else.
+let counter = null;
+
+function loadCounter() {
+  const model = process.env.EMBED_MODEL || '';
+  const file = process.env.EMBED_TOKENIZER;
+
+  if (file) {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const cfgPath = path.join(path.dirname(file), 'tokenizer_config.json');
+    const config = fs.existsSync(cfgPath) ? JSON.parse(fs.readFileSync(cfgPath, 'utf8')) : {};
+    const tokenizer = new Tokenizer(json, config);
+    return { name: `hf:${file}`, count: (t) => tokenizer.encode(t).ids.length };
+  }
+
+  const enc = getEncoding('cl100k_base');
+  if (!/^text-embedding-/.test(model)) {
+    console.warn(`[tokens] no tokenizer configured for EMBED_MODEL=${model || '-'}; counting with cl100k_base (set EMBED_TOKENIZER for exact counts)`);
+  }
+  return { name: 'tiktoken:cl100k_base', count: (t) => enc.encode(t).length };
+}
+
+export function countTokens(text) {
+  counter ??= loadCounter();
+  return counter.count(text || '');
+}
+
+export function tokenizerName() {
+  counter ??= loadCounter();
+  return counter.name;
+}
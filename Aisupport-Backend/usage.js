@@ -0,0 +1,214 @@
+// usage.js — LLM token/request accounting per user, org and provider; rate limits and monthly quotas for /ask
+import { pool } from './db.js';
+import { recordAudit } from './audit.js';
+
+const P = (k, d='') => process.env[k] ?? d;
+
+const CACHE_MS = parseInt(P('USAGE_CACHE_MS', '15000'), 10);
+const WINDOW_MS = 60_000;
+
+// 0 = unlimited
+export const USAGE_DEFAULTS = {
+  user_per_minute: parseInt(P('RATE_LIMIT_USER_PER_MIN', '20'), 10),
+  org_per_minute: parseInt(P('RATE_LIMIT_ORG_PER_MIN', '120'), 10),
+  monthly_requests: parseInt(P('USAGE_MONTHLY_REQUESTS', '0'), 10),
+  monthly_tokens: parseInt(P('USAGE_MONTHLY_TOKENS', '0'), 10),
+};
+const LIMIT_FIELDS = Object.keys(USAGE_DEFAULTS);
+
+// A request is one question (or ticket draft), however many LLM calls it took: condense, a rerank
+// call per candidate, the answer. Rows without a request id count one each.
+const REQUESTS_SQL = `(count(DISTINCT u.request_id) + count(*) FILTER (WHERE u.request_id IS NULL))::int`;
+
+export const USAGE_GROUPS = {
+  org: 'u.org_key',
+  user: 'u.user_id',
+  provider: 'u.provider',
+  model: 'u.model',
+  purpose: 'u.purpose',
+  day: `date_trunc('day', u.at)`,
+  month: `date_trunc('month', u.at)`,
+};
+
+// ----- accounting -----
+/**
+ * Store the tokens of one LLM call, as filled in `route` by generateLLM/streamLLM.
+ * Charged to the caller's own org. Never throws.
+ */
+export async function recordUsage(req, { route, purpose, orgKey = req.user?.org_key }) {
+  if (!route?.provider) return;
+  const { prompt_tokens = 0, completion_tokens = 0, estimated = true } = route.usage || {};
+  try {
+    await pool.query(
+      `INSERT INTO llm_usage (request_id, user_id, org_key, provider, model, purpose, prompt_tokens, completion_tokens, estimated)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [req.id || null, req.user?.sub || null, orgKey || null, route.provider, route.model || null, purpose,
+       prompt_tokens, completion_tokens, estimated]
+    );
+    const month = monthCache.get(orgKey || '');
+    if (month) {
+      if (!req.id || !month.ids.has(req.id)) month.requests += 1;
+      if (req.id) month.ids.add(req.id);
+      month.tokens += prompt_tokens + completion_tokens;
+    }
+  } catch (e) {
+    console.error(`[usage] could not record ${route.provider} ${purpose} for ${req.user?.email || '-'}:`, e);
+  }
+}
+
+// ----- limits -----
+// org_key -> { at, limits }
+const limitsCache = new Map();
+
+export async function getUsageLimits(orgKey) {
+  const key = orgKey || '';
+  const hit = limitsCache.get(key);
+  if (hit && Date.now() - hit.at <= CACHE_MS) return hit.limits;
+  const { rows } = orgKey
+    ? await pool.query(`SELECT ${LIMIT_FIELDS.join(', ')} FROM usage_limits WHERE org_key=$1`, [orgKey])
+    : { rows: [] };
+  const limits = {};
+  for (const f of LIMIT_FIELDS) limits[f] = rows[0]?.[f] != null ? Number(rows[0][f]) : USAGE_DEFAULTS[f];
+  limitsCache.set(key, { at: Date.now(), limits });
+  return limits;
+}
+
+// Omitted fields stay as they are; null resets a field to the env default
+export async function saveUsageLimits(orgKey, fields, updatedBy = null) {
+  const vals = [orgKey];
+  const sets = [];
+  for (const f of LIMIT_FIELDS) {
+    if (fields[f] === undefined) continue;
+    const v = fields[f] === null ? null : Number(fields[f]);
+    if (v !== null && !(Number.isInteger(v) && v >= 0)) {
+      throw Object.assign(new Error(`${f} must be a whole number >= 0 (0 = unlimited) or null`), { status: 400 });
+    }
+    vals.push(v);
+    sets.push({ f, n: vals.length });
+  }
+  vals.push(updatedBy);
+  await pool.query(
+    `INSERT INTO usage_limits (org_key, ${sets.map(s => s.f).concat('updated_by').join(', ')})
+     VALUES ($1, ${sets.map(s => `$${s.n}`).concat(`$${vals.length}`).join(', ')})
+     ON CONFLICT (org_key) DO UPDATE
+       SET ${sets.map(s => `${s.f}=EXCLUDED.${s.f}, `).join('')}updated_by=EXCLUDED.updated_by, updated_at=now()`,
+    vals
+  );
+  limitsCache.delete(orgKey);
+  return getUsageLimits(orgKey);
+}
+
+// org_key -> { at, month, requests, tokens, ids } for the current calendar month (UTC);
+// ids: the request ids recorded since, so recordUsage counts each request once
+const monthCache = new Map();
+
+export async function monthUsage(orgKey) {
+  const key = orgKey || '';
+  const month = new Date().toISOString().slice(0, 7);
+  const hit = monthCache.get(key);
+  if (hit && hit.month === month && Date.now() - hit.at <= CACHE_MS) return hit;
+  const { rows } = await pool.query(
+    `SELECT ${REQUESTS_SQL} AS requests, COALESCE(sum(u.prompt_tokens + u.completion_tokens), 0)::bigint AS tokens
+     FROM llm_usage u
+     WHERE u.org_key IS NOT DISTINCT FROM $1 AND u.at >= date_trunc('month', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+    [orgKey || null]
+  );
+  const usage = { at: Date.now(), month, requests: rows[0].requests, tokens: Number(rows[0].tokens), ids: new Set() };
+  monthCache.set(key, usage);
+  return usage;
+}
+
+// Sliding one-minute windows, in memory: with several backend instances each one counts on its own.
+// key -> timestamps of allowed requests
+const windows = new Map();
+
+function windowHits(key, now) {
+  const hits = (windows.get(key) || []).filter(t => now - t < WINDOW_MS);
+  windows.set(key, hits);
+  return hits;
+}
+
+function secondsToNextMonth(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+/**
+ * Whether the caller may ask another question now. Returns null when allowed
+ * (and counts the request), otherwise { limit, error, retry_after } (seconds).
+ */
+export async function checkUsage(user) {
+  const orgKey = user.org_key || null;
+  const limits = await getUsageLimits(orgKey);
+
+  const month = await monthUsage(orgKey);
+  if (limits.monthly_requests && month.requests >= limits.monthly_requests) {
+    return { limit: 'monthly_requests', error: `monthly LLM request quota of ${limits.monthly_requests} reached for ${orgKey}`, retry_after: secondsToNextMonth() };
+  }
+  if (limits.monthly_tokens && month.tokens >= limits.monthly_tokens) {
+    return { limit: 'monthly_tokens', error: `monthly token quota of ${limits.monthly_tokens} reached for ${orgKey}`, retry_after: secondsToNextMonth() };
+  }
+
+  const now = Date.now();
+  const userHits = windowHits(`user:${user.sub}`, now);
+  const orgHits = windowHits(`org:${orgKey}`, now);
+  const retryAfter = (hits) => Math.max(1, Math.ceil((hits[0] + WINDOW_MS - now) / 1000));
+  if (limits.user_per_minute && userHits.length >= limits.user_per_minute) {
+    return { limit: 'user_per_minute', error: `rate limit: at most ${limits.user_per_minute} questions per minute per user`, retry_after: retryAfter(userHits) };
+  }
+  if (limits.org_per_minute && orgHits.length >= limits.org_per_minute) {
+    return { limit: 'org_per_minute', error: `rate limit: at most ${limits.org_per_minute} questions per minute for ${orgKey}`, retry_after: retryAfter(orgHits) };
+  }
+  userHits.push(now);
+  orgHits.push(now);
+  return null;
+}
+
+// Express middleware for the /ask routes (after requireAuth): 429 + Retry-After when over a limit
+export async function enforceUsageLimits(req, res, next) {
+  try {
+    const over = await checkUsage(req.user);
+    if (!over) return next();
+    await recordAudit(req, { action: 'ask', outcome: 'denied', details: { limit: over.limit } });
+    res.set('Retry-After', String(over.retry_after));
+    res.status(429).json(over);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+}
+
+// ----- report -----
+/**
+ * Totals of llm_usage grouped by any of USAGE_GROUPS (e.g. ['org', 'provider']),
+ * biggest token users first. `scopeOrg` limits it to one org.
+ */
+export async function usageReport({ scopeOrg, from, to, groupBy = ['org', 'provider'] } = {}) {
+  const unknown = groupBy.filter(g => !USAGE_GROUPS[g]);
+  if (unknown.length) {
+    throw Object.assign(new Error(`group_by must be a list of ${Object.keys(USAGE_GROUPS).join('|')}`), { status: 400 });
+  }
+  const where = [];
+  const vals = [];
+  if (scopeOrg) { vals.push(scopeOrg); where.push(`u.org_key=$${vals.length}`); }
+  if (from)     { vals.push(from);     where.push(`u.at >= $${vals.length}`); }
+  if (to)       { vals.push(to);       where.push(`u.at < $${vals.length}`); }
+  const cols = groupBy.map(g => `${USAGE_GROUPS[g]} AS "${g}"`);
+  if (groupBy.includes('user')) cols.push('min(us.email) AS email');
+  const { rows } = await pool.query(
+    `SELECT ${cols.join(', ')},
+            ${REQUESTS_SQL} AS requests,
+            count(*)::int AS calls,
+            sum(u.prompt_tokens)::bigint AS prompt_tokens,
+            sum(u.completion_tokens)::bigint AS completion_tokens,
+            sum(u.prompt_tokens + u.completion_tokens)::bigint AS total_tokens,
+            count(*) FILTER (WHERE u.estimated)::int AS estimated_requests
+     FROM llm_usage u
+     LEFT JOIN users us ON us.id = u.user_id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ${groupBy.length ? `GROUP BY ${groupBy.map(g => USAGE_GROUPS[g]).join(', ')}` : ''}
+     ORDER BY total_tokens DESC NULLS LAST`,
+    vals
+  );
+  for (const r of rows) for (const k of ['prompt_tokens', 'completion_tokens', 'total_tokens']) r[k] = Number(r[k] || 0);
+  return rows;
+}